@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+// --- chess-analyzer: headless analysis of PGN files ---
+// Same pipeline as the app (lib/analyzeGame.js: engine search, classification, accuracy,
+// performance rating), written as a JSON report, a CSV table or annotated PGN.
+//
+//   chess-analyzer analyze games.pgn --depth 16 --out report.json
+//
+// Games are analyzed one after another on one engine process. A game that cannot be parsed (or only
+// in part) is reported with its error and the run goes on (exit code 1). When the engine dies the games
+// still left are reported as failed, the report is written anyway and the exit code is 3.
+
+import fs from "node:fs";
+import path from "node:path";
+import { analyzeGame } from "../src/lib/analyzeGame.js";
+import { failedGameReport, gameReport, reportsToCsv } from "../src/lib/analysisReport.js";
+import { waitForUciOk } from "../src/lib/enginePool.js";
+import { parsePgnDatabase } from "../src/lib/pgnDatabase.js";
+import { exportAnnotatedPgn } from "../src/lib/pgnExport.js";
+import { calibrationFor, ratedSamples } from "../src/lib/performanceRating.js";
+import { EXIT, USAGE, UsageError, parseCliArgs } from "./cliOptions.js";
+import { bundledEnginePath, spawnEngine } from "./engineProcess.js";
+
+// Error engine (gagal start / mati di tengah jalan) → exit code 3
+class EngineError extends Error {}
+
+// --- Util: baca semua game dari file input ("-" = stdin) ---
+function readGames(files) {
+  const games = [];
+  for (const file of files) {
+    let text;
+    try {
+      text = fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+    } catch (e) {
+      throw new UsageError(`File tidak bisa dibaca: ${file} (${e.code || e.message})`);
+    }
+    const source = file === '-' ? 'stdin' : path.basename(file);
+    parsePgnDatabase(text).forEach(entry => games.push({ ...entry, index: games.length, source }));
+  }
+  return games;
+}
+
+// --- Util: progres ke stderr (satu baris per posisi di terminal, per game bila dialihkan) ---
+function progressReporter(quiet) {
+  const tty = process.stderr.isTTY;
+  return {
+    position(label, fraction) {
+      if (quiet || !tty) return;
+      process.stderr.write(`\r${label} ${Math.round(fraction * 100)}%`.padEnd(60));
+    },
+    done(label, note) {
+      if (quiet) return;
+      process.stderr.write(`${tty ? '\r' : ''}${`${label} ${note}`.padEnd(60)}\n`);
+    },
+  };
+}
+
+// --- Jalankan engine dan tunggu "uciok"; simpan nama engine dari "id name" ---
+async function startEngine(command) {
+  const engine = spawnEngine(command || bundledEnginePath());
+  let name = null;
+  const onId = ({ data }) => {
+    const m = /^id name (.+)$/.exec(data);
+    if (m) name = m[1].trim();
+  };
+  let died = null;
+  engine.closed.then((e) => { died = e; });
+  engine.addEventListener('message', onId);
+  const ok = await Promise.race([waitForUciOk(engine, 30000), engine.closed.then(() => false)]);
+  engine.removeEventListener('message', onId);
+  if (!ok) {
+    engine.terminate();
+    throw new EngineError(died?.message || `Engine tidak menjawab "uciok" (${command || 'stockfish npm'})`);
+  }
+  return { engine, name: name || 'UCI engine' };
+}
+
+// --- Analisis semua game berurutan; error per game dicatat, engine mati menghentikan semuanya ---
+// Returns { results: [{ entry, result } | { entry, error }], engineError }
+async function analyzeAll(games, engine, options, progress) {
+  const results = [];
+  let engineError = null;
+  for (const entry of games) {
+    if (engineError) {
+      results.push({ entry, error: engineError });
+      continue;
+    }
+    const label = `[${entry.index + 1}/${games.length}] ${entry.white} - ${entry.black}`;
+    const started = Date.now();
+    try {
+      const result = await Promise.race([
+        analyzeGame(entry.raw, engine, { ...options, onProgress: f => progress.position(label, f) }),
+        engine.closed.then((e) => { throw new EngineError(e.message); }),
+      ]);
+      results.push({ entry, result });
+      progress.done(label, `${((Date.now() - started) / 1000).toFixed(1)}s`);
+    } catch (e) {
+      if (e instanceof EngineError) engineError = e;
+      results.push({ entry, error: e });
+      progress.done(label, `gagal: ${e.message}`);
+    }
+  }
+  return { results, engineError };
+}
+
+// --- Susun output sesuai format ---
+function renderOutput(format, results, { engineName, options }) {
+  if (format === 'pgn') {
+    return results
+      .filter(r => r.result)
+      .map(({ result }) => exportAnnotatedPgn({ tags: result.tags, tree: result.tree, evals: result.evals, annotations: result.annotations, annotator: engineName }))
+      .join('\n\n') + '\n';
+  }
+
+  // Rating performa dikalibrasi ulang dengan game ber-Elo lain dari input ini (seperti library di app);
+  // Elo game yang sedang dinilai tidak ikut, kalau tidak perkiraannya condong ke Elo itu sendiri
+  const summaries = new Map(results
+    .filter(r => r.result)
+    .map(({ result }) => [result, { whiteElo: result.headers.WhiteElo, blackElo: result.headers.BlackElo, stats: result.stats }]));
+  const calibrationWithout = (result) => calibrationFor(options.classification,
+    ratedSamples([...summaries].filter(([other]) => other !== result).map(([, summary]) => summary)));
+  const reports = results.map(({ entry, result, error }) => (result
+    ? gameReport(result, { index: entry.index, source: entry.source, calibration: calibrationWithout(result) })
+    : failedGameReport(entry, error)));
+
+  if (format === 'csv') return reportsToCsv(reports);
+  const { classification, ...search } = options;
+  return JSON.stringify({ engine: engineName, options: search, classification, games: reports }, null, 2) + '\n';
+}
+
+async function main(argv) {
+  const args = parseCliArgs(argv);
+  if (args.help) {
+    process.stdout.write(USAGE + '\n');
+    return EXIT.OK;
+  }
+
+  const games = readGames(args.files);
+  if (!games.length) throw new UsageError('Tidak ada game di input');
+
+  const progress = progressReporter(args.quiet);
+  const { engine, name } = await startEngine(args.engine);
+  const stop = () => {
+    engine.terminate();
+    process.exit(130);
+  };
+  process.once('SIGINT', stop);
+  let run;
+  try {
+    run = await analyzeAll(games, engine, args.analysis, progress);
+  } finally {
+    process.off('SIGINT', stop);
+    engine.terminate();
+  }
+
+  const { results, engineError } = run;
+  const text = renderOutput(args.format, results, { engineName: name, options: args.analysis });
+  if (args.out) {
+    try {
+      fs.writeFileSync(args.out, text);
+    } catch (e) {
+      throw new UsageError(`File output tidak bisa ditulis: ${args.out} (${e.code || e.message})`);
+    }
+  } else {
+    process.stdout.write(text);
+  }
+  if (engineError) {
+    console.error(`chess-analyzer: ${engineError.message}`);
+    return EXIT.ENGINE;
+  }
+  return results.some(r => r.error) ? EXIT.GAME_FAILED : EXIT.OK;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (e) => {
+    if (e instanceof UsageError) {
+      console.error(`chess-analyzer: ${e.message}\nJalankan "chess-analyzer --help" untuk bantuan.`);
+      process.exitCode = EXIT.USAGE;
+    } else if (e instanceof EngineError) {
+      console.error(`chess-analyzer: ${e.message}`);
+      process.exitCode = EXIT.ENGINE;
+    } else {
+      console.error(e);
+      process.exitCode = EXIT.GAME_FAILED;
+    }
+  }
+);
@@ -0,0 +1,112 @@
+// --- Command-line options of bin/chess-analyzer.js ---
+
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { DEFAULT_ANALYSIS_OPTIONS } from "../src/lib/analyzeGame.js";
+import { ACCURACY_MODELS, CLASSIFICATION_PROFILES, DEFAULT_CLASSIFICATION_SETTINGS } from "../src/lib/classification.js";
+
+export const FORMATS = ['json', 'csv', 'pgn'];
+
+// Exit codes: 1 = at least one game failed (or an unexpected error), 2 = bad usage or unreadable input, 3 = engine problem
+export const EXIT = { OK: 0, GAME_FAILED: 1, USAGE: 2, ENGINE: 3 };
+
+export const USAGE = `Usage: chess-analyzer analyze <file.pgn ...> [options]
+
+Analyzes every game of the PGN file(s) with Stockfish and writes a report.
+Use "-" as file name to read PGN from stdin.
+
+Options:
+  -o, --out <file>        write the report to <file> (default: stdout)
+  -f, --format <fmt>      json | csv | pgn (default: from --out extension, else json)
+  -d, --depth <n>         search depth per position (default: ${DEFAULT_ANALYSIS_OPTIONS.depth})
+      --multipv <n>       engine lines per position (default: ${DEFAULT_ANALYSIS_OPTIONS.multiPV})
+      --verify-depth <n>  depth for re-checking sacrifices (default: ${DEFAULT_ANALYSIS_OPTIONS.verifyDepth})
+      --hash <mb>         engine hash size (default: ${DEFAULT_ANALYSIS_OPTIONS.hash})
+      --threads <n>       engine threads; >1 is faster but not reproducible (default: ${DEFAULT_ANALYSIS_OPTIONS.threads})
+  -e, --engine <path>     UCI engine binary or .js build (default: bundled npm stockfish)
+      --profile <name>    ${Object.keys(CLASSIFICATION_PROFILES).join(' | ')} (default: ${DEFAULT_CLASSIFICATION_SETTINGS.profile})
+      --model <name>      ${Object.keys(ACCURACY_MODELS).join(' | ')} (default: ${DEFAULT_CLASSIFICATION_SETTINGS.model})
+      --elo-aware         scale classification cutoffs by the players' Elo
+      --wdl               compute win% from the engine's WDL output instead of centipawns
+  -q, --quiet             no progress on stderr
+  -h, --help              show this help
+
+Exit codes: 0 ok, 1 some games failed, 2 bad usage or input, 3 engine error.`;
+
+// Error usage: pesan untuk stderr + exit code 2
+export class UsageError extends Error {}
+
+// --- Util: bilangan bulat positif dari opsi CLI ---
+function positiveInt(values, name, fallback) {
+  const raw = values[name];
+  if (raw == null) return fallback;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 1) throw new UsageError(`--${name} harus bilangan bulat positif (dapat: ${raw})`);
+  return n;
+}
+
+// --- Baca argv (tanpa "node" dan path script) → opsi analisis ---
+// Returns { help: true } for -h; throws UsageError for anything it cannot use.
+export function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        out: { type: 'string', short: 'o' },
+        format: { type: 'string', short: 'f' },
+        depth: { type: 'string', short: 'd' },
+        multipv: { type: 'string' },
+        'verify-depth': { type: 'string' },
+        hash: { type: 'string' },
+        threads: { type: 'string' },
+        engine: { type: 'string', short: 'e' },
+        profile: { type: 'string' },
+        model: { type: 'string' },
+        'elo-aware': { type: 'boolean' },
+        wdl: { type: 'boolean' },
+        quiet: { type: 'boolean', short: 'q' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+
+  const [command, ...files] = positionals;
+  if (command !== 'analyze') throw new UsageError(command ? `Perintah tidak dikenal: ${command}` : 'Perintah tidak ada');
+  if (!files.length) throw new UsageError('Tidak ada file PGN');
+
+  const format = (values.format || (values.out ? path.extname(values.out).slice(1) : '') || 'json').toLowerCase();
+  if (!FORMATS.includes(format)) throw new UsageError(`Format tidak dikenal: ${format} (pilih ${FORMATS.join(', ')})`);
+
+  const profile = values.profile || DEFAULT_CLASSIFICATION_SETTINGS.profile;
+  if (!CLASSIFICATION_PROFILES[profile]) throw new UsageError(`Profil tidak dikenal: ${profile}`);
+  const model = values.model || DEFAULT_CLASSIFICATION_SETTINGS.model;
+  if (!ACCURACY_MODELS[model]) throw new UsageError(`Model tidak dikenal: ${model}`);
+
+  return {
+    files,
+    out: values.out || null,
+    format,
+    engine: values.engine || null,
+    quiet: Boolean(values.quiet),
+    analysis: {
+      depth: positiveInt(values, 'depth', DEFAULT_ANALYSIS_OPTIONS.depth),
+      multiPV: positiveInt(values, 'multipv', DEFAULT_ANALYSIS_OPTIONS.multiPV),
+      verifyDepth: positiveInt(values, 'verify-depth', DEFAULT_ANALYSIS_OPTIONS.verifyDepth),
+      hash: positiveInt(values, 'hash', DEFAULT_ANALYSIS_OPTIONS.hash),
+      threads: positiveInt(values, 'threads', DEFAULT_ANALYSIS_OPTIONS.threads),
+      classification: {
+        ...DEFAULT_CLASSIFICATION_SETTINGS,
+        profile,
+        model,
+        eloAware: Boolean(values['elo-aware']),
+        useWdl: Boolean(values.wdl),
+      },
+    },
+  };
+}
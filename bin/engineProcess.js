@@ -0,0 +1,72 @@
+// --- UCI engine as a child process, wrapped like a Stockfish Web Worker (Node only) ---
+// postMessage(cmd) writes one UCI command to stdin; every stdout line arrives as
+// { data: line } on 'message' listeners, so lib/uciSearch.js and lib/enginePool.js work unchanged.
+// The engine is either the build shipped with the `stockfish` npm package (a .js file run with
+// this Node) or any native UCI binary, e.g. /usr/bin/stockfish.
+
+import { spawn } from "node:child_process";
+import { createRequire } from "node:module";
+import path from "node:path";
+
+// Single-threaded lite build: small network, no SharedArrayBuffer needed under Node
+const BUNDLED_BUILD = 'stockfish-17.1-lite-single-03e3232.js';
+
+// --- Util: path engine bawaan dari paket npm `stockfish` ---
+export function bundledEnginePath() {
+  const require = createRequire(import.meta.url);
+  return path.join(path.dirname(require.resolve('stockfish/package.json')), 'src', BUNDLED_BUILD);
+}
+
+// --- Jalankan engine; command = path .js (dijalankan dengan node) atau binary UCI ---
+// `closed` resolves with an Error when the process fails to start or exits before terminate();
+// callers race it against their searches, since a dead engine never answers "bestmove".
+export function spawnEngine(command = bundledEnginePath()) {
+  const isScript = /\.[cm]?js$/i.test(command);
+  const child = isScript
+    ? spawn(process.execPath, [command], { stdio: ['pipe', 'pipe', 'inherit'] })
+    : spawn(command, [], { stdio: ['pipe', 'pipe', 'inherit'] });
+  const listeners = { message: new Set(), error: new Set() };
+  let terminated = false;
+  let buffer = '';
+
+  let fail;
+  const closed = new Promise((resolve) => { fail = resolve; });
+  const die = (error) => {
+    if (terminated) return;
+    terminated = true;
+    listeners.error.forEach(fn => fn({ error }));
+    fail(error);
+  };
+
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', (chunk) => {
+    buffer += chunk;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(line => listeners.message.forEach(fn => fn({ data: line.trim() })));
+  });
+  child.on('error', e => die(new Error(`Engine tidak bisa dijalankan (${command}): ${e.message}`)));
+  child.on('exit', (code, signal) => die(new Error(`Engine berhenti (${signal || `exit code ${code}`})`)));
+  // Writes after the engine died surface as 'exit' above, not as an unhandled EPIPE
+  child.stdin.on('error', () => { /* ditangani oleh handler 'exit' */ });
+
+  return {
+    closed,
+    postMessage(cmd) {
+      if (!terminated) child.stdin.write(cmd + '\n');
+    },
+    addEventListener(type, fn) {
+      listeners[type]?.add(fn);
+    },
+    removeEventListener(type, fn) {
+      listeners[type]?.delete(fn);
+    },
+    terminate() {
+      if (terminated) return;
+      terminated = true;
+      child.stdin.end('quit\n');
+      // Engines normally exit on "quit"; do not let a stuck one keep Node alive
+      setTimeout(() => child.kill(), 1000).unref();
+    },
+  };
+}
@@ -0,0 +1,102 @@
+// --- Regenerate src/lib/ratingReference.js from rated games ---
+// Analyzes every game of the given PGN file(s) with the same pipeline as the CLI
+// (lib/analyzeGame.js, REFERENCE_SETTINGS) and writes one reference row per side that carries
+// WhiteElo/BlackElo and has enough analyzed moves. Each row keeps where it came from
+// (file, players, event, date), the file header records engine, depth and settings.
+//
+//   node scripts/build-rating-reference.js games/*.pgn [--depth 14] [--engine /usr/bin/stockfish]
+//   npm run rating-reference -- games/*.pgn
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { fileURLToPath } from "node:url";
+import { DEFAULT_ANALYSIS_OPTIONS, analyzeGame } from "../src/lib/analyzeGame.js";
+import { waitForUciOk } from "../src/lib/enginePool.js";
+import { parsePgnDatabase } from "../src/lib/pgnDatabase.js";
+import { ratedSamples } from "../src/lib/performanceRating.js";
+import { REFERENCE_SETTINGS } from "../src/lib/ratingReference.js";
+import { bundledEnginePath, spawnEngine } from "../bin/engineProcess.js";
+
+const OUT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "src", "lib", "ratingReference.js");
+
+// --- Util: label sumber satu game ("file: White - Black, Event, Date") ---
+function sourceLabel(file, headers) {
+  const extra = [headers.Event, headers.Date].filter(v => v && !/^\?+/.test(v));
+  return `${path.basename(file)}: ${headers.White || "?"} - ${headers.Black || "?"}${extra.length ? `, ${extra.join(", ")}` : ""}`;
+}
+
+// --- Util: satu baris tabel (angka dibulatkan seperti kartu Report) ---
+function rowSource(row) {
+  const counts = ["inaccuracy", "mistake", "blunder", "miss"].map(k => `${k}: ${row.counts[k] || 0}`).join(", ");
+  return `  { elo: ${row.elo}, accuracy: ${row.accuracy.toFixed(1)}, moves: ${row.moves}, counts: { ${counts} }, extraPenalty: ${row.extraPenalty || 0}, source: ${JSON.stringify(row.source)} },`;
+}
+
+// --- Isi src/lib/ratingReference.js ---
+function renderModule(rows, { files, engineName, depth, multiPV }) {
+  const { profile, eloAware, model, useWdl } = REFERENCE_SETTINGS;
+  return `// --- Reference set for the performance-rating fit (lib/performanceRating.js) ---
+// One entry per side of a rated game: the rating the player held and the numbers the Report card
+// shows for that side, measured with REFERENCE_SETTINGS (book moves excluded). performanceRating
+// only mixes these rows into the fit under those settings; analyzed library games that carry
+// WhiteElo/BlackElo are added on top of it at runtime.
+//   { elo, accuracy, moves, counts: { inaccuracy, mistake, blunder, miss }, extraPenalty, source }
+//
+// Generated by scripts/build-rating-reference.js – do not edit by hand.
+//   source games: ${files.map(f => path.basename(f)).join(", ")}
+//   engine: ${engineName}, depth ${depth}, MultiPV ${multiPV}, ${new Date().toISOString().slice(0, 10)}
+
+export const REFERENCE_SETTINGS = { profile: '${profile}', eloAware: ${eloAware}, model: '${model}', useWdl: ${useWdl} };
+
+export const REFERENCE_GAMES = [
+${rows.sort((a, b) => a.elo - b.elo).map(rowSource).join("\n")}
+];
+`;
+}
+
+async function main() {
+  const { values, positionals: files } = parseArgs({
+    args: process.argv.slice(2),
+    allowPositionals: true,
+    options: { depth: { type: "string" }, engine: { type: "string" } },
+  });
+  if (!files.length) throw new Error("Tidak ada file PGN (node scripts/build-rating-reference.js <file.pgn ...>)");
+  const depth = Number(values.depth) || DEFAULT_ANALYSIS_OPTIONS.depth;
+  const options = { ...DEFAULT_ANALYSIS_OPTIONS, depth, threads: 1, classification: REFERENCE_SETTINGS };
+
+  const engine = spawnEngine(values.engine || bundledEnginePath());
+  let engineName = values.engine ? path.basename(values.engine) : "Stockfish 17.1 lite single (npm stockfish)";
+  engine.addEventListener("message", ({ data }) => {
+    const m = /^id name (.+)$/.exec(data);
+    if (m) engineName = m[1].trim();
+  });
+  if (!(await waitForUciOk(engine, 30000))) throw new Error("Engine tidak menjawab \"uciok\"");
+
+  const rows = [];
+  try {
+    for (const file of files) {
+      for (const entry of parsePgnDatabase(fs.readFileSync(file, "utf8"))) {
+        const label = `${path.basename(file)} ${entry.white} - ${entry.black}`;
+        try {
+          const result = await analyzeGame(entry.raw, engine, options);
+          const summary = { whiteElo: result.headers.WhiteElo, blackElo: result.headers.BlackElo, stats: result.stats };
+          const sides = ratedSamples([summary]);
+          sides.forEach(s => rows.push({ ...s, source: sourceLabel(file, { ...result.tags, ...result.headers }) }));
+          console.error(`${label}: ${sides.length} baris`);
+        } catch (e) {
+          console.error(`${label}: dilewati (${e.message})`);
+        }
+      }
+    }
+  } finally {
+    engine.terminate();
+  }
+  if (rows.length < 3) throw new Error(`Terlalu sedikit sisi ber-Elo untuk kalibrasi (${rows.length})`);
+  fs.writeFileSync(OUT, renderModule(rows, { files, engineName, depth, multiPV: options.multiPV }));
+  console.error(`${rows.length} baris → ${path.relative(process.cwd(), OUT)}`);
+}
+
+main().catch((e) => {
+  console.error(`build-rating-reference: ${e.message}`);
+  process.exitCode = 1;
+});
@@ -7,6 +7,90 @@ import React, {
   memo,
 } from "react";
 import Landing from "./components/Landing.jsx";
+import GamePicker from "./components/GamePicker.jsx";
+import BatchReport from "./components/BatchReport.jsx";
+import GameLibrary from "./components/GameLibrary.jsx";
+import EnginePanel from "./components/EnginePanel.jsx";
+import LiveAnalysisPanel from "./components/LiveAnalysisPanel.jsx";
+import ExplorePanel from "./components/ExplorePanel.jsx";
+import PvLines from "./components/PvLines.jsx";
+import PhaseBreakdown from "./components/PhaseBreakdown.jsx";
+import OpeningExplorer from "./components/OpeningExplorer.jsx";
+import TrainingPanel from "./components/TrainingPanel.jsx";
+import PuzzleDeck from "./components/PuzzleDeck.jsx";
+import ClassificationPicker from "./components/ClassificationPicker.jsx";
+import {
+  buildLinearTree,
+  commentText,
+  nagSymbol,
+  pathToNode,
+  addExploreMove,
+  dropExploreNodes,
+  keepExploreNodes,
+  nearestPermanentNode,
+} from "./lib/pgnTree.js";
+import { buildClockTimeline, detectTimeFlags, formatClock } from "./lib/clock.js";
+import { exportAnnotatedPgn } from "./lib/pgnExport.js";
+import { parsePgnDatabase } from "./lib/pgnDatabase.js";
+import { PHASES, PHASE_LABELS, aggregatePlayerReport, playerNamesInDatabase, playerSide } from "./lib/playerReport.js";
+import { configureEngine, runPooled, waitForUciOk } from "./lib/enginePool.js";
+import { startInfiniteSearch } from "./lib/liveAnalysis.js";
+import { formatScore, moveNumberPrefix, uciLineToSans, uciToSan } from "./lib/uciInfo.js";
+import { moveNumberFromFen, parsePgnToFens } from "./lib/pgnParse.js";
+import { gamePhasesOfFens, phaseRanges } from "./lib/gamePhases.js";
+import { computeAnnotations, computePlayerStats, countMoveTypes, summarizeAnalyzedGame } from "./lib/gameAnalysis.js";
+import { getTerminalEval, searchPosition } from "./lib/uciSearch.js";
+import { isEngineBestMove, playedMovesOf, sacrificeCandidates } from "./lib/analyzeGame.js";
+import { normalizeSan } from "./lib/sacrifice.js";
+import { identifyOpening } from "./lib/openings.js";
+import { buildOpeningExplorer, explorerMovesAt } from "./lib/openingExplorer.js";
+import {
+  collectExercises,
+  judgeFromEngine,
+  judgeFromMultipv,
+  loadTrainingRecord,
+  recordAttempt,
+  saveTrainingRecord,
+} from "./lib/training.js";
+import { extractPuzzles, newPuzzleCard, reviewPuzzle } from "./lib/puzzles.js";
+import { explainMove } from "./lib/motifs.js";
+import {
+  DEFAULT_CLASSIFICATION_SETTINGS,
+  classificationKey,
+  loadClassificationSettings,
+  saveClassificationSettings,
+  thresholdsBySide,
+} from "./lib/classification.js";
+import { calibrationFor, estimatePerformance, ratedSamples } from "./lib/performanceRating.js";
+import {
+  deepAnalysisOptions,
+  estimateAnalysisSeconds,
+  loadEngineSettings,
+  quickAnalysisOptions,
+  saveEngineSettings,
+} from "./lib/engineSettings.js";
+import {
+  autoBuildOrder,
+  detectEngineCapabilities,
+  engineBuildById,
+  engineCandidates,
+  loadEngineBuildPreference,
+  saveEngineBuildPreference,
+} from "./lib/engineBuilds.js";
+import {
+  getCachedEval,
+  putCachedEval,
+  clearEvalCache,
+  getEvalCacheStats,
+  saveGame,
+  loadGame,
+  deleteGame,
+  listSavedGames,
+  listPuzzles,
+  addPuzzles,
+  savePuzzle,
+  deletePuzzle,
+} from "./lib/analysisStore.js";
 import { Chess } from "chess.js";
 import { Chessboard } from "react-chessboard";
 import { motion, AnimatePresence } from "framer-motion";
@@ -21,6 +105,8 @@ import {
   Area,
   ComposedChart,
   ReferenceLine,
+  ReferenceArea,
+  Bar,
 } from "recharts";
 
 // --- Evaluation Bar Component ---
@@ -109,6 +195,19 @@ function EvaluationBar({ evaluation, sideToMove, barHeight = 500, barWidth = 30
   );
 }
 
+// --- Performance rating vs rating di header PGN ("Rated 1850 · +120") ---
+function RatingComparison({ estimate, elo }) {
+  const rated = Number(elo);
+  if (estimate == null || !(rated > 0)) return null;
+  const diff = estimate - rated;
+  const cls = diff > 0 ? 'up' : diff < 0 ? 'down' : '';
+  return (
+    <div className="stat-rating-compare">
+      Rated {rated} · <span className={cls}>{diff > 0 ? '+' : ''}{diff}</span>
+    </div>
+  );
+}
+
 // --- Captured pieces row component ---
 function CapturedRow({ caps, oppCaps, color = 'white' }) {
   // Tampilkan bidak LAWAN yang berhasil ditangkap oleh pemain pada baris ini.
@@ -176,182 +275,6 @@ class ErrorBoundary extends React.Component {
   }
 }
 
-// --- Util: deteksi exchange sacrifice (mis. Rxd5: rook (5) menangkap minor (3) → korbankan nilai ≥2)
-function isExchangeSacrifice(fen, san) {
-  try {
-    const values = { p:1, n:3, b:3, r:5, q:9, k:0 };
-    const g = new Chess(fen);
-    const before = materialScore(g);
-    const m = g.move(san, { sloppy: true });
-    if (!m) return false;
-    // Hanya relevan jika ini capture
-    if (!m.flags || !m.flags.includes('c')) return false;
-    const movedType = m.piece; // 'r','n','b','q','k','p'
-    const capturedType = m.captured; // 'p','n','b','r','q'
-    if (!movedType || !capturedType) return false;
-    const delta = (values[movedType] || 0) - (values[capturedType] || 0);
-    // Exchange sacrifice jika nilai buah yang bergerak lebih besar ≥2 dibanding yang ditangkap
-    return delta >= 2;
-  } catch {
-    return false;
-  }
-}
-
-// --- Util: compute worst immediate capture loss for mover after playing SAN (any capture, any square)
-function worstImmediateCaptureLoss(fen, san, moverSide) {
-  try {
-    const before = new Chess(fen);
-    const m = before.move(san, { sloppy: true });
-    if (!m) return null;
-    const after = before; // position after mover's move
-    const scoAfter = materialScore(after);
-    const opponentMoves = after.moves({ verbose: true });
-    let worst = 0; // most negative
-    let found = false;
-    for (const om of opponentMoves) {
-      if (!om.flags.includes('c')) continue;
-      const test = new Chess(after.fen());
-      test.move({ from: om.from, to: om.to, promotion: om.promotion });
-      const scoCap = materialScore(test);
-      const delta = (moverSide === 'w') ? (scoCap.w - scoAfter.w) : (scoCap.b - scoAfter.b);
-      if (!found || delta < worst) { worst = delta; found = true; }
-    }
-    return found ? worst : null;
-  } catch {
-    return null;
-  }
-}
-
-// --- Util: normalize SAN for comparison (strip trailing +, #, !, ? characters) ---
-function normalizeSan(san) {
-  if (!san) return san;
-  return String(san).replace(/[+#!?]+$/g, '').trim();
-}
-
-// --- Util: get moved piece type ('p','n','b','r','q','k') for a SAN move on a FEN ---
-function getMovedPieceType(fen, san) {
-  try {
-    const g = new Chess(fen);
-    const mv = g.move(san, { sloppy: true });
-    if (!mv) return null;
-    return mv.piece || null;
-  } catch {
-    return null;
-  }
-}
-
-// --- Util: strict piece sacrifice offer (relaxed): counts capture/exchange sacs too.
-// Thresholds (net loss after best capture/recapture on target square): Q>=5, R>=3, N/B>=2 ---
-function isStrictPieceSacrificeOffer(fen, san, moverSide) {
-  try {
-    const moved = getMovedPieceType(fen, san);
-    if (!moved || moved === 'k' || moved === 'p') return false;
-    const loss = offeredSacrificeLossMagnitude(fen, san, moverSide); // negative for mover
-    if (typeof loss !== 'number') return false;
-    // Relaxed thresholds so that realistic sacrifice (including exchange sacs) count as piece sacrifice
-    // Queen: lose at least ~half a queen value; Rook: lose ≥3; Minor: lose ≥2 after best reply/recapture sequence
-    if (moved === 'q') return loss <= -5;
-    if (moved === 'r') return loss <= -3;
-    if (moved === 'b' || moved === 'n') return loss <= -2;
-    return false;
-  } catch {
-    return false;
-  }
-}
-
-// --- Util: magnitude of offered sacrifice (pawns) if opponent captures the offered piece immediately.
-// Returns a negative number for material loss by the mover (e.g., -9 for queen), or null if no such capture.
-function offeredSacrificeLossMagnitude(fen, san, moverSide) {
-  try {
-    const before = new Chess(fen);
-    const wasInCheck = before.in_check();
-    const move = before.move(san, { sloppy: true });
-    if (!move) return null;
-    const after = before; // after mover's move
-    const scoAfter = materialScore(after);
-    const opponentMoves = after.moves({ verbose: true });
-    const targetSquare = move.to;
-    let found = false;
-    let worstDelta = 0; // most negative for mover
-    for (const om of opponentMoves) {
-      if (om.to !== targetSquare || !om.flags.includes('c')) continue;
-      const afterOpp = new Chess(after.fen());
-      afterOpp.move({ from: om.from, to: om.to, promotion: om.promotion });
-      const scoAfterOpp = materialScore(afterOpp);
-
-      // Look for immediate recapture by mover on the same square
-      const recaps = afterOpp.moves({ verbose: true }).filter(rm => rm.flags.includes('c') && rm.to === targetSquare);
-      let bestAfterRecapScore = null; // best for mover (maximize mover's material)
-      for (const rm of recaps) {
-        const tmp = new Chess(afterOpp.fen());
-        tmp.move({ from: rm.from, to: rm.to, promotion: rm.promotion });
-        const sco = materialScore(tmp);
-        const val = (moverSide === 'w') ? sco.w : sco.b;
-        if (bestAfterRecapScore == null || val > bestAfterRecapScore) bestAfterRecapScore = val;
-      }
-
-      const baseSideVal = (moverSide === 'w') ? scoAfter.w : scoAfter.b;
-      let delta;
-      if (bestAfterRecapScore != null) {
-        // Net loss after optimal immediate recapture
-        delta = bestAfterRecapScore - baseSideVal;
-      } else {
-        // No recapture: use post-opponent-capture value
-        const sideValAfterOpp = (moverSide === 'w') ? scoAfterOpp.w : scoAfterOpp.b;
-        delta = sideValAfterOpp - baseSideVal;
-      }
-
-      if (!found || delta < worstDelta) { worstDelta = delta; found = true; }
-    }
-    if (found) return worstDelta;
-    return null;
-  } catch {
-    return null;
-  }
-}
-
-// --- Heuristic: is there any opponent capture on the moved piece's target square? ---
-function hasOpponentCaptureOnTarget(fen, san) {
-  try {
-    const before = new Chess(fen);
-    const mv = before.move(san, { sloppy: true });
-    if (!mv) return false;
-    const after = before;
-    const targetSquare = mv.to;
-    const opponentMoves = after.moves({ verbose: true });
-    return opponentMoves.some(m => m.flags.includes('c') && m.to === targetSquare);
-  } catch {
-    return false;
-  }
-}
-
-// --- Heuristic: after opponent captures that target square, does mover have an immediate checking reply? ---
-function moverHasImmediateCheckAfterTargetCapture(fen, san, moverSide) {
-  try {
-    const before = new Chess(fen);
-    const mv = before.move(san, { sloppy: true });
-    if (!mv) return false;
-    const targetSquare = mv.to;
-    const after = before; // opponent to move
-    const opponentMoves = after.moves({ verbose: true }).filter(m => m.flags.includes('c') && m.to === targetSquare);
-    for (const om of opponentMoves) {
-      const afterOpp = new Chess(after.fen());
-      afterOpp.move({ from: om.from, to: om.to, promotion: om.promotion });
-      // now mover's turn; look for any checking move (strong forcing signal)
-      const replies = afterOpp.moves({ verbose: true });
-      for (const r of replies) {
-        const tmp = new Chess(afterOpp.fen());
-        tmp.move({ from: r.from, to: r.to, promotion: r.promotion });
-        if (tmp.in_checkmate()) return true; // mate in 1 after capture → surely brilliant
-        if (r.san && /\+/.test(r.san)) return true; // any check reply considered a strong punish
-      }
-    }
-    return false;
-  } catch {
-    return false;
-  }
-}
-
 // --- Worker: memuat Stockfish dari CDN di dalam Web Worker ---
 function createStockfishWorker(url = '/stockfish/stockfish-17.1-8e4d048.js') {
   // Build absolute URL without cache-buster; Stockfish scripts resolve wasm paths relative to this URL
@@ -359,227 +282,32 @@ function createStockfishWorker(url = '/stockfish/stockfish-17.1-8e4d048.js') {
   return new Worker(abs, { type: 'classic', name: 'stockfish' });
 }
 
-// --- Util: parse PGN jadi daftar FEN + SAN ---
-function parsePgnToFens(pgn) {
-  const raw = (pgn ?? '').toString();
-  // Normalisasi line-ending agar Chess.js tidak bingung dengan CRLF Windows
-  let normalized = raw.replace(/\r\n/g, '\n').replace(/\r/g, '\n').trim();
-  if (!normalized.endsWith('\n')) normalized += '\n';
-  const game = new Chess();
-  try {
-    const opts = { sloppy: true, newlineChar: '\n' };
-    const loader = (g, s) => (typeof g.loadPgn === 'function' ? g.loadPgn(s, opts) : (typeof g.load_pgn === 'function' ? g.load_pgn(s, opts) : false));
-    let ok = loader(game, normalized);
-    if (!ok) {
-      // Fallback: buang header [Tags] dan ambil movetext mulai dari nomor langkah pertama
-      // Pastikan ada blank line antara header dan movetext
-      const lines = normalized.split('\n');
-      let lastTagIdx = -1;
-      for (let i = 0; i < lines.length; i++) {
-        if (/^\s*\[.*\]\s*$/.test(lines[i])) lastTagIdx = i; else break;
-      }
-      if (lastTagIdx >= 0) {
-        const hasBlank = lines[lastTagIdx + 1] === '';
-        if (!hasBlank) {
-          lines.splice(lastTagIdx + 1, 0, '');
-        }
-      }
-      const normalizedWithBlank = lines.join('\n');
-      ok = loader(game, normalizedWithBlank);
-      if (!ok) {
-        const noTags = normalizedWithBlank
-        .split('\n')
-        .filter(line => !/^\s*\[.*\]\s*$/.test(line))
-        .join(' ');
-        const idxFirstMove = noTags.search(/\d+\s*\./);
-        if (idxFirstMove >= 0) {
-          let movetext = noTags.slice(idxFirstMove).trim();
-          // normalisasi spasi
-          movetext = movetext.replace(/\s+/g, ' ').trim();
-          if (!movetext.endsWith('\n')) movetext += '\n';
-          ok = loader(game, movetext);
-        }
-      }
-    }
-    if (!ok) throw new Error('format PGN tidak dikenali');
-
-    const moves = game.history({ verbose: true });
-    if (!Array.isArray(moves) || moves.length === 0) {
-      throw new Error('PGN tidak mengandung langkah yang valid');
-    }
-
-    const walk = new Chess();
-    const fens = [walk.fen()];
-    const sans = [];
-    // Build captures progress: index i corresponds to position after i moves (same as fens[i])
-    const emptyCaps = () => ({ p:0, n:0, b:0, r:0, q:0 });
-    const capsProgress = [{ white: emptyCaps(), black: emptyCaps() }];
-    let accWhite = emptyCaps();
-    let accBlack = emptyCaps();
-    for (const mv of moves) {
-      walk.move(mv);
-      fens.push(walk.fen());
-      sans.push(mv.san);
-      // track captured
-      if (mv.captured) {
-        // mover color mv.color captures opponent piece mv.captured
-        const t = mv.captured; // 'p','n','b','r','q'
-        if (mv.color === 'w') accWhite = { ...accWhite, [t]: (accWhite[t] || 0) + 1 };
-        else accBlack = { ...accBlack, [t]: (accBlack[t] || 0) + 1 };
-      }
-      capsProgress.push({ white: { ...accWhite }, black: { ...accBlack } });
-    }
-    // Extract headers (fallback to regex over tags)
-    const tags = {};
-    normalized.split('\n').forEach((line) => {
-      const m = line.match(/^\s*\[(\w+)\s+"(.*)"\]\s*$/);
-      if (m) tags[m[1]] = m[2];
-    });
-    const headers = {
-      White: tags.White || 'White Player',
-      Black: tags.Black || 'Black Player',
-      WhiteElo: tags.WhiteElo || tags.WhiteELO || '',
-      BlackElo: tags.BlackElo || tags.BlackELO || ''
-    };
-    return { fens, sans, game, headers, captures: capsProgress };
-  } catch (e) {
-    // Fallback terakhir: parse SAN manual dari movetext sederhana
-    try {
-      const stripTags = (s) => s.replace(/^\s*\[.*\]\s*$\n?/gm, '');
-      const stripComments = (s) => s
-        .replace(/\{[^}]*\}/g, ' ')    // {comments}
-        .replace(/;.*$/gm, ' ')         // ; comments per-line
-        .replace(/\$\d+/g, ' ');       // NAGs
-      const stripResults = (s) => s.replace(/\b(1-0|0-1|1\/2-1\/2|\*)\b/g, ' ');
-      const stripMoveNums = (s) => s.replace(/\d+\s*\.\.\.|\d+\s*\./g, ' ');
-      let text = stripTags(normalized);
-      text = stripComments(text);
-      text = stripResults(text);
-      text = stripMoveNums(text);
-      text = text.replace(/\s+/g, ' ').trim();
-      if (!text) throw e;
-
-      const walk = new Chess();
-      const fens = [walk.fen()];
-      const sans = [];
-      const tokens = text.split(' ');
-      for (const tok of tokens) {
-        const mv = walk.move(tok, { sloppy: true });
-        if (!mv) {
-          // jika token bukan SAN, abaikan (mis. spasi ganda)
-          continue;
-        }
-        sans.push(mv.san);
-        fens.push(walk.fen());
-      }
-      if (sans.length === 0) throw e;
-      // rebuild captures for fallback tokens
-      const emptyCaps = () => ({ p:0, n:0, b:0, r:0, q:0 });
-      const capsProgress = [{ white: emptyCaps(), black: emptyCaps() }];
-      let accWhite = emptyCaps();
-      let accBlack = emptyCaps();
-      const hist = walk.history({ verbose: true });
-      for (const mv of hist) {
-        if (mv.captured) {
-          const t = mv.captured;
-          if (mv.color === 'w') accWhite = { ...accWhite, [t]: (accWhite[t] || 0) + 1 }; else accBlack = { ...accBlack, [t]: (accBlack[t] || 0) + 1 };
-        }
-        capsProgress.push({ white: { ...accWhite }, black: { ...accBlack } });
-      }
-      // headers via tags stripped earlier
-      const tags = {};
-      raw.replace(/\r\n/g,'\n').split('\n').forEach((line)=>{ const m=line.match(/^\s*\[(\w+)\s+"(.*)"\]\s*$/); if(m) tags[m[1]]=m[2]; });
-      const headers = {
-        White: tags.White || 'White Player',
-        Black: tags.Black || 'Black Player',
-        WhiteElo: tags.WhiteElo || tags.WhiteELO || '',
-        BlackElo: tags.BlackElo || tags.BlackELO || ''
-      };
-      return { fens, sans, game: walk, headers, captures: capsProgress };
-    } catch (e2) {
-      throw new Error('PGN tidak valid atau gagal di-parse: ' + (e?.message || e));
-    }
-  }
-}
-
-// --- Util: hitung nilai materi sederhana (tanpa pion struktur, hanya bobot materi) ---
-function materialScore(game) {
-  const values = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 0 };
-  const board = game.board();
-  let w = 0, b = 0;
-  for (const row of board) {
-    for (const piece of row) {
-      if (!piece) continue;
-      const v = values[piece.type] || 0;
-      if (piece.color === 'w') w += v; else b += v;
-    }
+// --- Util: simbol anotasi untuk tag klasifikasi (Best/Excellent/Good ditampilkan sebagai teks) ---
+function annotationSymbol(tag) {
+  switch (tag) {
+    case 'Brilliant': return '!!';
+    case 'Great': return '!';
+    case 'Inaccuracy': return '?!';
+    case 'Mistake': return '?';
+    case 'Blunder': return '??';
+    case 'Miss': return '??';
+    default: return tag;
   }
-  return { w, b };
 }
 
-// --- Util: konversi UCI pertama dari PV menjadi SAN pada FEN tertentu ---
-function uciToSan(fen, uci) {
-  try {
-    const game = new Chess(fen);
-    const moves = game.moves({ verbose: true });
-    const match = moves.find(m => (m.from + m.to + (m.promotion || '')) === uci);
-    if (!match) return null;
-    const sanGame = new Chess(fen);
-    const mv = sanGame.move({ from: match.from, to: match.to, promotion: match.promotion });
-    return mv ? mv.san : null;
-  } catch {
-    return null;
-  }
-}
-
-// --- Util: deteksi pengorbanan materi pada langkah SAN dari posisi FEN ---
-function isSacrificeMove(fen, san, moverSide) {
-  try {
-    const before = new Chess(fen);
-    const sco0 = materialScore(before);
-    const m = before.move(san, { sloppy: true });
-    if (!m) return false;
-    const sco1 = materialScore(before);
-    const delta = moverSide === 'w' ? (sco1.w - sco0.w) : (sco1.b - sco0.b);
-    // sacrifice jika materi turun >= 3 pion-equivalent
-    return delta <= -3;
-  } catch {
-    return false;
-  }
-}
-
-// --- Util: deteksi "offered sacrifice" (korban ditawarkan: setelah langkah, lawan bisa menangkap
-//          bidak/buah yang baru bergerak dan itu menurunkan materi pelaku langkah ≥ 3 pion-equivalent)
-function offersSacrificeNextMove(fen, san, moverSide) {
-  try {
-    const before = new Chess(fen);
-    const wasInCheck = before.in_check();
-    const move = before.move(san, { sloppy: true });
-    if (!move) return false;
-    // Hanya anggap "offered sacrifice" jika LANGKAHNYA BUKAN CAPTURE.
-    // Jika langkah adalah capture (mis. qxg3), itu biasanya trade/recapture dan bukan offering.
-    if (move.flags && move.flags.includes('c')) return false;
-    const after = before; // board now at position after mover's move
-    const scoAfter = materialScore(after);
-    const opponentMoves = after.moves({ verbose: true });
-    // Cari tangkapan pada kotak tujuan piece yang baru bergerak
-    const targetSquare = move.to;
-    for (const om of opponentMoves) {
-      if (om.to === targetSquare && om.flags.includes('c')) {
-        const test = new Chess(after.fen());
-        test.move({ from: om.from, to: om.to, promotion: om.promotion });
-        const scoCap = materialScore(test);
-        const delta = (moverSide === 'w') ? (scoCap.w - scoAfter.w) : (scoCap.b - scoAfter.b);
-        // Jika sebelumnya sedang skak dan langkah ini hanya "menutup skak",
-        // naikkan ambang pengorbanan agar tidak gampang disebut Brilliant.
-        const threshold = wasInCheck ? -5 : -3; // butuh ≥5 pion saat menutup skak
-        if (delta <= threshold) return true; // pelaku langkah kehilangan materi besar setelah tangkapan terbaik
-      }
-    }
-    return false;
-  } catch {
-    return false;
+// --- Util: PV (daftar UCI) → [{ san, uci, fen }] langkah demi langkah via uciToSan ---
+function pvToSanLine(fen, pv) {
+  const line = [];
+  let cur = fen;
+  for (const uci of pv || []) {
+    const san = uciToSan(cur, uci);
+    if (!san) break; // PV tidak cocok dengan posisi (hasil engine lama/terpotong)
+    const g = new Chess(cur);
+    g.move(san);
+    cur = g.fen();
+    line.push({ san, uci, fen: cur });
   }
+  return line;
 }
 
 // --- Util: normalisasi evaluasi ke sudut pandang Putih (pawns) ---
@@ -615,58 +343,23 @@ function evalToCpForSide(ev, side) {
   return null;
 }
 
-// Map mate distance to a large centipawn-like score that preserves distance.
-// Example: mate +3 -> +97,000; mate +1 -> +99,000; mate -3 -> -97,000, etc.
-function mateToScore(mate) {
-  const base = 100000;
-  const step = 1000; // distance granularity
-  const n = Math.min(99, Math.abs(Number(mate) || 0));
-  return Math.sign(mate) * (base - n * step);
-}
-
-// Classify a move by loss against engine best (in centipawns), mover's perspective.
-function classifyMoveByDelta(bestCp, playedCp, flags) {
-  // bestCp/playedCp: higher is better for mover
-  // loss = best - played (>=0 means worse than best)
-  const loss = (bestCp ?? 0) - (playedCp ?? 0);
-
-
-  // If both best and played still mate for mover, classify by mate-distance delta instead of raw cp
-  if (typeof flags?.deltaMateForMover === 'number') {
-    const d = flags.deltaMateForMover; // >0 means slower mate; <0 faster
-    if (d < 0) return "Best";                // faster mate
-    if (d === 0) return "Best";              // same mate distance
-    if (d === 1) return "Excellent";         // one ply slower
-    if (d <= 3) return "Good";               // a few plies slower
-    if (d <= 6) return "Inaccuracy";         // noticeably slower
-    if (d <= 10) return "Mistake";           // much slower but still winning
-    // Only call blunder if mate distance explodes massively
-    return "Mistake";
-  }
+// Warna fase permainan pada grafik evaluasi
+const PHASE_COLORS = { opening: '#10B981', middlegame: '#3B82F6', endgame: '#A855F7' };
 
-  // Jika langkah LEBIH BAIK dari PV#1 (loss < 0), jangan dihukum: anggap 'Best'
-  if (loss < -10) return "Best";
+// Jumlah langkah PV berikutnya yang digambar sebagai panah saat pratinjau line engine
+const PV_PREVIEW_ARROWS = 3;
 
-  // Blunder: sangat buruk atau membalik hasil besar → netral/berlawanan
-  if (loss > 300 ||
-      (bestCp != null && playedCp != null && (
-        (bestCp >= 300 && playedCp <= 0) ||
-        (bestCp <= -300 && playedCp >= 0)
-      ))) {
-    return "Blunder";
-  }
+// Jumlah posisi game "rata-rata" (40 langkah) untuk perkiraan durasi sebelum ada PGN
+const TYPICAL_GAME_POSITIONS = 81;
 
-  // Miss (taktik terlewat) – dievaluasi setelah blunder agar tidak menimpa blunder besar
-  if (flags?.bestIsMate || (bestCp != null && bestCp >= 300)) {
-    if (playedCp != null && playedCp <= 50 && loss <= 200) return "Miss"; // jangan label Miss kalau kerugiannya sudah besar → biar jatuh ke Mistake/Blunder
+// --- Util: ringkasan game dari cache (evals → ringkasan), dihitung ulang bila game/pengaturan berubah ---
+function cachedGameSummary(cache, entry, evals, classification) {
+  let summary = cache.get(evals);
+  if (!summary || summary.index !== entry.index || summary.classification !== classificationKey(classification)) {
+    summary = summarizeAnalyzedGame(entry, evals, classification);
+    cache.set(evals, summary);
   }
-
-  if (loss <= 10) return "Best";        // sama PV#1 atau selisih ≤10cp
-  if (loss <= 20) return "Excellent";
-  if (loss <= 50) return "Good";
-  if (loss <= 150) return "Inaccuracy";
-  if (loss <= 300) return "Mistake";
-  return "Blunder";
+  return summary;
 }
 
 // --- Util: parse PGN jadi daftar FEN + SAN ---
@@ -678,6 +371,7 @@ export default function App() {
   const [error, setError] = useState("");
   const [fens, setFens] = useState([]);     // posisi[0..N]
   const [sans, setSans] = useState([]);     // SAN per ply [1..N]
+  const [moveTree, setMoveTree] = useState(null); // pohon langkah (main line + variasi); id node = key evals/annotations
   const [idx, setIdx] = useState(0);        // index posisi saat ini
   const [evals, setEvals] = useState({});   // map: index -> {cp|mate}
   const [lastMove, setLastMove] = useState(null); // untuk highlight langkah terakhir
@@ -686,18 +380,51 @@ export default function App() {
   const [pendingAnalyze, setPendingAnalyze] = useState(null); // { type: 'current'|'all', depth: number } | null
   const [playerNames, setPlayerNames] = useState({ white: 'White Player', black: 'Black Player' });
   const [playerElos, setPlayerElos] = useState({ white: '', black: '' });
+  const [gameTags, setGameTags] = useState({}); // semua tag header PGN asli (Event, TimeControl, ...)
   const [capturesProgress, setCapturesProgress] = useState([]); // array of { white: {p,n,b,r,q}, black: {...} }
   const [engineReady, setEngineReady] = useState(false);
   const [thinking, setThinking] = useState(false);
   const [analyzeProgress, setAnalyzeProgress] = useState(0);
   const [showLanding, setShowLanding] = useState(true); // tampilkan landing page di awal
+  const [gameIndex, setGameIndex] = useState(0);            // game terpilih bila PGN berisi banyak game
+  const [loadedGameKey, setLoadedGameKey] = useState(null); // teks PGN game yang sedang tampil di papan
+  const [gameAnalyses, setGameAnalyses] = useState({});     // teks game → evals hasil analisis (per game)
+  const [batch, setBatch] = useState({ running: false, done: 0, total: 0, label: '', progress: 0 }); // antrean analisis database
+  const [reportPlayer, setReportPlayer] = useState('');     // pemain untuk laporan gabungan
+  const batchStopRef = useRef(false);
+  const gameSummaryCacheRef = useRef(new WeakMap());        // evals → ringkasan game (hindari hitung ulang)
+  const [savedGames, setSavedGames] = useState([]);         // library game tersimpan (IndexedDB)
+  const [puzzleDeck, setPuzzleDeck] = useState([]);         // kartu puzzle dari game yang dianalisis (IndexedDB)
+  const [classificationSettings, setClassificationSettings] = useState(loadClassificationSettings); // profil ambang klasifikasi
+  const [cacheStats, setCacheStats] = useState({ entries: 0, bytes: 0 });
+  const [autosavePending, setAutosavePending] = useState(false); // analisis game penuh selesai → simpan ke library
 
   // Worker Stockfish (opsional)
   const workerRef = useRef(null);
+  const poolRef = useRef([]);          // worker tambahan untuk analisis paralel
+  const engineUrlRef = useRef(null);   // build Stockfish yang dipakai worker utama (dipakai ulang oleh pool)
+  const engineBuildIdRef = useRef(null); // id build itu (bagian dari kunci cache eval)
+  const engineOptionsRef = useRef({ hash: 32, threads: 1 }); // Hash/Threads efektif (bagian dari kunci cache eval)
+  const [engineSettings, setEngineSettings] = useState(loadEngineSettings); // depth/MultiPV/Hash/Threads/movetime
+  const enginePoolSize = engineSettings.workers;
+  const [engineBuild, setEngineBuild] = useState(loadEngineBuildPreference); // 'auto' atau id build
+  const [engineStatus, setEngineStatus] = useState({ state: 'loading', buildId: null, failed: [] });
   // Simple in-memory cache: key by fen + options signature
   const evalCacheRef = useRef(new Map());
-  // Debug toggle for annotation logic
-  const DEBUG_ANNOT = true;
+  const [liveMode, setLiveMode] = useState(false);            // analisis tak terbatas pada posisi yang tampil
+  const [live, setLive] = useState({ fen: null, lines: [] }); // line MultiPV terakhir dari pencarian live
+  const liveSessionRef = useRef(null);                        // sesi startInfiniteSearch yang sedang jalan
+  const liveStopRef = useRef(Promise.resolve());              // rantai start/stop supaya tidak tumpang tindih di worker utama
+  const liveGenRef = useRef(0);                               // generasi sesi; start yang sudah usang dibatalkan
+  const [exploreMode, setExploreMode] = useState(false);      // drag bidak untuk mencoba langkah sendiri
+  const [explorePending, setExplorePending] = useState(0);    // jumlah langkah explore yang masih dinilai engine
+  const moveTreeRef = useRef(null);                           // pohon terbaru (cek hasil engine yang datang terlambat)
+  const [pvPreview, setPvPreview] = useState(null);           // { fen, rank, ply }: langkah PV yang sedang dipratinjau
+  const [explorerOpen, setExplorerOpen] = useState(false);    // opening explorer dibangun hanya saat dibuka
+  const parsedGamesRef = useRef(new Map());                   // teks PGN → { fens, sans } | null (cache explorer)
+  const [training, setTraining] = useState(null);             // sesi "learn from mistakes": { fens, list, index, status, hint, attempt }
+  const [trainingRecord, setTrainingRecord] = useState(loadTrainingRecord); // latihan yang pernah dicoba/terpecahkan
+  const trainingGenRef = useRef(0);                           // naik tiap ganti latihan; cek hasil engine yang terlambat
 
   // Responsive board size based on viewport; updates on resize
   const [boardSize, setBoardSize] = useState(500);
@@ -755,39 +482,52 @@ export default function App() {
     let loadingTimeout;
     let timeoutToken = 0; // increment to invalidate old timeouts
     let candidateIndex = 0;
-    const isolated = window.crossOriginIsolated === true;
-    const supportsThreads = isolated && typeof window.SharedArrayBuffer !== 'undefined';
-    console.info('[Stockfish] crossOriginIsolated:', isolated, 'SharedArrayBuffer:', typeof window.SharedArrayBuffer !== 'undefined');
-    // Build list depending on capability
-    const threadedPriority = [
-      '/stockfish/stockfish-17.1-8e4d048.js',           // FORCE ONLY primary candidate for debugging
-    ];
-    const nonThreaded = [];
-    const candidates = [...threadedPriority];
+    const caps = detectEngineCapabilities();
+    // Build list depending on capability (manual choice first, then the automatic fallback chain)
+    const candidates = engineCandidates(engineBuild, caps);
+    const failed = [];
     const debugEngine = true; // TEMP: enable verbose engine logs to diagnose startup
+    setEngineReady(false);
+    setEngineStatus({ state: 'loading', buildId: candidates[0]?.id ?? null, failed: [] });
+
+    // Worker utama siap → catat build yang benar-benar berjalan
+    const markReady = () => {
+      clearTimeout(loadingTimeout);
+      setEngineReady(true);
+      setEngineStatus({ state: 'ready', buildId: candidates[candidateIndex]?.id ?? null, failed: [...failed] });
+    };
 
     const tryNextCandidate = (currentWorker) => {
-      try { currentWorker?.terminate(); } catch {}
+      try { currentWorker?.terminate(); } catch { /* already gone */ }
       clearTimeout(loadingTimeout);
+      if (candidates[candidateIndex]) failed.push(candidates[candidateIndex].id);
       candidateIndex += 1;
       if (candidateIndex < candidates.length) {
-        const nextUrl = candidates[candidateIndex];
-        console.warn('Switching Stockfish build to:', nextUrl);
+        const next = candidates[candidateIndex];
+        console.warn('Switching Stockfish build to:', next.url);
+        setEngineStatus({ state: 'loading', buildId: next.id, failed: [...failed] });
         try {
-          const fb = createStockfishWorker(nextUrl);
+          const fb = createStockfishWorker(next.url);
           setupWorker(fb);
           return true;
         } catch (e2) {
           console.error('Failed to create fallback worker:', e2);
+          return tryNextCandidate(null);
         }
       }
       clearTimeout(loadingTimeout);
       setEngineReady(false);
+      setEngineStatus({ state: 'error', buildId: null, failed: [...failed] });
       return false;
     };
 
     const setupWorker = (w) => {
       workerRef.current = w;
+      engineUrlRef.current = candidates[candidateIndex]?.url ?? null;
+      engineBuildIdRef.current = candidates[candidateIndex]?.id ?? null;
+      // Pool lama memakai build sebelumnya → buang, dibuat ulang saat analisis berikutnya
+      poolRef.current.forEach((hw) => { try { hw.terminate(); } catch { /* already gone */ } });
+      poolRef.current = [];
 
       // watchdog for engine loading
       clearTimeout(loadingTimeout);
@@ -795,7 +535,7 @@ export default function App() {
       loadingTimeout = setTimeout(() => {
         if (myToken !== timeoutToken) return; // stale timeout
         console.error('Engine loading timeout after 30 seconds');
-        setEngineReady(false);
+        tryNextCandidate(w);
       }, 30000);
 
       w.onmessage = (e) => {
@@ -803,29 +543,20 @@ export default function App() {
         if (typeof data === 'string') {
           const line = data;
           if (debugEngine) console.log('[Stockfish]', line);
-          if (line.includes('uciok') || line.includes('readyok')) {
-            clearTimeout(loadingTimeout);
-            setEngineReady(true);
-          }
+          if (line.includes('uciok') || line.includes('readyok')) markReady();
           // Do not treat arbitrary 'error' text lines as fatal; rely on actual worker error events
           // Some builds emit lines containing the word 'error' during normal operation.
           return;
         }
         const { type } = data || {};
-        if (type === 'ready') {
-          clearTimeout(loadingTimeout);
-          setEngineReady(true);
-        }
+        if (type === 'ready') markReady();
         if (type === 'error') {
           console.warn('Stockfish reported error message object, advancing candidate.');
           if (tryNextCandidate(w)) return;
         }
         if (type === 'log') {
           const message = data?.message;
-          if (message && (String(message).includes('uciok') || String(message).includes('readyok'))) {
-            clearTimeout(loadingTimeout);
-            setEngineReady(true);
-          }
+          if (message && (String(message).includes('uciok') || String(message).includes('readyok'))) markReady();
         }
       };
 
@@ -855,31 +586,94 @@ export default function App() {
 
     // Try primary worker with candidate chain
     try {
-      const w = createStockfishWorker(candidates[candidateIndex]);
+      const w = createStockfishWorker(candidates[candidateIndex].url);
       setupWorker(w);
     } catch (e) {
       console.error('Primary worker creation threw synchronously:', e);
-      tryNextCandidate(workerRef.current);
+      tryNextCandidate(null);
     }
 
     return () => {
       clearTimeout(loadingTimeout);
-      try { workerRef.current?.terminate(); } catch {}
+      timeoutToken += 1;
+      try { workerRef.current?.terminate(); } catch { /* already gone */ }
+      workerRef.current = null;
+      poolRef.current.forEach((hw) => { try { hw.terminate(); } catch { /* already gone */ } });
+      poolRef.current = [];
     };
+  }, [engineBuild]);
+
+  const engineCaps = useMemo(() => detectEngineCapabilities(), []);
+
+  // Threads > 1 hanya berlaku untuk build multi-thread yang sedang berjalan
+  const effectiveEngineSettings = useMemo(() => {
+    const build = engineBuildById(engineStatus.buildId);
+    return build?.threaded ? engineSettings : { ...engineSettings, threads: 1 };
+  }, [engineSettings, engineStatus.buildId]);
+  useEffect(() => {
+    engineOptionsRef.current = { hash: effectiveEngineSettings.hash, threads: effectiveEngineSettings.threads };
+  }, [effectiveEngineSettings]);
+
+  // Kunci cache eval (memori + IndexedDB): posisi + parameter pencarian + build engine + Hash/Threads,
+  // supaya hasil build lain (lite vs full) atau Threads lain tidak ikut terpakai
+  const evalCacheKey = useCallback((fen, { movetime, depth, multiPV }) => {
+    const { hash, threads } = engineOptionsRef.current;
+    return `${fen}|mv:${movetime ?? ''}|dp:${depth}|mpv:${multiPV ?? ''}|sf:${engineBuildIdRef.current ?? ''}|h:${hash}|th:${threads}`;
   }, []);
 
+  // Perkiraan durasi analisis penuh untuk game yang tampil (atau game 40 langkah bila belum ada)
+  const engineEstimate = useMemo(() => {
+    const positions = moveTree?.nodes?.length || fens.length || TYPICAL_GAME_POSITIONS;
+    const workers = Math.max(1, effectiveEngineSettings.workers);
+    return {
+      positions,
+      workers,
+      quick: estimateAnalysisSeconds(effectiveEngineSettings, 'quick', positions, workers),
+      deep: estimateAnalysisSeconds(effectiveEngineSettings, 'deep', positions, workers),
+    };
+  }, [moveTree, fens.length, effectiveEngineSettings]);
+
+  // Simpan pengaturan engine agar tetap ada setelah reload
+  useEffect(() => {
+    saveEngineSettings(engineSettings);
+  }, [engineSettings]);
+  const autoEngineBuildId = useMemo(() => autoBuildOrder(engineCaps)[0]?.id ?? null, [engineCaps]);
+
+  // Ganti build engine secara manual ('auto' = pilih otomatis); worker dibuat ulang oleh effect di atas
+  const changeEngineBuild = useCallback((id) => {
+    if (thinking || batch.running) return;
+    saveEngineBuildPreference(id);
+    setEngineBuild(id);
+  }, [thinking, batch.running]);
+
+  // Database PGN: satu entri per game (PGN biasa = 1 game)
+  const pgnGames = useMemo(() => parsePgnDatabase(pgn), [pgn]);
+  const analyzedGameKeys = useMemo(() => new Set(Object.keys(gameAnalyses)), [gameAnalyses]);
+  useEffect(() => {
+    setGameIndex(0);
+  }, [pgn]);
+
+  // Simpan hasil analisis per game agar tetap ada saat pindah ke game lain
+  useEffect(() => {
+    if (thinking || !loadedGameKey || Object.keys(evals).length === 0) return;
+    setGameAnalyses((prev) => (prev[loadedGameKey] === evals ? prev : { ...prev, [loadedGameKey]: evals }));
+  }, [thinking, loadedGameKey, evals]);
+
+  // Game yang sedang tampil selesai dianalisis oleh antrean batch → tampilkan hasilnya
+  useEffect(() => {
+    if (thinking || !loadedGameKey || Object.keys(evals).length > 0) return;
+    if (gameAnalyses[loadedGameKey]) {
+      setEvals(gameAnalyses[loadedGameKey]);
+      setAutosavePending(true);
+    }
+  }, [thinking, loadedGameKey, evals, gameAnalyses]);
+
   const cleanPGN = useCallback((rawPGN) => {
     const cleaningRules = [
       [/\r\n/g, "\n"],                                    // normalize newlines
       [/[\u00A0\u2000-\u200B]/g, " "],                   // NBSP & similar → space
       [/\b0-0-0\b/g, "O-O-O"],                          // normalize castling
       [/\b0-0\b/g, "O-O"],
-      [/\{[^}]*\}/g, " "],                              // remove comments { ... }
-      [/^\s*;.*$/gm, " "],                              // remove line comments ;
-      [/\$\d+/g, " "],                                  // remove NAG $1, $3, etc
-      [/\[%[^\]]*\]/g, " "],                            // remove inline tags [%clk 1:23:45]
-      [/\([^()]*\)/g, " "],                             // remove variations ( ... )
-      [/\([^()]*\)/g, " "],                             // second pass for nested
       [/[ \t]+\n/g, "\n"],                              // clean whitespace
       [/\n{3,}/g, "\n\n"],
       [/[ \t]{2,}/g, " "],
@@ -905,10 +699,11 @@ export default function App() {
     try {
       setError("");
       const normalized = cleanPGN(pgn);
-      const { fens: F, sans: S, captures: C } = parsePgnToFens(normalized);
+      const { fens: F, sans: S, captures: C, tree: T } = parsePgnToFens(normalized);
       const names = extractPlayerNames(normalized);
       setFens(F);
       setSans(S);
+      setMoveTree(T);
       setPlayerNames(names);
       if (C) setCapturesProgress(C);
       setIdx(0);
@@ -923,10 +718,11 @@ export default function App() {
     try {
       setError("");
       const normalized = cleanPGN(pgn);
-      const { fens: F, sans: S } = parsePgnToFens(normalized);
+      const { fens: F, sans: S, tree: T } = parsePgnToFens(normalized);
       const names = extractPlayerNames(normalized);
       setFens(F);
       setSans(S);
+      setMoveTree(T);
       setPlayerNames(names);
       setIdx(0);
       setEvals({});
@@ -935,7 +731,7 @@ export default function App() {
       if (F.length > 0) {
         if (engineReady) {
           // analyze using freshly parsed list to avoid state timing race
-          analyzeAll(15, F);
+          analyzeAll(15, T.nodes.map(n => n.fen), { nodes: T.nodes });
         } else {
           // fallback: queue analyze-all; state F will be ready by the time engine becomes ready
           setPendingAnalyze({ type: 'all', depth: 15 });
@@ -958,10 +754,22 @@ export default function App() {
     reader.readAsText(file);
   }
 
+  // Hentikan pencarian live (bila ada); resolve setelah engine menjawab "bestmove"
+  const stopLiveAnalysis = useCallback(() => {
+    liveGenRef.current += 1;
+    liveStopRef.current = liveStopRef.current.then(async () => {
+      const session = liveSessionRef.current;
+      liveSessionRef.current = null;
+      if (session) await session.stop();
+    });
+    return liveStopRef.current;
+  }, []);
+
   // Analisis 1 posisi (kembalikan evalObj {cp|mate} + multipv)
   const analyzeFenOnce = useCallback((fen, optionsDepthOrOpts = 12, multiPVArg = 5) => {
     return new Promise((resolve) => {
-      const w = workerRef.current;
+      // opts.worker: worker pool tertentu (default: worker utama)
+      const w = optionsDepthOrOpts?.worker || workerRef.current;
       if (!w) return resolve(null);
       // Determine options
       let depth = 12;
@@ -979,289 +787,278 @@ export default function App() {
       // Terminal position short-circuit
       const terminal = getTerminalEval(fen);
       if (terminal) {
-        const key = `${fen}|mv:${movetime ?? ''}|dp:${depth}|mpv:${multiPV}`;
         const res = { ...terminal, bestmoveUci: null, multipv: [] };
-        evalCacheRef.current.set(key, res);
+        evalCacheRef.current.set(evalCacheKey(fen, { movetime, depth, multiPV }), res);
         return resolve(res);
       }
 
       // Cache check
-      const cacheKey = `${fen}|mv:${movetime ?? ''}|dp:${depth}|mpv:${multiPV}`;
+      const cacheKey = evalCacheKey(fen, { movetime, depth, multiPV });
       if (evalCacheRef.current.has(cacheKey)) {
         return resolve(evalCacheRef.current.get(cacheKey));
       }
+      // Hasil engine disimpan ke cache memori + IndexedDB (bertahan setelah reload)
+      const finish = (res) => {
+        evalCacheRef.current.set(cacheKey, res);
+        putCachedEval(cacheKey, res);
+        resolve(res);
+      };
 
-      let currentEval = null;
-      let bestmoveUci = null;
-      const mpv = {}; // k -> { type: 'cp'|'mate', value: number, uci: string }
-
-      const handler = (e) => {
-        const data = e.data;
-        if (typeof data === 'string') {
-          const line = data;
-          // Parse MultiPV lines
-          // Example: info depth 15 seldepth 28 multipv 2 score cp -34 nodes ... pv e2e4 e7e5 ...
-          const mMulti = line.match(/\bmultipv\s+(\d+)/);
-          if (mMulti) {
-            const k = parseInt(mMulti[1], 10);
-            const mCp = line.match(/score\s+cp\s+(-?\d+)/);
-            const mMate = line.match(/score\s+mate\s+(-?\d+)/);
-            const mPv = line.match(/\bpv\s+([a-h][1-8][a-h][1-8][qrbn]?)/);
-            if (mPv && (mCp || mMate)) {
-              if (mMate) mpv[k] = { type: 'mate', value: parseInt(mMate[1], 10), uci: mPv[1] };
-              else mpv[k] = { type: 'cp', value: parseInt(mCp[1], 10), uci: mPv[1] };
-              // also track currentEval as best so far when k===1
-              if (k === 1) {
-                currentEval = mMate ? { mate: parseInt(mMate[1], 10) } : { cp: parseInt(mCp[1], 10) };
-              }
-            }
-          }
-          // Parse single PV fallback (no multipv key present on some builds): still update currentEval
-          const mCp = line.match(/score\s+cp\s+(-?\d+)/);
-          const mMate = line.match(/score\s+mate\s+(-?\d+)/);
-          if (mCp) currentEval = { cp: parseInt(mCp[1], 10) };
-          if (mMate) currentEval = { mate: parseInt(mMate[1], 10) };
-
-          const mBest = line.match(/\bbestmove\s+(\S+)/);
-          if (mBest) {
-            bestmoveUci = mBest[1];
-            w.removeEventListener('message', handler);
-            // Build result
-            const multipv = Object.keys(mpv)
-              .map(k => ({ rank: parseInt(k, 10), uci: mpv[k].uci, [mpv[k].type]: mpv[k].value }))
-              .sort((a, b) => a.rank - b.rank);
-            const best = multipv.find(m => m.rank === 1);
-            const result = best ? { ...best } : (currentEval || null);
-            if (result) {
-              // normalize: carry cp|mate to top-level
-              const top = {};
-              if ('cp' in result) top.cp = result.cp;
-              if ('mate' in result) top.mate = result.mate;
-              resolve({ ...top, bestmoveUci, multipv });
-            } else {
-              resolve(null);
-            }
-          }
-          return;
-        }
-        const { type } = data || {};
-        if (type === 'eval') {
-          const { cp, mate } = data;
-          currentEval = (cp !== undefined) ? { cp } : { mate };
+      const startSearch = () => {
+        // Send UCI commands directly (avoid ucinewgame here to keep hash warm)
+        searchPosition(w, fen, { depth, movetime, multiPV }).then((res) => {
+          if (res) finish(res); else resolve(null);
+        });
+      };
+      // Cache persisten dulu; engine hanya jalan bila posisi belum pernah dianalisis dengan parameter ini
+      // Entri lama (sebelum PV lengkap disimpan) dianalisis ulang
+      getCachedEval(cacheKey).then((stored) => {
+        const hasFullPv = stored && (stored.multipv || []).every(m => Array.isArray(m.pv));
+        if (stored && hasFullPv) {
+          evalCacheRef.current.set(cacheKey, stored);
+          resolve(stored);
+        } else {
+          startSearch();
         }
-        if (type === 'bestmove') {
-          bestmoveUci = data?.bestmove;
-          w.removeEventListener('message', handler);
-          const multipv = Object.keys(mpv)
-            .map(k => ({ rank: parseInt(k, 10), uci: mpv[k].uci, [mpv[k].type]: mpv[k].value }))
-            .sort((a, b) => a.rank - b.rank);
-          const best = multipv.find(m => m.rank === 1);
-          const result = best ? { ...best } : (currentEval || null);
-          if (result) {
-            const top = {};
-            if ('cp' in result) top.cp = result.cp;
-            if ('mate' in result) top.mate = result.mate;
-            resolve({ ...top, bestmoveUci, multipv });
-          } else {
-            resolve(null);
-          }
+      });
+    });
+  }, [evalCacheKey]);
+
+  // Worker tambahan untuk pool (worker utama = workerRef); dibuat saat analisis pertama
+  const ensureEnginePool = useCallback(async () => {
+    const main = workerRef.current;
+    if (!main) return [];
+    const pool = poolRef.current;
+    const wanted = Math.max(0, enginePoolSize - 1);
+    while (pool.length > wanted) {
+      try { pool.pop().terminate(); } catch { /* already gone */ }
+    }
+    if (pool.length < wanted) {
+      const created = [];
+      for (let k = pool.length; k < wanted; k++) {
+        try {
+          created.push(createStockfishWorker(engineUrlRef.current));
+        } catch (e) {
+          console.warn('Gagal membuat worker pool tambahan:', e?.message || e);
+          break;
         }
-      };
-      w.addEventListener('message', handler);
-      // Send UCI commands directly (avoid ucinewgame here to keep hash warm)
-      try { w.postMessage('setoption name MultiPV value ' + multiPV); } catch {}
-      try { w.postMessage('position fen ' + fen); } catch {}
-      if (movetime != null) {
-        try { w.postMessage('go movetime ' + movetime); } catch {}
-      } else {
-        try { w.postMessage('go depth ' + depth); } catch {}
       }
-    });
-  }, []);
-
-  // Analisis semua posisi berurutan
-  const analyzeAll = useCallback(async (depth = 12, list, { fastFirstPass = true, movetime = 80, multiPV = 3, stableFinalPass = true, stableDepth = 14, stableMultiPV = 5 } = {}) => {
-    const fenList = Array.isArray(list) ? list : fens;
-    if (!engineReady || fenList.length === 0) return;
-    setThinking(true);
-    setAnalyzeProgress(0);
-    const next = {};
-    const w = workerRef.current;
-    if (!w) {
-      setThinking(false);
-      return;
+      const ready = await Promise.all(created.map(hw => waitForUciOk(hw)));
+      created.forEach((hw, k) => {
+        if (ready[k]) pool.push(hw);
+        else {
+          console.warn('Worker pool tambahan tidak siap, dilewati.');
+          try { hw.terminate(); } catch { /* already gone */ }
+        }
+      });
     }
-    // Prepare engine once per batch with deterministic options
-    try {
-      w.postMessage('ucinewgame');
-      w.postMessage('setoption name Clear Hash value true');
-      w.postMessage('setoption name Threads value 1');
-      w.postMessage('setoption name Hash value 32');
-      w.postMessage('setoption name Ponder value false');
-      w.postMessage('setoption name UCI_AnalyseMode value true');
-      w.postMessage('setoption name UCI_LimitStrength value false');
-      w.postMessage('setoption name Skill Level value 20');
-      w.postMessage('setoption name Contempt value 0');
-      w.postMessage('setoption name MultiPV value ' + (fastFirstPass ? multiPV : stableMultiPV));
-    } catch {}
-    for (let i = 0; i < fenList.length; i++) {
+    return [main, ...pool];
+  }, [enginePoolSize]);
+
+  // Analisis daftar FEN dengan engine lalu kembalikan evals (tanpa menyentuh state papan)
+  // Dipakai analyzeAll (game yang tampil) dan antrean batch (game lain di database).
+  // onProgress(0..1) dipanggil per posisi; shouldStop() → true menghentikan analisis (hasil null).
+  // Posisi dibagi ke semua worker di pool; dengan lebih dari satu worker, pass stabil & verifikasi
+  // dalam mulai dari hash kosong per posisi sehingga hasilnya tidak bergantung pada urutan/worker.
+  // Dengan satu worker posisinya tetap berurutan, jadi hash dibiarkan hangat seperti analisis serial.
+  const analyzeFenList = useCallback(async (fenList, treeNodes, { depth = 12, fastFirstPass = true, movetime = 80, multiPV = 3, stableFinalPass = true, stableDepth = 14, stableMultiPV = 5, verifyDepth = 18, hash = 32, threads = 1, onProgress, shouldStop } = {}) => {
+    const next = {};
+    await stopLiveAnalysis();
+    const workers = await ensureEnginePool();
+    if (workers.length === 0) return null;
+    const progress = (v) => { if (onProgress) onProgress(v); };
+    const stopped = () => Boolean(shouldStop && shouldStop());
+    // Fresh search: empty hash so the result does not depend on what the worker searched before
+    // (a single worker searches the positions in order and keeps its hash warm)
+    const pooled = workers.length > 1;
+    const freshSearch = (fen, opts, worker) => {
+      if (pooled) {
+        try { worker.postMessage('ucinewgame'); } catch { /* worker gone; analyzeFenOnce handles it */ }
+      }
+      return analyzeFenOnce(fen, { ...opts, worker });
+    };
+    // Prepare engines once per batch with deterministic options
+    workers.forEach(w => configureEngine(w, fastFirstPass ? multiPV : stableMultiPV, { hash, threads }));
+    let done = 0;
+    const firstPassOk = await runPooled(fenList.length, workers, async (i, worker) => {
       // Use cache-aware fast first pass
-      const opts = fastFirstPass ? { movetime, multiPV, depth: Math.min(depth, 12) } : { depth, multiPV: 5 };
-      const ev = await analyzeFenOnce(fenList[i], opts);
+      const opts = fastFirstPass ? { movetime, multiPV, depth: Math.min(depth, 12) } : { depth, multiPV: stableMultiPV };
+      const ev = fastFirstPass
+        ? await analyzeFenOnce(fenList[i], { ...opts, worker })
+        : await freshSearch(fenList[i], opts, worker);
       if (ev) {
         next[i] = ev;
         // store in cache explicitly as well (already done inside analyzeFenOnce but safe)
-        const key = `${fenList[i]}|mv:${opts.movetime ?? ''}|dp:${opts.depth}|mpv:${opts.multiPV ?? ''}`;
-        evalCacheRef.current.set(key, ev);
+        evalCacheRef.current.set(evalCacheKey(fenList[i], opts), ev);
       }
-      setAnalyzeProgress((i + 1) / fenList.length);
-    }
+      progress(++done / fenList.length);
+    }, { shouldStop: stopped });
+    if (!firstPassOk) return null;
     // Stable final pass: re-evaluate SELURUH posisi dengan parameter tetap agar hasil konsisten antar-run
     let finalEvals = next;
     if (stableFinalPass) {
       // Reset engine state for stable pass
-      w.postMessage('ucinewgame');
-      w.postMessage('setoption name Clear Hash value true');
-      w.postMessage('setoption name Threads value 1');
-      w.postMessage('setoption name Hash value 32');
-      w.postMessage('setoption name Ponder value false');
-      w.postMessage('setoption name UCI_AnalyseMode value true');
-      w.postMessage('setoption name UCI_LimitStrength value false');
-      w.postMessage('setoption name Skill Level value 20');
-      w.postMessage('setoption name Contempt value 0');
-      w.postMessage('setoption name MultiPV value ' + stableMultiPV);
+      workers.forEach(w => configureEngine(w, stableMultiPV, { hash, threads }));
       finalEvals = {};
-      for (let i = 0; i < fenList.length; i++) {
-        const ev2 = await analyzeFenOnce(fenList[i], { depth: stableDepth, multiPV: stableMultiPV });
+      done = 0;
+      const stableOk = await runPooled(fenList.length, workers, async (i, worker) => {
+        const ev2 = await freshSearch(fenList[i], { depth: stableDepth, multiPV: stableMultiPV }, worker);
         if (ev2) finalEvals[i] = ev2; else finalEvals[i] = next[i] ?? null;
-        setAnalyzeProgress((i + 1) / fenList.length);
-      }
+        progress(++done / fenList.length);
+      }, { shouldStop: stopped });
+      if (!stableOk) return null;
     }
 
     // Auto-deepen verification: for strict sacrifice candidates where played move is NOT PV#1 at stable depth,
     // run a deeper check to confirm whether it becomes PV#1. If yes, update finalEvals[i] with the deeper result.
     try {
-      const deepDepth = Math.max((stableFinalPass ? stableDepth : depth) + 4, 18);
+      const deepDepth = Math.max((stableFinalPass ? stableDepth : depth) + 4, verifyDepth);
       const deepMultiPV = Math.max(stableMultiPV || 5, 5);
-      for (let i = 0; i < fenList.length - 1; i++) {
+      // Every played move as parent → child (falls back to the flat main line)
+      const candidates = sacrificeCandidates(fenList, playedMovesOf(fenList, treeNodes, sans), finalEvals);
+
+      // Deeper re-analysis for these positions only
+      const deepOk = await runPooled(candidates.length, workers, async (k, worker) => {
+        const { i, san: playedSan } = candidates[k];
         const fen = fenList[i];
-        if (!fen || !finalEvals[i]) continue;
-        const moverSide = fen.split(' ')[1];
-        const playedSan = sans[i];
-        if (!playedSan) continue;
-        if (!isStrictPieceSacrificeOffer(fen, playedSan, moverSide)) continue;
-        // Compare with current PV#1
-        const bestUci = finalEvals[i].bestmoveUci || (Array.isArray(finalEvals[i].multipv) ? finalEvals[i].multipv.find(x => x.rank === 1)?.uci : null);
-        const bestSanNow = bestUci ? uciToSan(fen, bestUci) : null;
-        if (bestSanNow && normalizeSan(bestSanNow) === normalizeSan(playedSan)) continue; // already PV#1
-
-        // Deeper re-analysis for this position only
-        const evDeep = await analyzeFenOnce(fen, { depth: deepDepth, multiPV: deepMultiPV });
-        if (evDeep) {
-          const deepBestUci = evDeep.bestmoveUci || (Array.isArray(evDeep.multipv) ? evDeep.multipv.find(x => x.rank === 1)?.uci : null);
-          const deepBestSan = deepBestUci ? uciToSan(fen, deepBestUci) : null;
-          if (deepBestSan && normalizeSan(deepBestSan) === normalizeSan(playedSan)) {
-            finalEvals[i] = evDeep; // promote deeper verdict so annotations will mark Brilliant
-          }
+        const evDeep = await freshSearch(fen, { depth: deepDepth, multiPV: deepMultiPV }, worker);
+        if (evDeep && isEngineBestMove(fen, evDeep, playedSan)) {
+          finalEvals[i] = evDeep; // promote deeper verdict so annotations will mark Brilliant
         }
-      }
+      }, { shouldStop: stopped });
+      if (!deepOk) return null;
     } catch (e) {
       console.warn('Auto-deepen verification skipped due to error:', e?.message || e);
     }
 
-    setEvals(finalEvals);
+    return finalEvals;
+  }, [sans, analyzeFenOnce, ensureEnginePool, stopLiveAnalysis, evalCacheKey]);
+
+  // Analisis semua posisi berurutan
+  // list: FEN per node id (main line + variasi); nodes: node pohon yang sejajar dengan list
+  const analyzeAll = useCallback(async (depth = 12, list, options = {}) => {
+    const fenList = Array.isArray(list) ? list : (moveTree ? moveTree.nodes.map(n => n.fen) : fens);
+    const treeNodes = Array.isArray(options.nodes) ? options.nodes : (Array.isArray(list) ? null : moveTree?.nodes);
+    if (!engineReady || batch.running || fenList.length === 0) return;
+    setThinking(true);
+    setAnalyzeProgress(0);
+    const finalEvals = await analyzeFenList(fenList, treeNodes, { ...options, depth, onProgress: setAnalyzeProgress });
+    if (finalEvals) {
+      setEvals(finalEvals);
+      setAutosavePending(true);
+    }
     setThinking(false);
-  }, [engineReady, fens, analyzeFenOnce]);
+  }, [engineReady, batch.running, fens, moveTree, analyzeFenList]);
+
+  // Terapkan hasil parsePgnToFens ke state papan (dipakai Quick/Deep/Example)
+  const applyParsedGame = useCallback((parsed) => {
+    setGame(parsed.game);
+    setFens(parsed.fens);
+    setSans(parsed.sans);
+    setMoveTree(parsed.tree || buildLinearTree(parsed.fens, parsed.sans));
+    setGameTags(parsed.tags || {});
+    // set headers
+    if (parsed.headers) {
+      setPlayerNames({ white: parsed.headers.White || 'White Player', black: parsed.headers.Black || 'Black Player' });
+      setPlayerElos({ white: parsed.headers.WhiteElo || '', black: parsed.headers.BlackElo || '' });
+    }
+    // set captures progress
+    if (parsed.captures) setCapturesProgress(parsed.captures);
+    setIdx(0);
+    setEvals({});
+  }, []);
 
   // Handlers: Quick and Deep analysis (placed AFTER analyzeAll definition)
   const handleQuickAnalyze = useCallback(() => {
     try {
-      const parsed = parsePgnToFens(pgn);
+      const source = pgnGames[gameIndex]?.raw ?? pgn;
+      const parsed = parsePgnToFens(source);
       if (!parsed || !parsed.fens || parsed.fens.length === 0) {
         setError('PGN tidak valid atau kosong.');
         return;
       }
       setError('');
       setShowLanding(false);
-      setGame(parsed.game);
-      setFens(parsed.fens);
-      setSans(parsed.sans);
-      // set headers
-      if (parsed.headers) {
-        setPlayerNames({ white: parsed.headers.White || 'White Player', black: parsed.headers.Black || 'Black Player' });
-        setPlayerElos({ white: parsed.headers.WhiteElo || '', black: parsed.headers.BlackElo || '' });
-      }
-      // set captures progress
-      if (parsed.captures) setCapturesProgress(parsed.captures);
-      setIdx(0);
-      setEvals({});
-      analyzeAll(12, parsed.fens, { fastFirstPass: true, stableFinalPass: false, movetime: 80, multiPV: 3 });
+      applyParsedGame(parsed);
+      setLoadedGameKey(source);
+      const { depth, ...options } = quickAnalysisOptions(effectiveEngineSettings);
+      analyzeAll(depth, parsed.tree.nodes.map(n => n.fen), { ...options, nodes: parsed.tree.nodes });
     } catch (e) {
       console.error('Quick analyze PGN error:', e);
       setError(e?.message || 'Gagal memproses PGN.');
     }
-  }, [pgn, analyzeAll]);
+  }, [pgn, pgnGames, gameIndex, analyzeAll, applyParsedGame, effectiveEngineSettings]);
 
   const handleDeepAnalyze = useCallback(() => {
     try {
-      const parsed = parsePgnToFens(pgn);
+      const source = pgnGames[gameIndex]?.raw ?? pgn;
+      const parsed = parsePgnToFens(source);
       if (!parsed || !parsed.fens || parsed.fens.length === 0) {
         setError('PGN tidak valid atau kosong.');
         return;
       }
       setError('');
       setShowLanding(false);
-      setGame(parsed.game);
-      setFens(parsed.fens);
-      setSans(parsed.sans);
-      if (parsed.headers) {
-        setPlayerNames({ white: parsed.headers.White || 'White Player', black: parsed.headers.Black || 'Black Player' });
-        setPlayerElos({ white: parsed.headers.WhiteElo || '', black: parsed.headers.BlackElo || '' });
-      }
-      if (parsed.captures) setCapturesProgress(parsed.captures);
-      setIdx(0);
-      setEvals({});
-      analyzeAll(14, parsed.fens, { fastFirstPass: false, stableFinalPass: true, stableDepth: 14, stableMultiPV: 5 });
+      applyParsedGame(parsed);
+      setLoadedGameKey(source);
+      const { depth, ...options } = deepAnalysisOptions(effectiveEngineSettings);
+      analyzeAll(depth, parsed.tree.nodes.map(n => n.fen), { ...options, nodes: parsed.tree.nodes });
     } catch (e) {
       console.error('Deep analyze PGN error:', e);
       setError(e?.message || 'Gagal memproses PGN.');
     }
-  }, [pgn, analyzeAll]);
+  }, [pgn, pgnGames, gameIndex, analyzeAll, applyParsedGame, effectiveEngineSettings]);
+
+  // Node pohon yang sedang ditampilkan (idx = id node; main line: id === ply)
+  const currentNode = moveTree?.nodes?.[idx] || null;
+  const currentFen = currentNode?.fen ?? fens[idx];
+  const parentFen = currentNode ? moveTree.nodes[currentNode.parent]?.fen : fens[idx - 1];
+  const incomingSan = currentNode ? currentNode.san : sans[idx - 1];
+  // Langkah yang dimainkan DARI posisi ini (lanjutan pada line yang sama)
+  const outgoingSan = currentNode
+    ? (currentNode.children.length ? moveTree.nodes[currentNode.children[0]].san : null)
+    : sans[idx];
+  const nodeCount = moveTree?.nodes?.length ?? fens.length;
 
   // Wrapper: request deep analysis for current position, queue if engine not ready yet
-  const requestAnalyzeCurrent = useCallback((depth = 18) => {
+  const requestAnalyzeCurrent = useCallback((depth = effectiveEngineSettings.verifyDepth) => {
+    if (batch.running) return;
     if (engineReady) {
-      analyzeFenOnce(fens[idx], depth).then((ev) => {
-        if (ev) setEvals((prev) => ({ ...prev, [idx]: ev }));
-      });
+      // Worker utama dipakai live analysis – hentikan dulu supaya bestmove-nya tidak tertukar
+      setLiveMode(false);
+      stopLiveAnalysis()
+        .then(() => analyzeFenOnce(currentFen, { depth, multiPV: effectiveEngineSettings.deepMultiPV }))
+        .then((ev) => {
+          if (ev) setEvals((prev) => ({ ...prev, [idx]: ev }));
+        });
     } else {
       setPendingAnalyze({ type: 'current', depth });
     }
-  }, [engineReady, analyzeFenOnce, fens, idx]);
+  }, [engineReady, batch.running, analyzeFenOnce, stopLiveAnalysis, currentFen, idx, effectiveEngineSettings]);
 
   // Wrapper: request analyze all positions, queue if engine not ready yet
-  const requestAnalyzeAll = useCallback((depth = 15) => {
+  const requestAnalyzeAll = useCallback((depth = effectiveEngineSettings.quickDepth) => {
     if (engineReady) {
-      analyzeAll(depth, undefined, { fastFirstPass: true, movetime: 80, multiPV: 3 });
+      analyzeAll(depth, undefined, quickAnalysisOptions(effectiveEngineSettings));
     } else {
       setPendingAnalyze({ type: 'all', depth });
     }
-  }, [engineReady, analyzeAll]);
+  }, [engineReady, analyzeAll, effectiveEngineSettings]);
 
   // When engine becomes ready, flush any pending analyze request
   useEffect(() => {
     if (engineReady && pendingAnalyze) {
       const { type, depth } = pendingAnalyze;
       if (type === 'current') {
-        analyzeFenOnce(fens[idx], { depth, multiPV: 5 }).then((ev) => {
+        analyzeFenOnce(currentFen, { depth, multiPV: effectiveEngineSettings.deepMultiPV }).then((ev) => {
           if (ev) setEvals((prev) => ({ ...prev, [idx]: ev }));
         });
       } else if (type === 'all') {
-        analyzeAll(depth, undefined, { fastFirstPass: true, movetime: 80, multiPV: 3 });
+        analyzeAll(depth, undefined, quickAnalysisOptions(effectiveEngineSettings));
       }
       setPendingAnalyze(null);
     }
-  }, [engineReady, pendingAnalyze, analyzeFenOnce, fens, idx, analyzeAll]);
+  }, [engineReady, pendingAnalyze, analyzeFenOnce, currentFen, idx, analyzeAll, effectiveEngineSettings]);
 
   // Start with example PGN directly (bypass needing user to click Quick after filling)
   const startWithExample = useCallback(() => {
@@ -1280,43 +1077,247 @@ export default function App() {
       const parsed = parsePgnToFens(example);
       setError('');
       setShowLanding(false);
-      setGame(parsed.game);
-      setFens(parsed.fens);
-      setSans(parsed.sans);
-      if (parsed.headers) {
-        setPlayerNames({ white: parsed.headers.White || 'White Player', black: parsed.headers.Black || 'Black Player' });
-        setPlayerElos({ white: parsed.headers.WhiteElo || '', black: parsed.headers.BlackElo || '' });
-      }
-      if (parsed.captures) setCapturesProgress(parsed.captures);
-      setIdx(0);
-      setEvals({});
-      analyzeAll(12, parsed.fens, { fastFirstPass: true, stableFinalPass: false, movetime: 80, multiPV: 3 });
+      applyParsedGame(parsed);
+      setLoadedGameKey(example);
+      const { depth, ...options } = quickAnalysisOptions(effectiveEngineSettings);
+      analyzeAll(depth, parsed.tree.nodes.map(n => n.fen), { ...options, nodes: parsed.tree.nodes });
     } catch (e) {
       setError(e?.message || 'Gagal memulai contoh.');
     }
-  }, [analyzeAll]);
+  }, [analyzeAll, applyParsedGame, effectiveEngineSettings]);
+
+  // Pindah ke game lain di database: tampilkan papannya dan pulihkan analisis yang tersimpan
+  // ply (opsional): langsung buka posisi setelah langkah itu (dipakai daftar langkah terburuk)
+  const selectGame = useCallback((i, ply = 0) => {
+    const entry = pgnGames[i];
+    if (!entry || thinking) return;
+    if (entry.raw === loadedGameKey && i === gameIndex) {
+      setIdx(ply);
+      return;
+    }
+    try {
+      const parsed = parsePgnToFens(entry.raw);
+      setError('');
+      setShowLanding(false);
+      applyParsedGame(parsed);
+      setGameIndex(i);
+      setLoadedGameKey(entry.raw);
+      if (gameAnalyses[entry.raw]) setEvals(gameAnalyses[entry.raw]);
+      if (ply) setIdx(ply);
+    } catch (e) {
+      setError(`Game ${i + 1}: ${e?.message || 'Gagal memproses PGN.'}`);
+    }
+  }, [pgnGames, thinking, loadedGameKey, gameIndex, applyParsedGame, gameAnalyses]);
+
+  // Antrean batch: analisis semua game database yang belum punya hasil, satu per satu
+  const runBatchAnalysis = useCallback(async () => {
+    if (!engineReady || thinking || batch.running) return;
+    const queue = pgnGames.filter(g => !gameAnalyses[g.raw]);
+    if (queue.length === 0) return;
+    batchStopRef.current = false;
+    setBatch({ running: true, done: 0, total: queue.length, label: '', progress: 0 });
+    for (let n = 0; n < queue.length; n++) {
+      if (batchStopRef.current) break;
+      const entry = queue[n];
+      setBatch(b => ({ ...b, done: n, label: `${entry.white} – ${entry.black}`, progress: 0 }));
+      let parsed;
+      try {
+        parsed = parsePgnToFens(entry.raw);
+      } catch (e) {
+        console.warn(`Batch: game ${entry.index + 1} dilewati:`, e?.message || e);
+        continue;
+      }
+      const nodes = parsed.tree.nodes;
+      // Quick first pass + Deep stable pass from the engine settings
+      const deep = deepAnalysisOptions(effectiveEngineSettings);
+      const result = await analyzeFenList(nodes.map(x => x.fen), nodes, {
+        ...quickAnalysisOptions(effectiveEngineSettings),
+        stableFinalPass: true,
+        stableDepth: deep.stableDepth,
+        stableMultiPV: deep.stableMultiPV,
+        onProgress: (v) => setBatch(b => ({ ...b, progress: v })),
+        shouldStop: () => batchStopRef.current,
+      });
+      if (result) setGameAnalyses(prev => ({ ...prev, [entry.raw]: result }));
+    }
+    setBatch(b => ({ ...b, running: false, label: '', progress: 0 }));
+  }, [engineReady, thinking, batch.running, pgnGames, gameAnalyses, analyzeFenList, effectiveEngineSettings]);
+
+  const stopBatchAnalysis = useCallback(() => {
+    batchStopRef.current = true;
+  }, []);
+
+  // Laporan gabungan untuk pemain terpilih (hanya game yang sudah dianalisis)
+  const reportPlayers = useMemo(() => playerNamesInDatabase(pgnGames), [pgnGames]);
+  const playerReport = useMemo(() => {
+    if (!reportPlayer.trim()) return null;
+    const cache = gameSummaryCacheRef.current;
+    const summaries = [];
+    for (const g of pgnGames) {
+      const ev = gameAnalyses[g.raw];
+      if (!ev || !playerSide(g, reportPlayer)) continue;
+      try {
+        summaries.push(cachedGameSummary(cache, g, ev, classificationSettings));
+      } catch (e) {
+        console.warn(`Report: game ${g.index + 1} dilewati:`, e?.message || e);
+      }
+    }
+    return aggregatePlayerReport(summaries, reportPlayer);
+  }, [reportPlayer, pgnGames, gameAnalyses, classificationSettings]);
+
+  // Kalibrasi performance rating: set referensi + game library yang sudah dianalisis dan punya Elo
+  // (tanpa game yang tampil: Elo-nya justru yang dibandingkan dengan perkiraan)
+  const ratingCalibration = useMemo(() => {
+    const cache = gameSummaryCacheRef.current;
+    const summaries = [];
+    for (const g of pgnGames) {
+      const ev = gameAnalyses[g.raw];
+      if (!ev || g.raw === loadedGameKey || !(Number(g.whiteElo) > 0 || Number(g.blackElo) > 0)) continue;
+      try {
+        summaries.push(cachedGameSummary(cache, g, ev, classificationSettings));
+      } catch (e) {
+        console.warn(`Kalibrasi rating: game ${g.index + 1} dilewati:`, e?.message || e);
+      }
+    }
+    return calibrationFor(classificationSettings, ratedSamples(summaries));
+  }, [pgnGames, gameAnalyses, classificationSettings, loadedGameKey]);
 
   const hasGame = useMemo(() => fens.length > 0, [fens.length]);
 
+  // Live analysis: "go infinite" di worker utama pada posisi yang tampil; restart tiap pindah posisi.
+  // Berhenti otomatis selama analisis penuh/batch (worker dipakai) dan jalan lagi setelahnya.
+  const liveMultiPV = effectiveEngineSettings.deepMultiPV;
+  useEffect(() => {
+    if (!liveMode || !engineReady || thinking || batch.running || !hasGame || !currentFen) return;
+    if (getTerminalEval(currentFen)) return;
+    const gen = ++liveGenRef.current;
+    const fen = currentFen;
+    liveStopRef.current = liveStopRef.current.then(() => {
+      const w = workerRef.current;
+      if (gen !== liveGenRef.current || !w) return;
+      setLive({ fen, lines: [] });
+      liveSessionRef.current = startInfiniteSearch(w, fen, {
+        multiPV: liveMultiPV,
+        onUpdate: (lines) => {
+          if (gen !== liveGenRef.current) return;
+          setLive({ fen, lines: lines.map(l => ({ ...l, sans: uciLineToSans(fen, l.pv) })) });
+        },
+      });
+    });
+    return () => { stopLiveAnalysis(); };
+  }, [liveMode, engineReady, thinking, batch.running, hasGame, currentFen, liveMultiPV, stopLiveAnalysis]);
+
+  const liveLinesHere = useMemo(
+    () => (liveMode && live.fen === currentFen ? live.lines : []),
+    [liveMode, live, currentFen]
+  );
+
+  // Explore mode: langkah hasil drag jadi sideline sementara (node explore) yang langsung dinilai
+  // engine; klasifikasinya ikut computeAnnotations seperti langkah game lainnya.
+  useEffect(() => { moveTreeRef.current = moveTree; }, [moveTree]);
+
+  const evaluateExploreMove = useCallback((tree, parentId, id, parentEval) => {
+    const parentFen = tree.nodes[parentId].fen;
+    const fen = tree.nodes[id].fen;
+    const opts = { depth: effectiveEngineSettings.deepDepth, multiPV: effectiveEngineSettings.deepMultiPV };
+    // Hasil hanya dipakai bila node masih ada (line belum dibuang, game belum diganti)
+    const stillThere = (k, f) => moveTreeRef.current?.nodes[k]?.fen === f;
+    setEvals((prev) => {
+      if (!(id in prev)) return prev;
+      const next = { ...prev };
+      delete next[id]; // sisa eval node explore lama dengan id yang sama
+      return next;
+    });
+    setExplorePending(n => n + 1);
+    // Worker utama dipakai bergantian dengan live analysis: antre di rantai yang sama
+    const run = stopLiveAnalysis()
+      .then(async () => {
+        const before = parentEval || await analyzeFenOnce(parentFen, opts);
+        const after = await analyzeFenOnce(fen, opts);
+        setEvals((prev) => {
+          const next = { ...prev };
+          if (before && !prev[parentId] && stillThere(parentId, parentFen)) next[parentId] = before;
+          if (after && stillThere(id, fen)) next[id] = after;
+          return next;
+        });
+      })
+      .catch((e) => console.warn('Evaluasi langkah explore gagal:', e?.message || e));
+    liveStopRef.current = run;
+    run.then(() => setExplorePending(n => n - 1));
+  }, [effectiveEngineSettings, stopLiveAnalysis, analyzeFenOnce]);
+
+  const tryExploreMove = useCallback((from, to, promotion = 'q') => {
+    if (!exploreMode || !moveTree || thinking || batch.running) return false;
+    const parent = moveTree.nodes[idx];
+    if (!parent) return false;
+    let move = null;
+    try {
+      move = new Chess(parent.fen).move({ from, to, promotion });
+    } catch {
+      return false; // langkah ilegal: bidak kembali ke petak asal
+    }
+    const { tree, id, created } = addExploreMove(moveTree, idx, move);
+    if (created) {
+      moveTreeRef.current = tree;
+      setMoveTree(tree);
+      if (engineReady) evaluateExploreMove(tree, idx, id, evals[idx]);
+    }
+    setIdx(id);
+    return true;
+  }, [exploreMode, moveTree, thinking, batch.running, idx, engineReady, evals, evaluateExploreMove]);
+
+  const keepExploreLine = useCallback(() => {
+    setMoveTree(prev => (prev ? keepExploreNodes(prev) : prev));
+  }, []);
+
+  const dropExploreLine = useCallback(() => {
+    if (!moveTree) return;
+    const back = nearestPermanentNode(moveTree, idx);
+    const kept = dropExploreNodes(moveTree);
+    const removed = moveTree.nodes.filter(n => n.explore).map(n => n.id);
+    moveTreeRef.current = kept;
+    setMoveTree(kept);
+    setEvals((prev) => {
+      const next = { ...prev };
+      removed.forEach((k) => { delete next[k]; });
+      return next;
+    });
+    setIdx(back);
+  }, [moveTree, idx]);
+
+  // Line explore yang memuat posisi tampil (atau line explore pertama bila posisi ada di luar)
+  const exploreLine = useMemo(() => {
+    const nodes = moveTree?.nodes;
+    if (!nodes) return [];
+    let start = nodes[idx]?.explore ? idx : (nodes.find(n => n.explore)?.id ?? null);
+    if (start == null) return [];
+    while (nodes[nodes[start].parent]?.explore) start = nodes[start].parent;
+    const onPath = new Set(pathToNode(moveTree, idx));
+    const startFen = nodes[nodes[start].parent].fen;
+    const line = [];
+    for (let k = start; k != null;) {
+      const kids = nodes[k].children;
+      line.push({ id: k, san: nodes[k].san, prefix: moveNumberPrefix(startFen, line.length) });
+      k = kids.find(c => onPath.has(c)) ?? kids[0] ?? null;
+    }
+    return line;
+  }, [moveTree, idx]);
+
   // Update lastMove dan boardPosition ketika idx berubah
   useEffect(() => {
-    if (hasGame && fens[idx]) {
-      setBoardPosition(fens[idx]);
+    if (hasGame && currentFen) {
+      setBoardPosition(currentFen);
       
-      // Calculate last move efficiently
-      if (idx > 0 && sans[idx - 1]) {
-        const tempGame = new Chess();
-        // Replay moves up to current position
-        for (let i = 0; i < idx; i++) {
-          if (i === idx - 1) {
-            const move = tempGame.move(sans[i]);
-            if (move) {
-              setLastMove({ from: move.from, to: move.to });
-              return;
-            }
-          } else {
-            tempGame.move(sans[i]);
+      // Calculate last move from the previous position (works for custom [FEN] starts too)
+      if (idx > 0 && incomingSan && parentFen) {
+        try {
+          const move = new Chess(parentFen).move(incomingSan);
+          if (move) {
+            setLastMove({ from: move.from, to: move.to });
+            return;
           }
+        } catch {
+          // fall through: no highlight
         }
       }
       setLastMove(null);
@@ -1324,395 +1325,362 @@ export default function App() {
       setBoardPosition("start");
       setLastMove(null);
     }
-  }, [idx, sans, fens, hasGame]);
+  }, [idx, hasGame, currentFen, parentFen, incomingSan]);
 
   // Fungsi untuk navigasi dengan animasi
   const navigateToPosition = (newIdx) => {
     if (!hasGame || fens.length === 0) return;
-    if (newIdx === idx) return;
-    if (newIdx < 0 || newIdx >= fens.length) return;
+    if (newIdx == null || newIdx === idx) return;
+    if (newIdx < 0 || newIdx >= nodeCount) return;
     setIdx(newIdx);
   };
 
-  // Data grafik evaluasi (pawns, sudut pandang Putih)
+  // Navigasi di dalam line yang sedang aktif (main line atau variasi)
+  const prevNodeId = currentNode ? currentNode.parent : idx - 1;
+  const nextNodeId = currentNode ? (currentNode.children[0] ?? null) : idx + 1;
+  const lineEndId = (() => {
+    if (!currentNode) return fens.length - 1;
+    let k = currentNode.id;
+    while (moveTree.nodes[k].children.length) k = moveTree.nodes[k].children[0];
+    return k;
+  })();
+
+  // Jam per ply dari [%clk]/[%emt] (null jika PGN tidak punya data waktu)
+  const clockTimeline = useMemo(() => {
+    if (!moveTree) return null;
+    return buildClockTimeline(moveTree.nodes, fens.length, gameTags.TimeControl);
+  }, [moveTree, fens.length, gameTags]);
+
+  // Posisi main line terdekat (variasi memakai jam dari titik percabangannya)
+  const mainlineIdx = (() => {
+    let k = idx;
+    while (moveTree?.nodes?.[k] && !moveTree.nodes[k].mainline) k = moveTree.nodes[k].parent;
+    return Math.min(k ?? 0, Math.max(0, fens.length - 1));
+  })();
+  const currentClocks = clockTimeline?.clocksAt[mainlineIdx] || null;
+  const currentSideToMove = String(fens[mainlineIdx] || '').split(' ')[1];
+
+  // Data grafik evaluasi (pawns, sudut pandang Putih) + waktu berpikir per langkah (detik)
   const chartData = useMemo(() => {
     return fens.map((fen, i) => {
       const sideToMove = fen.split(" ")[1]; // 'w' atau 'b'
       const pawns = evalToPawns(evals[i], sideToMove);
-      return { move: i, pawns };
+      const timeSpent = clockTimeline?.plies[i]?.spent ?? null;
+      return { move: i, pawns, timeSpent };
     });
-  }, [fens, evals]);
-
-  // Klasifikasi per langkah berdasarkan selisih terhadap best PV
-  // Memakai evals[i] (score terbaik pada posisi i) dan evals[i+1] (score setelah langkah dimainkan)
-  const annotations = useMemo(() => {
-    const ann = {};
-    for (let i = 0; i < fens.length - 1; i++) {
-      const moverSide = fens[i].split(" ")[1];           // 'w' atau 'b'
-      const best = evals[i];                               // dari posisi sebelum langkah (best line + multipv)
-      const after = evals[i + 1];                          // dari posisi setelah langkah (relatif lawan)
-      if (!best || !after) continue;
-
-      // Normalisasi ke perspektif mover dalam centipawns
-      let bestCp;
-      if ("mate" in best) bestCp = mateToScore(best.mate); else bestCp = best.cp;
-
-      let playedCp;
-      if ("mate" in after) {
-        if (after.mate === 0) {
-          // Langkah yang baru dimainkan menghasilkan skakmat segera
-          // Dari perspektif pelaku langkah: ini kemenangan maksimum
-          playedCp = 100000;
-        } else {
-          // Flip tanda karena setelah langkah giliran lawan
-          playedCp = -mateToScore(after.mate);
-        }
-      } else playedCp = -after.cp; // flip cp
-
-      // Compute mate distance delta for mover if applicable
-      const bestMateForMover = ("mate" in best && Math.sign(best.mate) > 0) ? Math.abs(best.mate) : null;
-      const playedMateForMover = ("mate" in after && (after.mate === 0 || Math.sign(after.mate) < 0)) ? Math.abs(after.mate) : null;
-      const deltaMateForMover = (bestMateForMover != null && playedMateForMover != null)
-        ? (playedMateForMover - bestMateForMover)
-        : null;
-
-      let tag = classifyMoveByDelta(bestCp, playedCp, {
-        bestIsMate: "mate" in best && Math.sign(best.mate) > 0, // mate untuk mover
-        deltaMateForMover
-      });
-
-      const deltaCp = (bestCp ?? 0) - (playedCp ?? 0);
-
-      // Great / Brilliant detection: only-move and optional sacrifice
-      const pvList = Array.isArray(best.multipv) ? best.multipv : [];
-      const bestUci = best.bestmoveUci || pvList.find(x => x.rank === 1)?.uci || null;
-      const bestSanRaw = bestUci ? uciToSan(fens[i], bestUci) : null;
-      const playedSanRaw = sans[i];
-      const bestSan = normalizeSan(bestSanRaw);
-      const playedSan = normalizeSan(playedSanRaw);
-      if (DEBUG_ANNOT) {
-        console.debug('[Annot]', { i, bestSanRaw, playedSanRaw, bestSan, playedSan });
-      }
-
-      // If the played move equals engine best (SAN match), default to 'Best'.
-      // Upgrade to 'Brilliant' if it constitutes a deliberate piece sacrifice (Q/R/N/B),
-      // including capture sacrifices and exchange sacrifices, measured by net material loss
-      // after opponent's best immediate capture on the target square (with best recapture by mover):
-      // thresholds: Q>=5, R>=3, N/B>=2 pawns of net loss for the mover.
-      if (bestSan && playedSan && playedSan === bestSan) {
-        const movedType = getMovedPieceType(fens[i], playedSan); // 'p','n','b','r','q','k'
-        let isPieceSacrifice = false;
-        let sacLoss = null; // hoist so it's available for debug logging below
-        if (movedType && movedType !== 'p' && movedType !== 'k') {
-          sacLoss = offeredSacrificeLossMagnitude(fens[i], playedSan, moverSide);
-          if (movedType === 'q' && sacLoss <= -5) isPieceSacrifice = true;
-          else if (movedType === 'r' && sacLoss <= -3) isPieceSacrifice = true;
-          else if ((movedType === 'n' || movedType === 'b') && sacLoss <= -2) isPieceSacrifice = true;
-          // pawn sacrifices are ignored for Brilliant per request; king is impossible
-        }
-        if (DEBUG_ANNOT) {
-          console.debug('[Annot][sac-offer]', { i, movedType, sacLoss, isPieceSacrifice });
-        }
-        tag = isPieceSacrifice ? 'Brilliant' : 'Best';
-      }
+  }, [fens, evals, clockTimeline]);
+  const maxTimeSpent = useMemo(() => Math.max(1, ...chartData.map(d => d.timeSpent || 0)), [chartData]);
+  // Fase main line (opening/middlegame/endgame) sebagai rentang posisi untuk shading grafik
+  const chartPhases = useMemo(() => phaseRanges(gamePhasesOfFens(fens)), [fens]);
+
+  // Pembukaan (buku ECO offline): nama + jumlah ply awal yang masih teori
+  const opening = useMemo(() => identifyOpening(fens), [fens]);
+
+  // Ambang klasifikasi per warna (profil terpilih, opsional diskalakan WhiteElo/BlackElo)
+  const moveThresholds = useMemo(
+    () => thresholdsBySide(classificationSettings, playerElos),
+    [classificationSettings, playerElos]
+  );
 
-      // Secondary upgrade: if played move is a qualifying sacrifice (same thresholds)
-      // and is very close to PV#1 (loss <= 20cp from mover's perspective), treat as Brilliant.
-      if (tag !== 'Brilliant' && playedSan) {
-        const movedType3 = getMovedPieceType(fens[i], playedSan);
-        if (movedType3 && movedType3 !== 'p' && movedType3 !== 'k') {
-          const sacLoss3 = offeredSacrificeLossMagnitude(fens[i], playedSan, moverSide);
-          const qualifies = (movedType3 === 'q' && sacLoss3 <= -5) ||
-                           (movedType3 === 'r' && sacLoss3 <= -3) ||
-                           ((movedType3 === 'n' || movedType3 === 'b') && sacLoss3 <= -2);
-          const nearBest = (bestCp != null && playedCp != null && ((bestCp - playedCp) <= 20));
-          if (DEBUG_ANNOT) {
-            console.debug('[Annot][sac-nearBest]', { i, movedType3, sacLoss3, qualifies, bestCp, playedCp });
-          }
-          if (qualifies && nearBest) {
-            tag = 'Brilliant';
-          }
-        }
-      }
+  useEffect(() => {
+    saveClassificationSettings(classificationSettings);
+  }, [classificationSettings]);
 
-      // Compute only-move: all alternatives lose >=150cp vs best for mover
-      let onlyMove = false;
-      if (bestSan && playedSan && playedSan === bestSan && pvList.length >= 2) {
-        const getCp = (item) => ('mate' in item) ? mateToScore(item.mate) : (item.cp);
-        const bestItem = pvList.find(x => x.rank === 1);
-        const bestItemCp = bestItem ? getCp(bestItem) : null;
-        if (bestItemCp != null) {
-          const altLosses = pvList
-            .filter(x => x.rank !== 1)
-            .map(x => bestItemCp - getCp(x));
-          const minAltLoss = Math.min(...altLosses);
-          if (Number.isFinite(minAltLoss) && minAltLoss >= 150) {
-            onlyMove = true;
-          }
-        }
-      }
+  // Klasifikasi per langkah berdasarkan selisih terhadap best PV
+  const annotations = useMemo(
+    () => computeAnnotations({ fens, sans, tree: moveTree, evals, bookPlies: opening.bookPlies, thresholds: moveThresholds }),
+    [fens, evals, sans, moveTree, opening, moveThresholds]
+  );
 
-      if (onlyMove && playedSan === bestSan) {
-        // Do NOT auto-upgrade to Brilliant di sini; tetap 'Great' kecuali aturan sacrifice ketat di atas sudah set Brilliant.
-        if (tag !== 'Brilliant' && tag !== 'Best') {
-          tag = 'Great';
-        }
-      }
+  // Tema taktis di balik Blunder/Mistake/Miss main line (dari line refutasi / line yang terlewat)
+  const motifNotes = useMemo(() => {
+    const out = {};
+    (moveTree?.nodes || []).forEach((n) => {
+      if (!n.mainline || n.parent == null || !annotations[n.id]) return;
+      const note = explainMove({
+        tag: annotations[n.id].tag,
+        fenBefore: moveTree.nodes[n.parent].fen,
+        fenAfter: n.fen,
+        best: evals[n.parent],
+        after: evals[n.id],
+      });
+      if (note) out[n.id] = note;
+    });
+    return out;
+  }, [moveTree, annotations, evals]);
 
-      // Heuristik tambahan: jika langkah = PV#1 dan tampak seperti "offer" (lawan bisa makan di kotak target)
-      // dan setelah capture itu pelaku punya balasan cek langsung, anggap Brilliant untuk N/B/R/Q.
-      if (tag !== 'Brilliant' && bestSan && playedSan && playedSan === bestSan) {
-        const movedType2 = getMovedPieceType(fens[i], playedSan);
-        if (movedType2 && movedType2 !== 'p' && movedType2 !== 'k') {
-          const capOnTarget = hasOpponentCaptureOnTarget(fens[i], playedSan);
-          const checkAfter = moverHasImmediateCheckAfterTargetCapture(fens[i], playedSan, moverSide);
-          if (DEBUG_ANNOT) {
-            console.debug('[Annot][offer+check]', { i, movedType2, capOnTarget, checkAfter });
-          }
-          if (capOnTarget && checkAfter) {
-            tag = 'Brilliant';
-          }
-        }
-      }
+  // Calculate player statistics based on move analysis
+  const playerStats = useMemo(
+    () => computePlayerStats({ fens, sans, evals, bookPlies: opening.bookPlies, thresholds: moveThresholds }),
+    [fens, evals, sans, opening, moveThresholds]
+  );
 
-      // Additional heuristic: For knight moves that are best moves and can be captured,
-      // if the knight sacrifice leads to a significant positional advantage or tactical sequence,
-      // mark as Brilliant even if material calculation doesn't meet strict thresholds
-      if (tag !== 'Brilliant' && bestSan && playedSan && playedSan === bestSan) {
-        const movedType4 = getMovedPieceType(fens[i], playedSan);
-        if (movedType4 === 'n') { // specifically for knight moves
-          const capOnTarget = hasOpponentCaptureOnTarget(fens[i], playedSan);
-          if (capOnTarget) {
-            // Check if this is a true sacrifice (knight can be taken for less than its value)
-            const sacLoss4 = offeredSacrificeLossMagnitude(fens[i], playedSan, moverSide);
-            // For knights, be more lenient - if there's any material loss and it's the best move,
-            // and the evaluation is still good for the player, consider it brilliant
-            if (sacLoss4 != null && sacLoss4 < 0 && bestCp != null && bestCp > -50) {
-              if (DEBUG_ANNOT) {
-                console.debug('[Annot][knight-sac]', { i, sacLoss4, bestCp, playedCp });
-              }
-              tag = 'Brilliant';
-            }
-          }
-        }
-      }
+  // Perkiraan performance rating per pemain (null bila langkah terlalu sedikit, belum ada kalibrasi untuk
+  // pengaturan ini, atau perkiraannya di luar rentang Elo yang dikalibrasi)
+  const performanceRatings = useMemo(() => ({
+    white: estimatePerformance(playerStats.white, ratingCalibration),
+    black: estimatePerformance(playerStats.black, ratingCalibration),
+  }), [playerStats, ratingCalibration]);
+  const ratingRangeTitle = ratingCalibration?.eloRange
+    ? `Calibrated on rated games from ${ratingCalibration.eloRange.min} to ${ratingCalibration.eloRange.max}`
+    : undefined;
+
+  // Learn from mistakes: posisi sebelum Mistake/Blunder/Miss di main line jadi latihan.
+  // Percobaan dinilai dari MultiPV tersimpan; langkah di luar MultiPV dicek engine.
+  const exercises = useMemo(
+    () => collectExercises(moveTree, annotations, evals).map(ex => ({ ...ex, bestSan: uciToSan(ex.fen, ex.bestUci) })),
+    [moveTree, annotations, evals]
+  );
+  // Sesi hanya berlaku untuk game tempat ia dimulai
+  const trainingSession = training && training.fens === fens ? training : null;
+  const currentExercise = trainingSession ? trainingSession.list[trainingSession.index] : null;
+  const atExercise = !!currentExercise && idx === currentExercise.parentId;
 
-      // Fallback yang lebih kuat: jika langkah = PV#1 dan ada kehilangan materi langsung
-      // setelah langkah ini (bisa ditangkap di mana pun) menurut worstImmediateCaptureLoss,
-      // maka terapkan ambang sacrifice yang sama untuk promosi ke "Brilliant".
-      if (tag !== 'Brilliant' && bestSan && playedSan && playedSan === bestSan) {
-        const movedType5 = getMovedPieceType(fens[i], playedSan);
-        if (movedType5 && movedType5 !== 'p' && movedType5 !== 'k') {
-          const worstLoss = worstImmediateCaptureLoss(fens[i], playedSan, moverSide); // negatif untuk pelaku
-          if (DEBUG_ANNOT) {
-            console.debug('[Annot][worst-loss-fallback]', { i, movedType5, worstLoss });
-          }
-          if (typeof worstLoss === 'number') {
-            const qualifies = (movedType5 === 'q' && worstLoss <= -5) ||
-                              (movedType5 === 'r' && worstLoss <= -3) ||
-                              ((movedType5 === 'n' || movedType5 === 'b') && worstLoss <= -2);
-            if (qualifies) {
-              tag = 'Brilliant';
-            }
-          }
-        }
-      }
+  useEffect(() => {
+    saveTrainingRecord(trainingRecord);
+  }, [trainingRecord]);
+
+  const goToExercise = useCallback((k) => {
+    if (!trainingSession || k < 0 || k >= trainingSession.list.length) return;
+    trainingGenRef.current += 1;
+    setTraining(t => ({ ...t, index: k, status: 'find', hint: 0, attempt: null }));
+    setPvPreview(null);
+    setIdx(trainingSession.list[k].parentId);
+  }, [trainingSession]);
+
+  const startTraining = useCallback(() => {
+    if (!exercises.length) return;
+    trainingGenRef.current += 1;
+    // Sembunyikan semua petunjuk engine (live lines, explore) selama latihan
+    setExploreMode(false);
+    setLiveMode(false);
+    setPvPreview(null);
+    setTraining({ fens, list: exercises, index: 0, status: 'find', hint: 0, attempt: null });
+    setIdx(exercises[0].parentId);
+  }, [exercises, fens]);
+
+  const exitTraining = useCallback(() => {
+    trainingGenRef.current += 1;
+    setTraining(null);
+  }, []);
 
-      // Remove broad fallback Brilliant logic. We already applied the strict rule above (best move + real piece sacrifice).
+  const finishAttempt = useCallback((ex, verdict, hints) => {
+    setTraining(t => (t ? { ...t, status: verdict } : t));
+    setTrainingRecord(prev => recordAttempt(prev, ex.key, { solved: verdict === 'solved', hints }));
+  }, []);
 
-      if (DEBUG_ANNOT) {
-        console.debug('[Annot][final]', { i, tag, deltaCp });
-      }
-      if (tag) ann[i + 1] = { mover: moverSide === 'w' ? 'White' : 'Black', tag, delta: (deltaCp / 100) };
+  const tryTrainingMove = useCallback((from, to, promotion = 'q') => {
+    if (!atExercise || thinking || batch.running) return false;
+    const { status, hint } = trainingSession;
+    if (status === 'checking' || status === 'solved' || status === 'shown') return false;
+    const ex = currentExercise;
+    let move = null;
+    try {
+      move = new Chess(ex.fen).move({ from, to, promotion });
+    } catch {
+      return false; // langkah ilegal
     }
-    return ann;
-  }, [fens, evals, sans]);
-
-  // Calculate player statistics based on move analysis
-  const playerStats = useMemo(() => {
-    const stats = {
-      white: { accuracy: 0, totalMoves: 0, goodMoves: 0, extraPenalty: 0, counts: { best:0, excellent:0, good:0, inaccuracy:0, mistake:0, blunder:0, miss:0 } },
-      black: { accuracy: 0, totalMoves: 0, goodMoves: 0, extraPenalty: 0, counts: { best:0, excellent:0, good:0, inaccuracy:0, mistake:0, blunder:0, miss:0 } }
-    };
-
-    // Calculate accuracy and performance rating based on move quality
-    for (let i = 0; i < fens.length - 1; i++) {
-      const moverSide = fens[i].split(" ")[1];
-      const best = evals[i];
-      const after = evals[i + 1];
-      
-      if (!best || !after) continue;
-
-      const player = moverSide === 'w' ? 'white' : 'black';
-      stats[player].totalMoves++;
-
-      // Calculate centipawn loss
-      let bestCp;
-      if ("mate" in best) bestCp = mateToScore(best.mate); else bestCp = best.cp;
+    const uci = move.from + move.to + (move.promotion || '');
+    const attempt = { uci, san: move.san };
+    const best = evals[ex.parentId];
+    const verdict = judgeFromMultipv(best, ex, uci);
+    if (verdict || !engineReady) {
+      setTraining(t => ({ ...t, attempt }));
+      finishAttempt(ex, verdict || 'failed', hint);
+      return false; // bidak kembali; percobaan ditampilkan sebagai panah
+    }
+    // Di luar MultiPV: nilai posisi setelah langkah, antre di worker utama seperti explore
+    const gen = trainingGenRef.current;
+    setTraining(t => ({ ...t, status: 'checking', attempt }));
+    const run = stopLiveAnalysis()
+      .then(() => analyzeFenOnce(move.after, { depth: effectiveEngineSettings.deepDepth, multiPV: 1 }))
+      .then((after) => {
+        if (gen === trainingGenRef.current) finishAttempt(ex, judgeFromEngine(best, after), hint);
+      })
+      .catch((e) => {
+        console.warn('Cek langkah latihan gagal:', e?.message || e);
+        if (gen === trainingGenRef.current) setTraining(t => (t ? { ...t, status: 'find' } : t));
+      });
+    liveStopRef.current = run;
+    return false;
+  }, [atExercise, thinking, batch.running, trainingSession, currentExercise, evals, engineReady, finishAttempt, stopLiveAnalysis, analyzeFenOnce, effectiveEngineSettings]);
+
+  // Petunjuk & solusi di papan: petak asal (hint 1), petak tujuan (hint 2), panah percobaan
+  const trainingSquares = useMemo(() => {
+    if (!atExercise) return null;
+    const { hint, status } = trainingSession;
+    const styles = {};
+    const mark = { backgroundColor: 'rgba(250, 204, 21, 0.45)' };
+    if (hint >= 1 || status === 'shown') styles[currentExercise.bestUci.slice(0, 2)] = mark;
+    if (hint >= 2 || status === 'shown') styles[currentExercise.bestUci.slice(2, 4)] = mark;
+    return styles;
+  }, [atExercise, trainingSession, currentExercise]);
+
+  const trainingArrows = useMemo(() => {
+    if (!atExercise) return [];
+    const { attempt, status } = trainingSession;
+    const arrows = [];
+    if (attempt) {
+      const ok = status === 'solved';
+      arrows.push({ from: attempt.uci.slice(0, 2), to: attempt.uci.slice(2, 4), color: ok ? 'rgba(0, 128, 0, 0.8)' : 'rgba(220, 38, 38, 0.8)' });
+    }
+    if (status === 'shown') {
+      arrows.push({ from: currentExercise.bestUci.slice(0, 2), to: currentExercise.bestUci.slice(2, 4), color: 'rgba(0, 128, 0, 0.8)' });
+    }
+    return arrows;
+  }, [atExercise, trainingSession, currentExercise]);
 
-      let playedCp;
-      if ("mate" in after) {
-        // Jika setelah langkah posisi adalah mate (mate==0), berarti pelaku langkah memberi skakmat → +INF
-        playedCp = (after.mate === 0) ? 100000 : (-mateToScore(after.mate));
-      } else {
-        playedCp = -after.cp;
-      }
-      
-      const cpLoss = Math.max(0, (bestCp ?? 0) - (playedCp ?? 0));
-
-      // --- Per-move accuracy with edge case handling ---
-      let moveAccuracy;
-
-      // H0. Hybrid perfect-move detection
-      //  - 100% if played SAN equals PV#1 SAN
-      //  - 100% if played SAN equals any PV whose score is within 5cp of PV#1
-      //  - 100% if cpLoss <= 5 (treat tiny drift as zero loss)
-      const pvList = Array.isArray(best.multipv) ? best.multipv : [];
-      const playedSan = sans[i];
-      let forcedPerfect = false;
-      try {
-        const getCpFromItem = (item) => (( 'mate' in item) ? mateToScore(item.mate) : item.cp);
-        const pv1 = pvList.find(x => x.rank === 1);
-        const pv1Uci = best.bestmoveUci || (pv1 ? pv1.uci : null);
-        const pv1San = pv1Uci ? uciToSan(fens[i], pv1Uci) : null;
-        if (pv1San && playedSan && playedSan === pv1San) {
-          forcedPerfect = true;
-        } else if (pv1) {
-          const pv1Cp = getCpFromItem(pv1);
-          // Look for any near-equal PV (<=10cp difference) matching played SAN
-          for (const alt of pvList) {
-            if (alt.rank === 1) continue;
-            const altCp = getCpFromItem(alt);
-            if (Number.isFinite(pv1Cp) && Number.isFinite(altCp) && Math.abs(pv1Cp - altCp) <= 10) {
-              const altSan = alt.uci ? uciToSan(fens[i], alt.uci) : null;
-              if (altSan && playedSan && playedSan === altSan) {
-                forcedPerfect = true;
-                break;
-              }
-            }
-          }
-        }
-      } catch {}
-      // Do not force perfect if the move accelerates mate against the mover
-      try {
-        const beforeMateAgainst = ("mate" in best && Math.sign(best.mate) < 0) ? Math.abs(best.mate) : null;
-        const afterMateAgainst = ("mate" in after && Math.sign(after.mate) > 0) ? Math.abs(after.mate) : null;
-        if (forcedPerfect && beforeMateAgainst != null && afterMateAgainst != null && afterMateAgainst < beforeMateAgainst) {
-          forcedPerfect = false;
-        }
-      } catch {}
-      if (!forcedPerfect && cpLoss <= 10) forcedPerfect = true;
-
-      if (forcedPerfect) {
-        moveAccuracy = 100;
-      } else if ("mate" in after && after.mate === 0) {
-        // A. If move delivers mate immediately → 100
-        moveAccuracy = 100;
-      } else if ("mate" in best && Math.sign(best.mate) > 0) {
-        // B. Best has mate for mover but played misses it → heavy penalty
-        moveAccuracy = 30; // cap
-      } else {
-        // C. Base curve (tighter CPL penalty)
-        const baseAcc = Math.max(0, 100 - 0.45 * Math.pow(cpLoss, 0.88));
+  // Aggregate counts for Move Quality Summary (white | icon | black)
+  const moveTypeCounts = useMemo(() => countMoveTypes(annotations), [annotations]);
 
-        // D. Criticality weighting only when there is an actual loss
-        const eqFactor = (() => {
-          const eq = Math.exp(-Math.pow((Math.min(Math.abs(bestCp), 200)) / 120, 2)); // 0..1
-          return 0.7 + 0.3 * eq; // 0.7..1.0 (closer to 1 when position ~ even)
-        })();
+  // Langkah buruk yang terkait pemakaian waktu (lama berpikir / zeitnot)
+  const timeFlags = useMemo(() => detectTimeFlags(clockTimeline, annotations), [clockTimeline, annotations]);
 
-        moveAccuracy = baseAcc * eqFactor;
+  // Library game tersimpan + ukuran cache engine (IndexedDB)
+  const refreshLibrary = useCallback(async () => {
+    const [games, stats, puzzles] = await Promise.all([listSavedGames(), getEvalCacheStats(), listPuzzles()]);
+    setSavedGames(games);
+    setCacheStats(stats);
+    setPuzzleDeck(puzzles);
+  }, []);
+  // Dimuat saat start dan diperbarui tiap kali analisis selesai (cache engine bertambah)
+  useEffect(() => {
+    if (!thinking && !batch.running) refreshLibrary();
+  }, [thinking, batch.running, refreshLibrary]);
 
-        // E. Trivial recapture boost: if move is capture that restores/keeps material and cpLoss small
+  // Simpan otomatis game yang selesai dianalisis ke library
+  // Hanya setelah analisis game penuh (bukan analisis satu posisi / langkah explore); node
+  // explore sementara tidak ikut disimpan.
+  useEffect(() => {
+    if (!autosavePending || thinking) return;
+    setAutosavePending(false);
+    if (!loadedGameKey || Object.keys(evals).length === 0) return;
+    const isExplore = (k) => Boolean(moveTree?.nodes[k]?.explore);
+    const keep = (obj) => Object.fromEntries(Object.entries(obj || {}).filter(([k]) => !isExplore(k)));
+    const savedEvals = keep(evals);
+    const savedAnnotations = keep(annotations);
+    // Puzzle baru (Miss / Great / Brilliant) masuk deck; kartu lama tetap dengan jadwalnya
+    const cards = extractPuzzles({ tree: moveTree, annotations: savedAnnotations, evals: savedEvals, tags: gameTags }).map(p => newPuzzleCard(p));
+    Promise.all([
+      saveGame({ pgn: loadedGameKey, tags: gameTags, evals: savedEvals, annotations: savedAnnotations }),
+      addPuzzles(cards),
+    ]).then(refreshLibrary);
+  }, [autosavePending, thinking, loadedGameKey, evals, gameTags, annotations, moveTree, refreshLibrary]);
+
+  // Buka game dari library: papan, header dan evals langsung dipulihkan tanpa menjalankan engine
+  const openSavedGame = useCallback(async (id, ply = 0) => {
+    if (thinking) return;
+    const record = await loadGame(id);
+    if (!record) {
+      setError('Game tersimpan tidak ditemukan.');
+      refreshLibrary();
+      return;
+    }
+    try {
+      const parsed = parsePgnToFens(record.pgn);
+      setError('');
+      setShowLanding(false);
+      setPgn(record.pgn);
+      applyParsedGame(parsed);
+      setLoadedGameKey(record.pgn);
+      setEvals(record.evals || {});
+      if (record.evals) setGameAnalyses(prev => ({ ...prev, [record.pgn]: record.evals }));
+      if (ply) setIdx(ply);
+    } catch (e) {
+      setError(e?.message || 'Gagal memproses PGN.');
+    }
+  }, [thinking, applyParsedGame, refreshLibrary]);
+
+  // Opening explorer: semua game yang dimuat (database + game tampil) dan tersimpan (library), tanpa duplikat
+  const explorer = useMemo(() => {
+    if (!explorerOpen) return null;
+    const cache = parsedGamesRef.current;
+    const parsedOf = (raw) => {
+      if (!cache.has(raw)) {
         try {
-          const g0 = new Chess(fens[i]);
-          const m = g0.move(sans[i], { sloppy: true });
-          if (m && m.flags.includes('c')) {
-            const beforeMat = materialScore(new Chess(fens[i]));
-            const afterMat = materialScore(new Chess(g0.fen()));
-            const side = moverSide === 'w' ? { before: beforeMat.w, after: afterMat.w } : { before: beforeMat.b, after: afterMat.b };
-            if (side.after >= side.before && cpLoss <= 30) {
-              moveAccuracy = Math.max(moveAccuracy, 95);
-            }
-          }
-        } catch {}
-      }
-
-      // Clamp
-      moveAccuracy = Math.max(0, Math.min(100, moveAccuracy));
-      stats[player].accuracy += moveAccuracy;
-
-      // Count buckets for rating penalties (mate-distance aware)
-      const bestMateForMover2 = ("mate" in best && Math.sign(best.mate) > 0) ? Math.abs(best.mate) : null;
-      const playedMateForMover2 = ("mate" in after && (after.mate === 0 || Math.sign(after.mate) < 0)) ? Math.abs(after.mate) : null;
-      const dMate = (bestMateForMover2 != null && playedMateForMover2 != null) ? (playedMateForMover2 - bestMateForMover2) : null;
-
-      if (dMate != null && dMate >= 0) {
-        // Slower mate still winning: never count as blunder; map softly by distance
-        if (dMate === 0) stats[player].counts.best++;
-        else if (dMate === 1) stats[player].counts.excellent++;
-        else if (dMate <= 3) stats[player].counts.good++;
-        else if (dMate <= 6) stats[player].counts.inaccuracy++;
-        else stats[player].counts.mistake++;
-      } else {
-        if (cpLoss <= 10) stats[player].counts.best++;
-        else if (cpLoss <= 20) stats[player].counts.excellent++;
-        else if (cpLoss <= 50) { stats[player].counts.good++; }
-        else if (cpLoss <= 150) stats[player].counts.inaccuracy++;
-        else if (cpLoss <= 300) stats[player].counts.mistake++;
-        else stats[player].counts.blunder++;
+          const { fens: F, sans: S } = parsePgnToFens(raw);
+          cache.set(raw, { fens: F, sans: S });
+        } catch {
+          cache.set(raw, null); // game rusak: dilewati
+        }
       }
+      return cache.get(raw);
+    };
+    const games = [];
+    const seen = new Set();
+    const add = (raw, info) => {
+      if (!raw || seen.has(raw)) return;
+      seen.add(raw);
+      const parsed = parsedOf(raw);
+      if (parsed && parsed.sans.length) games.push({ key: games.length, ...info, ...parsed });
+    };
+    pgnGames.forEach(g => add(g.raw, { source: 'database', ref: g.index, white: g.white, black: g.black, result: g.result, date: g.date }));
+    savedGames.forEach(g => add(g.pgn, { source: 'library', ref: g.id, white: g.white, black: g.black, result: g.result, date: g.date }));
+    add(loadedGameKey, {
+      source: 'current',
+      ref: null,
+      white: playerNames.white,
+      black: playerNames.black,
+      result: gameTags.Result || '*',
+      date: gameTags.Date && !/^\?+/.test(gameTags.Date) ? gameTags.Date : '',
+    });
+    return buildOpeningExplorer(games);
+  }, [explorerOpen, pgnGames, savedGames, loadedGameKey, playerNames, gameTags]);
 
-      // Miss (taktik terlewat), konsisten dengan classifyMoveByDelta
-      const isMiss = (
-        (("mate" in best && Math.sign(best.mate) > 0) || (bestCp != null && bestCp >= 300)) &&
-        (playedCp != null && playedCp <= 50)
-      );
-      if (isMiss) stats[player].counts.miss++;
-
-      // Extra penalty trigger: move allows opponent mate-in-1 immediately
-      if ("mate" in after && Number(after.mate) === 1) {
-        stats[player].extraPenalty += 200;
-      }
+  const explorerMoves = useMemo(
+    () => (explorer && currentFen ? explorerMovesAt(explorer, currentFen) : []),
+    [explorer, currentFen]
+  );
 
-      // Track good move ratio for consistency bonus separately (>=92%)
-      if (moveAccuracy >= 92) stats[player].goodMoves++;
-    }
-    // Finalize accuracy as percentage
-    ['white', 'black'].forEach(color => {
-      if (stats[color].totalMoves > 0) {
-        stats[color].accuracy = stats[color].accuracy / stats[color].totalMoves;
-      }
-    });
+  const openExplorerGame = useCallback((game, ply) => {
+    if (game.source === 'database') selectGame(game.ref, ply);
+    else if (game.source === 'library') openSavedGame(game.ref, ply);
+    else setIdx(ply);
+  }, [selectGame, openSavedGame]);
+
+  const removeSavedGame = useCallback(async (id) => {
+    await deleteGame(id);
+    refreshLibrary();
+  }, [refreshLibrary]);
+
+  // Puzzle deck: simpan hasil review (jadwal SM-2 + statistik)
+  const reviewPuzzleCard = useCallback((card, quality) => {
+    const next = reviewPuzzle(card, quality);
+    setPuzzleDeck(prev => prev.map(c => (c.id === next.id ? next : c)));
+    savePuzzle(next);
+  }, []);
 
-    return stats;
-  }, [fens, evals, sans]);
+  const removePuzzleCard = useCallback(async (id) => {
+    await deletePuzzle(id);
+    refreshLibrary();
+  }, [refreshLibrary]);
 
-  // Aggregate counts for Move Quality Summary (white | icon | black)
-  const moveTypeCounts = useMemo(() => {
-    const base = {
-      brilliant: 0,
-      great: 0,
-      best: 0,
-      excellent: 0,
-      good: 0,
-      inaccuracy: 0,
-      miss: 0,
-      mistake: 0,
-      blunder: 0,
-    };
-    const res = { white: { ...base }, black: { ...base } };
-    Object.entries(annotations || {}).forEach(([ply, ann]) => {
-      if (!ann || !ann.tag) return;
-      const color = (ann.mover || '').toLowerCase(); // 'white' | 'black'
-      const key = String(ann.tag).toLowerCase();
-      if (res[color] && key in res[color]) {
-        res[color][key] += 1;
-      }
-    });
+  const clearEngineCache = useCallback(async () => {
+    evalCacheRef.current.clear();
+    await clearEvalCache();
+    refreshLibrary();
+  }, [refreshLibrary]);
 
-    return res;
-  }, [annotations, fens.length]);
+  // Unduh PGN beranotasi: header asli + NAG engine + [%eval] + line engine untuk kesalahan
+  const handleExportPgn = () => {
+    try {
+      const text = exportAnnotatedPgn({ tags: gameTags, tree: moveTree, evals, annotations });
+      if (!text) return;
+      const safe = (name) => String(name || '').replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '') || 'player';
+      const blob = new Blob([text], { type: 'application/x-chess-pgn' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${safe(playerNames.white)}_vs_${safe(playerNames.black)}_annotated.pgn`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      console.error('Export PGN error:', e);
+      setError(e?.message || 'Gagal membuat PGN.');
+    }
+  };
 
   // --- Util: path ikon anotasi dari folder public/moveIcon/ ---
   function getMoveIconPath(tag) {
@@ -1727,7 +1695,8 @@ export default function App() {
       inaccuracy: '/moveIcon/inaccuracy.png',
       mistake: '/moveIcon/mistake.png',
       blunder: '/moveIcon/blunder.png',
-      miss: '/moveIcon/miss.png'
+      miss: '/moveIcon/miss.png',
+      book: '/moveIcon/book.png'
     };
     return map[key] || null;
   }
@@ -1736,6 +1705,8 @@ export default function App() {
   function getHighlightColor(tag) {
     if (!tag) return 'rgba(255, 255, 0, 0.35)'; // default yellowish
     switch (String(tag).toLowerCase()) {
+      case 'book':
+        return 'rgba(168, 136, 101, 0.55)'; // brown
       case 'blunder':
         return 'rgba(255, 0, 0, 0.69)'; // red
       case 'mistake':
@@ -1758,21 +1729,6 @@ export default function App() {
     }
   }
 
-  // Terminal position override: if FEN is checkmate/stalemate, produce an immediate evaluation
-  function getTerminalEval(fen) {
-    try {
-      const g = new Chess(fen);
-      if (g.isCheckmate()) {
-        // mate already on board; our EvaluationBar treats mate:0 specially (winner = side that just moved)
-        return { mate: 0 };
-      }
-      if (g.isStalemate()) {
-        return { cp: 0 };
-      }
-    } catch {}
-    return null;
-  }
-
   // Custom arrow overlay component since react-chessboard may not support arrows
   const ArrowOverlay = ({ arrows, boardSize = 400 }) => {
     if (!arrows || arrows.length === 0) return null;
@@ -1807,7 +1763,7 @@ export default function App() {
                 y1={fromPos.y}
                 x2={toPos.x}
                 y2={toPos.y}
-                stroke="rgba(0, 128, 0, 0.8)"
+                stroke={arrow.color || 'rgba(0, 128, 0, 0.8)'}
                 strokeWidth="4"
                 markerEnd="url(#arrowhead)"
               />
@@ -1818,18 +1774,45 @@ export default function App() {
     );
   };
 
+  // Line MultiPV lengkap (SAN + posisi setelah tiap langkah) untuk posisi yang tampil
+  const pvLines = useMemo(() => {
+    const list = evals[idx]?.multipv;
+    if (!currentFen || !Array.isArray(list)) return [];
+    const side = currentFen.split(' ')[1];
+    return list
+      .map(item => ({
+        rank: item.rank,
+        score: formatScore(item, side),
+        moves: pvToSanLine(currentFen, item.pv || [item.uci]),
+      }))
+      .filter(line => line.moves.length > 0);
+  }, [evals, idx, currentFen]);
+
+  // Pratinjau hanya berlaku di posisi tempat ia dibuka (pindah posisi = kembali ke game)
+  const previewLine = pvPreview && pvPreview.fen === currentFen
+    ? pvLines.find(line => line.rank === pvPreview.rank)
+    : null;
+  const previewMove = previewLine?.moves[pvPreview.ply] || null;
+  const previewArrows = useMemo(() => {
+    if (!previewLine) return [];
+    return previewLine.moves
+      .slice(pvPreview.ply + 1, pvPreview.ply + 1 + PV_PREVIEW_ARROWS)
+      .map((m, n) => ({ from: m.uci.slice(0, 2), to: m.uci.slice(2, 4), color: `rgba(0, 128, 0, ${0.8 - n * 0.2})` }));
+  }, [previewLine, pvPreview]);
+
   // Best move arrow for current position
   const bestMoveArrow = useMemo(() => {
-    if (!hasGame || !fens[idx]) return [];
+    if (!hasGame || !currentFen) return [];
     const currentEval = evals[idx];
-    if (!currentEval || !currentEval.bestmoveUci) return [];
-    const uci = currentEval.bestmoveUci;
+    // Live analysis lebih baru daripada hasil tersimpan
+    const uci = liveLinesHere[0]?.pv?.[0] || currentEval?.bestmoveUci;
+    if (!uci) return [];
     if (uci.length < 4) return [];
 
     // Hide arrow if played move equals best move
-    if (idx < sans.length) {
-      const playedSan = sans[idx];
-      const bestSan = uciToSan(fens[idx], uci);
+    if (outgoingSan) {
+      const playedSan = outgoingSan;
+      const bestSan = uciToSan(currentFen, uci);
       if (playedSan && bestSan && normalizeSan(playedSan) === normalizeSan(bestSan)) {
         return [];
       }
@@ -1838,22 +1821,67 @@ export default function App() {
     const from = uci.slice(0, 2);
     const to = uci.slice(2, 4);
     return [{ from, to, color: 'rgba(0, 128, 0, 0.8)' }];
-  }, [hasGame, fens, idx, evals, sans]);
+  }, [hasGame, currentFen, idx, evals, outgoingSan, liveLinesHere]);
 
   // Use last known evaluation to avoid bar snapping to center while new eval is pending
   const { effectiveEval, effectiveSide } = useMemo(() => {
-    const currFen = fens[idx];
+    const currFen = currentFen;
     const currEval = evals[idx];
     // Terminal override
     if (currFen) {
       const term = getTerminalEval(currFen);
       if (term) return { effectiveEval: term, effectiveSide: currFen.split(' ')[1] };
     }
+    const liveTop = liveLinesHere[0];
+    if (liveTop && currFen) {
+      const liveEval = liveTop.mate != null ? { mate: liveTop.mate } : { cp: liveTop.cp };
+      return { effectiveEval: liveEval, effectiveSide: currFen.split(' ')[1] };
+    }
     if (currEval && currFen) {
       return { effectiveEval: currEval, effectiveSide: currFen.split(' ')[1] };
     }
     return { effectiveEval: null, effectiveSide: (currFen?.split(' ')[1]) || 'w' };
-  }, [evals, fens, idx]);
+  }, [evals, currentFen, idx, liveLinesHere]);
+
+  // --- Sideline (variasi) di daftar langkah: satu line per blok, variasi bersarang makin menjorok ---
+  const renderVariationLine = (startId) => {
+    if (!moveTree) return null;
+    const items = [];
+    let k = startId;
+    while (k != null) {
+      const node = moveTree.nodes[k];
+      const parent = moveTree.nodes[node.parent];
+      const { moveNum, isWhite } = moveNumberFromFen(parent.fen);
+      const annotation = annotations[node.id];
+      const nodeId = node.id;
+      items.push(
+        <span
+          key={`v-${nodeId}`}
+          className={`variation-move ${idx === nodeId ? 'active' : ''}`}
+          onClick={() => navigateToPosition(nodeId)}
+        >
+          {(isWhite || k === startId) && <span className="move-number">{moveNum}{isWhite ? '.' : '...'}</span>}
+          {node.san}
+          {node.nags.map((nag, n) => <span key={`nag-${n}`} className="move-nag">{nagSymbol(nag)}</span>)}
+          {!thinking && annotation && annotationSymbol(annotation.tag) !== annotation.tag && (
+            <span className={`variation-annotation annotation-${annotation.tag.toLowerCase()}`}>{annotationSymbol(annotation.tag)}</span>
+          )}
+        </span>
+      );
+      const comment = commentText(node.comments);
+      if (comment) items.push(<span key={`c-${nodeId}`} className="variation-comment">{comment}</span>);
+      // Alternatif untuk langkah ini (selain langkah pertama sebuah line, yang sudah digambar pemanggil)
+      if (k !== startId) {
+        parent.children.slice(1).forEach(alt => items.push(renderVariationLine(alt)));
+      }
+      k = node.children[0] ?? null;
+    }
+    return (
+      <div key={`line-${startId}`} className="move-variation">
+        {items}
+      </div>
+    );
+  };
 
   // --- Overlay: classification icon in the top-right of last move target square ---
   function MoveBadgeOverlay({ square, tag, boardSize = 500 }) {
@@ -1939,14 +1967,14 @@ export default function App() {
               <div className="pgn-actions">
                 <button
                   onClick={handleQuickAnalyze}
-                  disabled={!pgn.trim() || thinking}
+                  disabled={!pgn.trim() || thinking || batch.running}
                   className="btn-analyze"
                 >
                   {thinking ? 'Analyzing...' : 'Quick'}
                 </button>
                 <button
                   onClick={handleDeepAnalyze}
-                  disabled={!pgn.trim() || thinking}
+                  disabled={!pgn.trim() || thinking || batch.running}
                   className="btn-analyze"
                 >
                   {thinking ? 'Analyzing...' : 'Deep'}
@@ -1959,6 +1987,44 @@ export default function App() {
                 {error}
               </div>
             )}
+
+            <EnginePanel
+              status={engineStatus}
+              buildChoice={engineBuild}
+              onBuildChange={changeEngineBuild}
+              autoBuildId={autoEngineBuildId}
+              capabilities={engineCaps}
+              settings={engineSettings}
+              onSettingsChange={setEngineSettings}
+              estimate={engineEstimate}
+              disabled={thinking || batch.running}
+            />
+
+            <GameLibrary
+              games={savedGames}
+              cacheStats={cacheStats}
+              onOpen={openSavedGame}
+              onDelete={removeSavedGame}
+              onClearCache={clearEngineCache}
+              disabled={thinking || batch.running}
+            />
+
+            <PuzzleDeck
+              deck={puzzleDeck}
+              customPieces={customPieces}
+              onReview={reviewPuzzleCard}
+              onDelete={removePuzzleCard}
+            />
+
+            {pgnGames.length > 1 && (
+              <GamePicker
+                games={pgnGames}
+                currentIndex={gameIndex}
+                analyzedKeys={analyzedGameKeys}
+                onSelect={selectGame}
+                disabled={thinking}
+              />
+            )}
           </div>
   
           {/* Chess Board Section */}
@@ -1972,12 +2038,17 @@ export default function App() {
                       {playerNames.black}
                       {playerElos.black ? <span style={{ marginLeft: 6, color: '#9CA3AF', fontWeight: 500 }}>({playerElos.black})</span> : null}
                     </div>
-                    {/* Pieces lost by Black (captured by White) */}
-                    <CapturedRow
-                      caps={capturesProgress[idx]?.white}
-                      oppCaps={capturesProgress[idx]?.black}
-                      color="black"
-                    />
+                    {/* Pieces lost by Black (captured by White) + Black's clock */}
+                    <div className="player-row">
+                      <CapturedRow
+                        caps={capturesProgress[mainlineIdx]?.white}
+                        oppCaps={capturesProgress[mainlineIdx]?.black}
+                        color="black"
+                      />
+                      {currentClocks?.b != null && (
+                        <span className={`player-clock ${currentSideToMove === 'b' ? 'to-move' : ''}`}>{formatClock(currentClocks.b)}</span>
+                      )}
+                    </div>
                   </div>
                   {/* Row: Evaluation bar (left) and Board (right) */}
                   <div style={{ display: 'flex', flexDirection: 'row', alignItems: 'flex-start', gap: 8, overflow: 'visible', minWidth: boardSize + 30 + 8 }}>
@@ -1990,21 +2061,30 @@ export default function App() {
                     <div style={{ width: `${boardSize}px`, height: `${boardSize}px`, position: 'relative', marginLeft: 0 }}>
                       <Chessboard
                         id="analysis-board"
-                        position={hasGame ? (fens[idx] || 'start') : 'start'}
+                        position={hasGame ? (previewMove?.fen || currentFen || 'start') : 'start'}
                         boardWidth={boardSize}
-                        arePiecesDraggable={false}
+                        arePiecesDraggable={(trainingSession ? atExercise : exploreMode) && hasGame && !thinking && !batch.running && !previewMove}
+                        onPieceDrop={(from, to) => (trainingSession ? tryTrainingMove(from, to) : tryExploreMove(from, to))}
+                        onPromotionPieceSelect={(piece, from, to) => {
+                          if (!piece || !from || !to) return false;
+                          const promotion = piece[1].toLowerCase();
+                          return trainingSession ? tryTrainingMove(from, to, promotion) : tryExploreMove(from, to, promotion);
+                        }}
                         showBoardNotation={true}
                         animationDuration={300}
                         customPieces={customPieces}
                         customBoardStyle={{ borderRadius: '4px', boxShadow: '0 2px 10px rgba(0,0,0,0.5)' }}
-                        customSquareStyles={lastMove ? {
+                        customSquareStyles={trainingSquares ? trainingSquares : previewMove ? {
+                          [previewMove.uci.slice(0, 2)]: { backgroundColor: 'rgba(59, 130, 246, 0.35)' },
+                          [previewMove.uci.slice(2, 4)]: { backgroundColor: 'rgba(59, 130, 246, 0.35)' }
+                        } : lastMove ? {
                           [lastMove.from]: { backgroundColor: getHighlightColor(annotations[idx]?.tag) },
                           [lastMove.to]: { backgroundColor: getHighlightColor(annotations[idx]?.tag) }
                         } : {}}
                       />
-                      {!thinking && <ArrowOverlay arrows={bestMoveArrow} boardSize={boardSize} />}
+                      {!thinking && <ArrowOverlay arrows={trainingSession ? trainingArrows : previewMove ? previewArrows : bestMoveArrow} boardSize={boardSize} />}
                       {/* Ikon klasifikasi pada petak tujuan langkah terakhir */}
-                      {hasGame && idx > 0 && annotations[idx] && lastMove?.to && (
+                      {hasGame && idx > 0 && annotations[idx] && lastMove?.to && !previewMove && (
                         <MoveBadgeOverlay
                           square={lastMove.to}
                           tag={annotations[idx]?.tag}
@@ -2019,18 +2099,36 @@ export default function App() {
                       {playerNames.white}
                       {playerElos.white ? <span style={{ marginLeft: 6, color: '#9CA3AF', fontWeight: 500 }}>({playerElos.white})</span> : null}
                     </div>
-                    {/* Pieces lost by White (captured by Black) */}
-                    <CapturedRow
-                      caps={capturesProgress[idx]?.black}
-                      oppCaps={capturesProgress[idx]?.white}
-                      color="white"
-                    />
+                    {/* Pieces lost by White (captured by Black) + White's clock */}
+                    <div className="player-row">
+                      <CapturedRow
+                        caps={capturesProgress[mainlineIdx]?.black}
+                        oppCaps={capturesProgress[mainlineIdx]?.white}
+                        color="white"
+                      />
+                      {currentClocks?.w != null && (
+                        <span className={`player-clock ${currentSideToMove === 'w' ? 'to-move' : ''}`}>{formatClock(currentClocks.w)}</span>
+                      )}
+                    </div>
                   </div>
                 </div>
               </div>
             
               {/* Navigation Controls moved to right panel bottom */}
 
+              {/* Engine lines (MultiPV): klik langkah untuk melihat posisi masa depan */}
+              {hasGame && !thinking && !trainingSession && (
+                <div style={{ width: boardSize + 38 }}>
+                  <PvLines
+                    lines={pvLines}
+                    fen={currentFen}
+                    selected={previewMove ? { rank: pvPreview.rank, ply: pvPreview.ply } : null}
+                    onSelect={(rank, ply) => setPvPreview({ fen: currentFen, rank, ply })}
+                    onReset={() => setPvPreview(null)}
+                  />
+                </div>
+              )}
+
             </div>
           </div>
         </div>
@@ -2041,7 +2139,9 @@ export default function App() {
             <div className="analyzing-overlay">
               <div style={{ width: '80%', maxWidth: 280 }}>
                 <div className="engine-status" style={{ marginBottom: 12 }}>
-                  <span className="engine-label">Analyzing game…</span>
+                  <span className="engine-label">
+                    Analyzing game…{enginePoolSize > 1 ? ` (${enginePoolSize} engines)` : ''}
+                  </span>
                   <span className="status-badge status-loading">Working</span>
                 </div>
                 <div className="progress-bar" style={{ overflow: 'hidden' }}>
@@ -2063,9 +2163,23 @@ export default function App() {
                 <div className="player-names">
                   {playerNames.white} vs {playerNames.black}
                 </div>
+                {hasGame && (opening.name || gameTags.Opening) && (
+                  <div className="opening-name" title={opening.bookPlies ? `In book for ${opening.bookPlies} plies` : undefined}>
+                    {opening.name
+                      ? <><span className="opening-eco">{opening.eco}</span> {opening.name}</>
+                      : <>{gameTags.ECO && <span className="opening-eco">{gameTags.ECO}</span>} {gameTags.Opening}</>}
+                  </div>
+                )}
                 <div className="move-counter">
-                  Move {idx} of {Math.max(0, fens.length - 1)}
+                  {currentNode && !currentNode.mainline
+                    ? `Variation · ply ${currentNode.ply}`
+                    : `Move ${idx} of ${Math.max(0, fens.length - 1)}`}
                 </div>
+                {hasGame && !thinking && Object.keys(evals).length > 0 && (
+                  <button className="btn-example btn-export" onClick={handleExportPgn}>
+                    Export PGN
+                  </button>
+                )}
               </div>
             </div>
 
@@ -2075,19 +2189,32 @@ export default function App() {
               <div className="stat-item stats-white">
                 <div className="stat-label">Accuracy</div>
                 <div className="stat-value accuracy">{playerStats.white.accuracy.toFixed(2)}%</div>
+                <div className="stat-label stat-label-rating">Performance</div>
+                <div className="stat-value rating" title={ratingRangeTitle}>{performanceRatings.white ?? '—'}</div>
+                <RatingComparison estimate={performanceRatings.white} elo={playerElos.white} />
               </div>
 
               {/* Black Player Stats (right side) */}
               <div className="stat-item stats-black">
                 <div className="stat-label">Accuracy</div>
                 <div className="stat-value accuracy">{playerStats.black.accuracy.toFixed(2)}%</div>
+                <div className="stat-label stat-label-rating">Performance</div>
+                <div className="stat-value rating" title={ratingRangeTitle}>{performanceRatings.black ?? '—'}</div>
+                <RatingComparison estimate={performanceRatings.black} elo={playerElos.black} />
               </div>
             </div>
 
             {/* Move Type Summary (White | Icon | Black) */}
             {hasGame && (
               <div className="card stats-card">
-                <h3 className="card-title">Report</h3>
+                <div className="report-header">
+                  <h3 className="card-title" style={{ margin: 0 }}>Report</h3>
+                  <ClassificationPicker
+                    settings={classificationSettings}
+                    onChange={setClassificationSettings}
+                    elos={playerElos}
+                  />
+                </div>
                 <div style={{ display: 'flex', flexDirection: 'column', gap: 10 }}>
                   {[
                     { key: 'brilliant', label: 'Brilliant', color: '#08FDFF' },
@@ -2099,6 +2226,7 @@ export default function App() {
                     { key: 'miss', label: 'Miss', color: '#FF8088' },
                     { key: 'mistake', label: 'Mistake', color: '#FFB278' },
                     { key: 'blunder', label: 'Blunder', color: '#FF0B07' },
+                    { key: 'book', label: 'Book', color: '#A88865' },
                   ].map((row) => {
                     const icon = getMoveIconPath(row.label);
                     return (
@@ -2134,6 +2262,9 @@ export default function App() {
                     );
                   })}
                 </div>
+                {Object.keys(evals).length > 0 && (
+                  <PhaseBreakdown stats={playerStats} />
+                )}
               </div>
             )}
 
@@ -2188,6 +2319,13 @@ export default function App() {
                         allowDataOverflow
                         hide
                       />
+                      {/* Time axis: bars use the lower third of the chart */}
+                      <YAxis 
+                        yAxisId="time"
+                        domain={[0, maxTimeSpent * 3]}
+                        allowDataOverflow
+                        hide
+                      />
                       <Tooltip 
                         contentStyle={{ 
                           backgroundColor: '#1F2937', 
@@ -2195,10 +2333,12 @@ export default function App() {
                           borderRadius: '8px',
                           color: '#F3F4F6'
                         }}
-                        formatter={(value) => [
-                          value ? `${value > 0 ? '+' : ''}${value.toFixed(1)}` : 'N/A', 
-                          'Evaluation'
-                        ]}
+                        formatter={(value, name, item) => (item?.dataKey === 'timeSpent'
+                          ? [value != null ? formatClock(value) : 'N/A', 'Time spent']
+                          : [
+                            value ? `${value > 0 ? '+' : ''}${value.toFixed(1)}` : 'N/A', 
+                            'Evaluation'
+                          ])}
                         labelFormatter={(move) => `Move ${move}`}
                       />
                       {/* Axis lines flush to edges */}
@@ -2225,6 +2365,30 @@ export default function App() {
                         fillOpacity={1}
                         isAnimationActive={false}
                       />
+                      {/* Last book move: the game leaves theory after this position */}
+                      {opening.bookPlies > 0 && opening.bookPlies < fens.length - 1 && (
+                        <ReferenceLine
+                          x={opening.bookPlies}
+                          stroke="#A88865"
+                          strokeDasharray="3 3"
+                          label={{ value: 'Book', position: 'insideBottomRight', fill: '#A88865', fontSize: 10 }}
+                        />
+                      )}
+                      {/* Game phases: shaded regions over the evaluation area */}
+                      {chartPhases.map(r => (
+                        <ReferenceArea
+                          key={r.phase}
+                          x1={Math.max(0, r.from - 0.5)}
+                          x2={Math.min(fens.length - 1, r.to + 0.5)}
+                          y1={-10}
+                          y2={10}
+                          fill={PHASE_COLORS[r.phase]}
+                          fillOpacity={0.18}
+                          stroke="none"
+                          ifOverflow="hidden"
+                          label={{ value: PHASE_LABELS[r.phase], position: 'insideTopLeft', fill: '#9CA3AF', fontSize: 10 }}
+                        />
+                      ))}
                       <Line 
                         type="monotone" 
                         dataKey="pawns" 
@@ -2233,56 +2397,235 @@ export default function App() {
                         dot={false}
                         activeDot={false}
                       />
+                      {clockTimeline && (
+                        <Bar 
+                          yAxisId="time"
+                          dataKey="timeSpent"
+                          fill="#F59E0B"
+                          fillOpacity={0.55}
+                          barSize={3}
+                          isAnimationActive={false}
+                        />
+                      )}
                     </ComposedChart>
                   </ResponsiveContainer>
                 </div>
               </div>
             )}
 
+            {/* Live analysis: streaming MultiPV lines for the displayed position */}
+            {hasGame && (
+              <LiveAnalysisPanel
+                active={liveMode}
+                onToggle={() => setLiveMode(v => !v)}
+                disabled={!engineReady || thinking || batch.running || !!trainingSession}
+                lines={liveLinesHere}
+                fen={currentFen}
+              />
+            )}
+
+            {/* Learn from mistakes: cari langkah yang lebih baik di posisi sebelum kesalahan */}
+            {hasGame && Object.keys(evals).length > 0 && (
+              <TrainingPanel
+                exercises={trainingSession ? trainingSession.list : exercises}
+                record={trainingRecord}
+                session={trainingSession}
+                disabled={thinking || batch.running}
+                onStart={startTraining}
+                onExit={exitTraining}
+                onGoTo={goToExercise}
+                onHint={() => setTraining(t => ({ ...t, hint: Math.min(2, t.hint + 1) }))}
+                onShowSolution={() => setTraining(t => ({ ...t, status: 'shown' }))}
+              />
+            )}
+
+            {/* Explore: langkah percobaan dari posisi mana pun (sideline sementara) */}
+            {hasGame && (() => {
+              const verdictNode = exploreLine.find(m => m.id === idx) || exploreLine[exploreLine.length - 1];
+              const verdictAnn = verdictNode ? annotations[verdictNode.id] : null;
+              return (
+                <ExplorePanel
+                  active={exploreMode}
+                  onToggle={() => setExploreMode(v => !v)}
+                  disabled={thinking || batch.running || !!trainingSession}
+                  moves={exploreLine.map(m => ({
+                    ...m,
+                    tag: annotations[m.id]?.tag,
+                    symbol: annotations[m.id] ? annotationSymbol(annotations[m.id].tag) : '',
+                  }))}
+                  currentId={idx}
+                  pending={explorePending > 0}
+                  verdict={verdictAnn ? { tag: verdictAnn.tag, san: verdictNode.san, delta: verdictAnn.delta } : null}
+                  onSelect={navigateToPosition}
+                  onKeep={keepExploreLine}
+                  onDrop={dropExploreLine}
+                />
+              );
+            })()}
+
+            {/* Opening explorer: langkah yang dimainkan dari posisi ini di game-game pengguna */}
+            {hasGame && (
+              <OpeningExplorer
+                key={currentFen}
+                open={explorerOpen}
+                onToggle={setExplorerOpen}
+                gameCount={explorer?.gameCount ?? 0}
+                moves={explorerMoves}
+                onOpenGame={openExplorerGame}
+                disabled={thinking || batch.running}
+              />
+            )}
+
+            {/* Move Details: human annotation (PGN comment/NAG) vs engine verdict */}
+            {hasGame && currentNode && (idx > 0 || commentText(currentNode.comments)) && (
+              <div className="card">
+                <h3 className="card-title">Move Details</h3>
+                <div className="move-details">
+                  {idx > 0 && (
+                    <div className="move-details-row">
+                      <span className="move-details-label">Move</span>
+                      <span className="move-details-san">
+                        {(() => {
+                          const { moveNum, isWhite } = moveNumberFromFen(parentFen);
+                          return `${moveNum}${isWhite ? '.' : '...'} ${incomingSan}`;
+                        })()}
+                      </span>
+                    </div>
+                  )}
+                  {idx > 0 && (
+                    <div className="move-details-row">
+                      <span className="move-details-label">Human</span>
+                      <span>
+                        {currentNode.nags.length
+                          ? currentNode.nags.map((nag, k) => <span key={`d-nag-${k}`} className="move-nag">{nagSymbol(nag)}</span>)
+                          : <span className="move-details-muted">—</span>}
+                      </span>
+                    </div>
+                  )}
+                  {idx > 0 && (
+                    <div className="move-details-row">
+                      <span className="move-details-label">Engine</span>
+                      <span>
+                        {annotations[idx] && !thinking ? (
+                          <>
+                            <span className={`move-annotation annotation-${annotations[idx].tag.toLowerCase()}`}>{annotations[idx].tag}</span>
+                            {annotations[idx].delta > 0.005 && annotations[idx].delta < 50 && (
+                              <span className="move-details-muted" style={{ marginLeft: 8 }}>−{annotations[idx].delta.toFixed(2)}</span>
+                            )}
+                          </>
+                        ) : <span className="move-details-muted">—</span>}
+                      </span>
+                    </div>
+                  )}
+                  {idx > 0 && currentNode.mainline && clockTimeline?.plies[idx] && (
+                    <div className="move-details-row">
+                      <span className="move-details-label">Clock</span>
+                      <span>
+                        {formatClock(clockTimeline.plies[idx].clock) || '—'}
+                        {clockTimeline.plies[idx].spent != null && (
+                          <span className="move-details-muted" style={{ marginLeft: 8 }}>spent {formatClock(clockTimeline.plies[idx].spent)}</span>
+                        )}
+                      </span>
+                    </div>
+                  )}
+                  {!thinking && (timeFlags[idx] || []).map(flag => (
+                    <div key={flag.type} className={`move-details-flag ${flag.type}`}>{flag.label}</div>
+                  ))}
+                  {commentText(currentNode.comments) && (
+                    <div className="move-details-comment">{commentText(currentNode.comments)}</div>
+                  )}
+                </div>
+              </div>
+            )}
+
             {/* Move List */}
             {hasGame && (
               <div className="card full-height">
                 <h3 className="card-title">Moves</h3>
                 <div className="move-list">
                   {sans.map((san, i) => {
-                    const moveNum = Math.floor(i / 2) + 1;
-                    const isWhite = i % 2 === 0;
+                    const { moveNum, isWhite } = moveNumberFromFen(fens[i]);
                     const annotation = annotations[i + 1];
+                    const node = moveTree?.nodes?.[i + 1];
+                    const comment = commentText(node?.comments);
+                    const sidelines = (moveTree?.nodes?.[i]?.children || []).filter(id => !moveTree.nodes[id].mainline);
                     
                     return (
-                      <div
-                        key={`${i}-${san}-${fens[i] || ''}`}
-                        className={`move-item ${idx === i + 1 ? 'active' : ''}`}
-                        onClick={() => navigateToPosition(i + 1)}
-                      >
-                        {isWhite && <span className="move-number">{moveNum}.</span>}
-                        <span className="move-san">{san}</span>
-                        {!thinking && annotation && (
-                          <span className={`move-annotation annotation-${annotation.tag.toLowerCase()}`}>
-                            {annotation.tag === 'Brilliant' ? '!!' :
-                             annotation.tag === 'Great' ? '!' :
-                             annotation.tag === 'Inaccuracy' ? '?!' :
-                             annotation.tag === 'Mistake' ? '?' :
-                             annotation.tag === 'Blunder' ? '??' :
-                             annotation.tag === 'Miss' ? '??' : 
-                             annotation.tag}
-                          </span>
+                      <React.Fragment key={`${i}-${san}-${fens[i] || ''}`}>
+                        {opening.bookPlies > 0 && i === opening.bookPlies && (
+                          <div className="move-theory-exit">Out of book{opening.name ? ` · ${opening.name}` : ''}</div>
                         )}
-                      </div>
+                        <div
+                          className={`move-item ${idx === i + 1 ? 'active' : ''}`}
+                          onClick={() => navigateToPosition(i + 1)}
+                        >
+                          {isWhite && <span className="move-number">{moveNum}.</span>}
+                          <span className="move-san">{san}</span>
+                          {(node?.nags || []).map((nag, k) => (
+                            <span key={`nag-${k}`} className="move-nag" title={`Human annotation ($${nag})`}>{nagSymbol(nag)}</span>
+                          ))}
+                          {!thinking && (timeFlags[i + 1] || []).map(flag => (
+                            <span key={flag.type} className={`move-time-flag ${flag.type}`} title={flag.label}>
+                              {flag.type === 'time-trouble' ? '⌛' : '⏱'}
+                            </span>
+                          ))}
+                          {clockTimeline?.plies[i + 1]?.clock != null && (
+                            <span className="move-clock" title={clockTimeline.plies[i + 1].spent != null ? `Spent ${formatClock(clockTimeline.plies[i + 1].spent)}` : undefined}>
+                              {formatClock(clockTimeline.plies[i + 1].clock)}
+                            </span>
+                          )}
+                          {!thinking && annotation && (
+                            <span className={`move-annotation annotation-${annotation.tag.toLowerCase()}`}>
+                              {annotationSymbol(annotation.tag)}
+                            </span>
+                          )}
+                        </div>
+                        {!thinking && motifNotes[i + 1] && (
+                          <div
+                            className={`move-motif ${annotation.tag.toLowerCase()}`}
+                            onClick={() => navigateToPosition(i + 1)}
+                          >
+                            {motifNotes[i + 1].text}
+                          </div>
+                        )}
+                        {comment && (
+                          <div className="move-comment" onClick={() => navigateToPosition(i + 1)}>{comment}</div>
+                        )}
+                        {sidelines.map(id => renderVariationLine(id))}
+                      </React.Fragment>
                     );
                   })}
+                  {/* Lines tried after the final move (explore mode) */}
+                  {(moveTree?.nodes?.[sans.length]?.children || []).map(id => renderVariationLine(id))}
                 </div>
               </div>
             )}
+
+            {/* Database Report: antrean analisis semua game + laporan gabungan per pemain */}
+            {pgnGames.length > 1 && (
+              <BatchReport
+                totalGames={pgnGames.length}
+                analyzedCount={pgnGames.filter(g => gameAnalyses[g.raw]).length}
+                batch={batch}
+                canStart={engineReady && !thinking}
+                onStart={runBatchAnalysis}
+                onStop={stopBatchAnalysis}
+                players={reportPlayers}
+                player={reportPlayer}
+                onPlayerChange={setReportPlayer}
+                report={playerReport}
+                onOpenMove={selectGame}
+              />
+            )}
           </div>
 
           {/* Fixed bottom navigation inside right panel (desktop) - always mounted, show/hide via style */}
           <div className="right-panel-nav" style={{ display: isMobile ? 'none' : 'block' }}>
             <div className="nav-controls">
               <button className="nav-btn" onClick={() => navigateToPosition(0)} disabled={!hasGame}>⏮</button>
-              <button className="nav-btn" onClick={() => navigateToPosition(Math.max(0, idx - 1))} disabled={!hasGame}>◀</button>
-              <button className="nav-btn" onClick={() => navigateToPosition(Math.min(fens.length - 1, idx + 1))} disabled={!hasGame}>▶</button>
-              <button className="nav-btn" onClick={() => navigateToPosition(fens.length - 1)} disabled={!hasGame}>⏭</button>
+              <button className="nav-btn" onClick={() => navigateToPosition(prevNodeId)} disabled={!hasGame}>◀</button>
+              <button className="nav-btn" onClick={() => navigateToPosition(nextNodeId)} disabled={!hasGame}>▶</button>
+              <button className="nav-btn" onClick={() => navigateToPosition(lineEndId)} disabled={!hasGame}>⏭</button>
             </div>
           </div>
         </div>
@@ -2291,9 +2634,9 @@ export default function App() {
       <div className="mobile-fixed-nav" style={{ display: isMobile ? 'block' : 'none' }}>
         <div className="nav-controls">
           <button className="nav-btn" onClick={() => navigateToPosition(0)} disabled={!hasGame}>⏮</button>
-          <button className="nav-btn" onClick={() => navigateToPosition(Math.max(0, idx - 1))} disabled={!hasGame}>◀</button>
-          <button className="nav-btn" onClick={() => navigateToPosition(Math.min(fens.length - 1, idx + 1))} disabled={!hasGame}>▶</button>
-          <button className="nav-btn" onClick={() => navigateToPosition(fens.length - 1)} disabled={!hasGame}>⏭</button>
+          <button className="nav-btn" onClick={() => navigateToPosition(prevNodeId)} disabled={!hasGame}>◀</button>
+          <button className="nav-btn" onClick={() => navigateToPosition(nextNodeId)} disabled={!hasGame}>▶</button>
+          <button className="nav-btn" onClick={() => navigateToPosition(lineEndId)} disabled={!hasGame}>⏭</button>
         </div>
       </div>
     </div>
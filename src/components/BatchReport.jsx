@@ -0,0 +1,138 @@
+import React from "react";
+import { PHASES, PHASE_LABELS } from "../lib/playerReport.js";
+
+const TOTAL_ROWS = [
+  { key: 'brilliant', label: 'Brilliant', color: '#08FDFF' },
+  { key: 'blunder', label: 'Blunder', color: '#FF0B07' },
+  { key: 'miss', label: 'Miss', color: '#FF8088' },
+  { key: 'mistake', label: 'Mistake', color: '#FFB278' },
+];
+
+const formatAccuracy = (v) => (v == null ? '–' : `${v.toFixed(1)}%`);
+
+// Kerugian win% (ukuran yang dipakai urutan "Worst moves" dan akurasi per langkah)
+const formatLoss = (winDrop) => (winDrop == null ? '' : `−${winDrop.toFixed(1)}%`);
+
+export default function BatchReport({
+  totalGames,
+  analyzedCount,
+  batch,
+  canStart,
+  onStart,
+  onStop,
+  players,
+  player,
+  onPlayerChange,
+  report,
+  onOpenMove,
+}) {
+  const running = Boolean(batch?.running);
+  const pending = totalGames - analyzedCount;
+
+  return (
+    <div className="card batch-report">
+      <h3 className="card-title">Database Report</h3>
+
+      <div className="batch-queue">
+        <span className="batch-queue-status">
+          Analyzed {analyzedCount} / {totalGames} games
+        </span>
+        {running ? (
+          <button className="btn-example" onClick={onStop}>Stop</button>
+        ) : (
+          <button className="btn-example" onClick={onStart} disabled={!canStart || pending === 0}>
+            {pending === 0 ? 'All analyzed' : `Analyze ${pending} game${pending === 1 ? '' : 's'}`}
+          </button>
+        )}
+      </div>
+
+      {running && (
+        <div className="batch-progress">
+          <div className="batch-progress-label">
+            Game {Math.min(batch.done + 1, batch.total)} of {batch.total}
+            {batch.label ? ` · ${batch.label}` : ''}
+          </div>
+          <div className="progress-bar" style={{ overflow: 'hidden' }}>
+            <div
+              className="progress-fill"
+              style={{ width: `${Math.round((batch.progress || 0) * 100)}%`, animation: 'none', transition: 'width 200ms ease' }}
+            />
+          </div>
+        </div>
+      )}
+
+      <input
+        className="game-picker-search batch-player-input"
+        list="batch-report-players"
+        placeholder="Player name for the report..."
+        value={player}
+        onChange={(e) => onPlayerChange(e.target.value)}
+      />
+      <datalist id="batch-report-players">
+        {players.map(p => (
+          <option key={p.name} value={p.name}>{p.games} games</option>
+        ))}
+      </datalist>
+
+      {player.trim() && report && report.analyzedGames === 0 && (
+        <div className="batch-report-empty">No analyzed games for this player yet.</div>
+      )}
+
+      {report && report.analyzedGames > 0 && (
+        <div className="batch-report-body">
+          <div className="batch-report-grid">
+            <div className="batch-report-stat">
+              <div className="stat-label">Accuracy ({report.analyzedGames} games)</div>
+              <div className="batch-report-value">{formatAccuracy(report.accuracy)}</div>
+            </div>
+            <div className="batch-report-stat">
+              <div className="stat-label">As White ({report.byColor.white.games})</div>
+              <div className="batch-report-value">{formatAccuracy(report.byColor.white.accuracy)}</div>
+            </div>
+            <div className="batch-report-stat">
+              <div className="stat-label">As Black ({report.byColor.black.games})</div>
+              <div className="batch-report-value">{formatAccuracy(report.byColor.black.accuracy)}</div>
+            </div>
+          </div>
+
+          <div className="batch-report-grid">
+            {PHASES.map(phase => (
+              <div key={phase} className="batch-report-stat">
+                <div className="stat-label">{PHASE_LABELS[phase]} ({report.byPhase[phase].moves} moves)</div>
+                <div className="batch-report-value">{formatAccuracy(report.byPhase[phase].accuracy)}</div>
+              </div>
+            ))}
+          </div>
+
+          <div className="batch-report-totals">
+            {TOTAL_ROWS.map(row => (
+              <span key={row.key} style={{ color: row.color }}>
+                {row.label}: <strong>{report.totals[row.key]}</strong>
+              </span>
+            ))}
+          </div>
+
+          {report.worstMoves.length > 0 && (
+            <div className="batch-worst">
+              <div className="stat-label">Worst moves</div>
+              {report.worstMoves.map(m => (
+                <div
+                  key={`${m.gameIndex}-${m.ply}`}
+                  className="batch-worst-item"
+                  onClick={() => onOpenMove(m.gameIndex, m.ply)}
+                  title="Open this position"
+                >
+                  <span className="batch-worst-game">#{m.gameIndex + 1}</span>
+                  <span className="batch-worst-move">{m.label}</span>
+                  <span className="batch-worst-tag">{m.tag}</span>
+                  <span className="batch-worst-loss" title="Win% lost">{formatLoss(m.winDrop)}</span>
+                  <span className="batch-worst-opponent">vs {m.opponent}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
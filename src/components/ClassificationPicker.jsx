@@ -0,0 +1,58 @@
+import React from "react";
+import { ACCURACY_MODELS, CLASSIFICATION_PROFILES, resolveThresholds } from "../lib/classification.js";
+
+// --- Util: ringkasan ambang untuk tooltip ("Inaccuracy > 50cp · …" atau "Inaccuracy > 5% · …") ---
+function describeThresholds(t) {
+  if (t.model === 'winrate') {
+    return `Inaccuracy > ${t.win.good}% · Mistake > ${t.win.inaccuracy}% · Blunder > ${t.win.mistake}% (win% drop)`;
+  }
+  return `Inaccuracy > ${t.good}cp · Mistake > ${t.inaccuracy}cp · Blunder > ${t.mistake}cp`;
+}
+
+// settings: { profile, eloAware, model, useWdl }; elos: { white, black } dari header PGN
+export default function ClassificationPicker({ settings, onChange, elos }) {
+  const hasElo = Boolean(Number(elos.white) || Number(elos.black));
+  const title = settings.eloAware && hasElo
+    ? `White: ${describeThresholds(resolveThresholds(settings, elos.white))}\nBlack: ${describeThresholds(resolveThresholds(settings, elos.black))}`
+    : describeThresholds(resolveThresholds(settings));
+
+  return (
+    <div className="classification-picker" title={title}>
+      <select
+        className="engine-panel-select"
+        value={settings.profile}
+        onChange={(e) => onChange({ ...settings, profile: e.target.value })}
+      >
+        {Object.entries(CLASSIFICATION_PROFILES).map(([id, p]) => (
+          <option key={id} value={id}>{p.label}</option>
+        ))}
+      </select>
+      <label className="classification-elo">
+        <input
+          type="checkbox"
+          checked={settings.eloAware}
+          onChange={(e) => onChange({ ...settings, eloAware: e.target.checked })}
+        />
+        Scale by rating
+      </label>
+      <select
+        className="engine-panel-select"
+        value={settings.model}
+        onChange={(e) => onChange({ ...settings, model: e.target.value })}
+      >
+        {Object.entries(ACCURACY_MODELS).map(([id, label]) => (
+          <option key={id} value={id}>{label}</option>
+        ))}
+      </select>
+      <label className="classification-elo" title="Use Stockfish's win/draw/loss output for win% instead of converting centipawns">
+        <input
+          type="checkbox"
+          checked={settings.useWdl}
+          disabled={settings.model !== 'winrate'}
+          onChange={(e) => onChange({ ...settings, useWdl: e.target.checked })}
+        />
+        Use engine WDL
+      </label>
+    </div>
+  );
+}
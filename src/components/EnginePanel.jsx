@@ -0,0 +1,141 @@
+import React from "react";
+import { ENGINE_BUILDS, engineBuildById } from "../lib/engineBuilds.js";
+import { ENGINE_PRESETS, ENGINE_SETTING_LIMITS, applyPreset, formatDuration, updateSetting } from "../lib/engineSettings.js";
+
+const STATUS_TEXT = { loading: 'Loading…', ready: 'Ready', error: 'Unavailable' };
+const STATUS_CLASS = { loading: 'status-loading', ready: 'status-ready', error: 'status-error' };
+
+// Numeric fields of the search settings, grouped per analysis mode
+const SETTING_FIELDS = [
+  { group: 'Quick', fields: [
+    { key: 'quickMovetime', label: 'Movetime (ms)' },
+    { key: 'quickDepth', label: 'Depth' },
+    { key: 'quickMultiPV', label: 'MultiPV' },
+  ] },
+  { group: 'Deep', fields: [
+    { key: 'deepDepth', label: 'Depth' },
+    { key: 'deepMultiPV', label: 'MultiPV' },
+    { key: 'verifyDepth', label: 'Sacrifice check depth' },
+  ] },
+  { group: 'Engine', fields: [
+    { key: 'hash', label: 'Hash (MB)' },
+    { key: 'threads', label: 'Threads' },
+    { key: 'workers', label: 'Parallel engines' },
+  ] },
+];
+
+export default function EnginePanel({
+  status,
+  buildChoice,
+  onBuildChange,
+  autoBuildId,
+  capabilities,
+  settings,
+  onSettingsChange,
+  estimate,
+  disabled = false,
+}) {
+  const running = engineBuildById(status.buildId);
+  const failed = (status.failed || []).map(id => engineBuildById(id)?.label || id);
+  const autoLabel = engineBuildById(autoBuildId)?.label;
+
+  const commit = (key, value) => {
+    const next = updateSetting(settings, key, value);
+    if (next[key] !== settings[key] || next.preset !== settings.preset) onSettingsChange(next);
+  };
+
+  return (
+    <details className="engine-panel">
+      <summary className="engine-panel-summary">
+        <span className="engine-label">Engine</span>
+        <span className={`status-badge ${STATUS_CLASS[status.state] || 'status-loading'}`} title={running?.url || ''}>
+          {STATUS_TEXT[status.state] || status.state}
+          {running ? ` · ${running.label}` : ''}
+        </span>
+      </summary>
+
+      <div className="engine-panel-body">
+        <label className="engine-panel-row">
+          <span>Build</span>
+          <select
+            className="engine-panel-select"
+            value={buildChoice}
+            onChange={(e) => onBuildChange(e.target.value)}
+            disabled={disabled}
+          >
+            <option value="auto">Automatic{autoLabel ? ` (${autoLabel})` : ''}</option>
+            {ENGINE_BUILDS.map(b => (
+              <option key={b.id} value={b.id} disabled={b.threaded && !capabilities.threads}>
+                {b.label}{b.threaded && !capabilities.threads ? ' – needs cross-origin isolation' : ''}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <div className="engine-panel-note">
+          Threads: {capabilities.threads ? 'available' : 'unavailable (page is not cross-origin isolated)'}
+          {capabilities.memoryGb != null ? ` · Device memory: ${capabilities.memoryGb} GB` : ''}
+        </div>
+        {failed.length > 0 && (
+          <div className="engine-panel-note engine-panel-warning">
+            Failed to load: {failed.join(', ')}
+            {running ? ` – fell back to ${running.label}.` : '.'}
+          </div>
+        )}
+
+        <label className="engine-panel-row">
+          <span>Preset</span>
+          <select
+            className="engine-panel-select"
+            value={settings.preset}
+            onChange={(e) => onSettingsChange(applyPreset(settings, e.target.value))}
+            disabled={disabled}
+          >
+            {Object.entries(ENGINE_PRESETS).map(([id, p]) => (
+              <option key={id} value={id}>{p.label}</option>
+            ))}
+            <option value="custom" disabled>Custom</option>
+          </select>
+        </label>
+
+        {SETTING_FIELDS.map(({ group, fields }) => (
+          <div key={group} className="engine-settings-group">
+            <div className="engine-settings-title">{group}</div>
+            <div className="engine-settings-grid">
+              {fields.map(({ key, label }) => (
+                <label key={key} className="engine-settings-field">
+                  <span>{label}</span>
+                  {/* Committed (and clamped) on blur/Enter so typing "64" doesn't clamp at "6";
+                      the key remounts the input whenever the stored value changes (e.g. preset) */}
+                  <input
+                    key={`${key}-${settings[key]}`}
+                    type="number"
+                    min={ENGINE_SETTING_LIMITS[key].min}
+                    max={ENGINE_SETTING_LIMITS[key].max}
+                    defaultValue={settings[key]}
+                    disabled={disabled || (key === 'threads' && !running?.threaded)}
+                    title={key === 'threads' && !running?.threaded ? 'The running build is single-threaded' : ''}
+                    onBlur={(e) => commit(key, e.target.value)}
+                    onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+                  />
+                </label>
+              ))}
+            </div>
+          </div>
+        ))}
+
+        {settings.threads > 1 && running?.threaded && (
+          <div className="engine-panel-note engine-panel-warning">
+            More than one thread per engine makes results differ slightly between runs.
+          </div>
+        )}
+        {estimate && (
+          <div className="engine-panel-note">
+            Estimated full-game run ({estimate.positions} positions, {estimate.workers} engine{estimate.workers === 1 ? '' : 's'}):
+            {' '}Quick ≈ {formatDuration(estimate.quick)} · Deep ≈ {formatDuration(estimate.deep)}
+          </div>
+        )}
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,66 @@
+import React from "react";
+
+// moves: [{ id, prefix, san, tag }] – the explore line containing the displayed position
+export default function ExplorePanel({
+  active,
+  onToggle,
+  disabled = false,
+  moves,
+  currentId,
+  pending = false,
+  verdict,
+  onSelect,
+  onKeep,
+  onDrop,
+}) {
+  return (
+    <div className="card explore-panel">
+      <div className="live-analysis-header">
+        <h3 className="card-title" style={{ margin: 0 }}>Explore</h3>
+        <button
+          className={`btn-example live-toggle ${active ? 'active' : ''}`}
+          onClick={onToggle}
+          disabled={disabled && !active}
+        >
+          {active ? 'Done' : 'Try moves'}
+        </button>
+      </div>
+
+      {active && moves.length === 0 && (
+        <div className="explore-hint">Drag a piece on the board to try a move from the current position.</div>
+      )}
+
+      {moves.length > 0 && (
+        <>
+          <div className="explore-line">
+            {moves.map(m => (
+              <span
+                key={m.id}
+                className={`variation-move ${m.id === currentId ? 'active' : ''}`}
+                onClick={() => onSelect(m.id)}
+              >
+                {m.prefix}{m.san}
+                {m.tag && <span className={`variation-annotation annotation-${m.tag.toLowerCase()}`}>{m.symbol}</span>}
+              </span>
+            ))}
+          </div>
+
+          <div className="explore-verdict">
+            {pending && <span>Evaluating…</span>}
+            {!pending && verdict && (
+              <>
+                <span className={`move-annotation annotation-${verdict.tag.toLowerCase()}`}>{verdict.tag}</span>
+                <span>{verdict.san}{verdict.delta > 0 ? ` · loses ${verdict.delta.toFixed(2)} vs. best` : ''}</span>
+              </>
+            )}
+          </div>
+
+          <div className="explore-actions">
+            <button className="btn-example" onClick={onKeep} disabled={pending}>Keep as variation</button>
+            <button className="btn-example" onClick={onDrop}>Drop line</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import React from "react";
+import { formatBytes } from "../lib/analysisStore.js";
+
+export default function GameLibrary({ games, cacheStats, onOpen, onDelete, onClearCache, disabled = false }) {
+  return (
+    <details className="game-library">
+      <summary className="game-library-summary">
+        Saved games ({games.length})
+      </summary>
+
+      <div className="game-library-list">
+        {games.length === 0 && (
+          <div className="game-picker-more">Analyzed games are saved here automatically.</div>
+        )}
+        {games.map(g => (
+          <div
+            key={g.id}
+            className={`game-picker-item ${disabled ? 'disabled' : ''}`}
+            onClick={() => !disabled && onOpen(g.id)}
+          >
+            <div className="game-library-row">
+              <div className="game-picker-players">{g.white} – {g.black}</div>
+              <button
+                className="game-library-delete"
+                title="Remove from library"
+                onClick={(e) => { e.stopPropagation(); onDelete(g.id); }}
+              >
+                ✕
+              </button>
+            </div>
+            <div className="game-picker-meta">
+              {[g.result, g.event, g.date, g.blunders ? `${g.blunders} blunder${g.blunders === 1 ? '' : 's'}` : '']
+                .filter(Boolean)
+                .join(' · ')}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="game-library-cache">
+        <span>
+          Engine cache: {cacheStats.entries} positions · {formatBytes(cacheStats.bytes)}
+        </span>
+        <button className="btn-example" onClick={onClearCache} disabled={disabled || cacheStats.entries === 0}>
+          Clear cache
+        </button>
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,61 @@
+import React, { useMemo, useState } from "react";
+import { filterGames } from "../lib/pgnDatabase.js";
+
+// Batas baris yang dirender sekaligus (database turnamen bisa ratusan game)
+const MAX_VISIBLE = 300;
+
+export default function GamePicker({ games, currentIndex, analyzedKeys, onSelect, disabled = false }) {
+  const [query, setQuery] = useState("");
+  const visible = useMemo(() => filterGames(games, query), [games, query]);
+
+  const select = (i) => {
+    if (disabled || i < 0 || i >= games.length || i === currentIndex) return;
+    onSelect(i);
+  };
+
+  return (
+    <div className="game-picker">
+      <div className="game-picker-header">
+        <span className="game-picker-title">Games ({games.length})</span>
+        <div className="game-picker-nav">
+          <button className="nav-btn" onClick={() => select(currentIndex - 1)} disabled={disabled || currentIndex <= 0} title="Previous game">◀</button>
+          <span className="game-picker-position">{currentIndex + 1} / {games.length}</span>
+          <button className="nav-btn" onClick={() => select(currentIndex + 1)} disabled={disabled || currentIndex >= games.length - 1} title="Next game">▶</button>
+        </div>
+      </div>
+      <input
+        className="game-picker-search"
+        type="search"
+        placeholder="Search player, Elo, result, event, date, ECO..."
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+      />
+      <div className="game-picker-list">
+        {visible.slice(0, MAX_VISIBLE).map((g) => (
+          <div
+            key={g.index}
+            className={`game-picker-item ${g.index === currentIndex ? 'active' : ''} ${disabled ? 'disabled' : ''}`}
+            onClick={() => select(g.index)}
+          >
+            <div className="game-picker-players">
+              <span className="game-picker-number">{g.index + 1}.</span>
+              {g.white}{g.whiteElo ? ` (${g.whiteElo})` : ''} – {g.black}{g.blackElo ? ` (${g.blackElo})` : ''}
+              {analyzedKeys?.has(g.raw) && <span className="game-picker-analyzed" title="Analysis saved">✓</span>}
+            </div>
+            <div className="game-picker-meta">
+              {[g.result, g.event, g.date, g.eco].filter(Boolean).join(' · ')}
+            </div>
+          </div>
+        ))}
+        {visible.length > MAX_VISIBLE && (
+          <div className="game-picker-more">
+            {visible.length - MAX_VISIBLE} more games – refine the search to see them.
+          </div>
+        )}
+        {visible.length === 0 && (
+          <div className="game-picker-more">No games match “{query}”.</div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+import React from "react";
+import { formatCount, formatScore, moveNumberPrefix } from "../lib/uciInfo.js";
+
+// Number of SAN moves shown per streamed line
+const MAX_LINE_MOVES = 12;
+
+export default function LiveAnalysisPanel({ active, onToggle, disabled = false, lines, fen }) {
+  const sideToMove = String(fen || '').split(' ')[1] || 'w';
+  const top = lines[0];
+
+  return (
+    <div className="card live-analysis">
+      <div className="live-analysis-header">
+        <h3 className="card-title" style={{ margin: 0 }}>Live analysis</h3>
+        <button
+          className={`btn-example live-toggle ${active ? 'active' : ''}`}
+          onClick={onToggle}
+          disabled={disabled && !active}
+        >
+          {active ? 'Stop' : 'Start'}
+        </button>
+      </div>
+
+      {active && (
+        <div className="live-analysis-stats">
+          {top ? (
+            <>
+              <span>Depth {top.depth}{top.seldepth ? `/${top.seldepth}` : ''}</span>
+              <span>{formatCount(top.nodes)} nodes</span>
+              <span>{formatCount(top.nps)} nps</span>
+            </>
+          ) : (
+            <span>Searching…</span>
+          )}
+        </div>
+      )}
+
+      {active && lines.map((line) => {
+        const score = formatScore(line, sideToMove);
+        return (
+        <div key={line.multipv} className="live-line">
+          <span className={`live-line-score ${/^#?-/.test(score) ? 'negative' : ''}`}>
+            {score}
+          </span>
+          <span className="live-line-moves">
+            {line.sans.slice(0, MAX_LINE_MOVES).map((san, k) => (
+              <span key={k}>{moveNumberPrefix(fen, k)}{san} </span>
+            ))}
+            {line.sans.length > MAX_LINE_MOVES ? '…' : ''}
+          </span>
+        </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import React, { useState } from "react";
+
+// Games listed under an expanded move
+const MAX_LISTED_GAMES = 20;
+
+const SOURCE_LABEL = { database: 'Database', library: 'Library', current: 'Current game' };
+
+// moves: explorerMovesAt(...) for the displayed position; gameCount: games in the index
+export default function OpeningExplorer({ open, onToggle, gameCount, moves, onOpenGame, disabled = false }) {
+  const [expanded, setExpanded] = useState(null);
+
+  return (
+    <details className="card opening-explorer" open={open} onToggle={(e) => onToggle(e.currentTarget.open)}>
+      <summary className="opening-explorer-summary">
+        <span className="card-title" style={{ margin: 0 }}>Opening Explorer</span>
+        {open && <span className="opening-explorer-count">{gameCount} game{gameCount === 1 ? '' : 's'}</span>}
+      </summary>
+
+      {open && moves.length === 0 && (
+        <div className="explore-hint">None of your games reached this position.</div>
+      )}
+
+      {open && moves.length > 0 && (
+        <div className="opening-explorer-table">
+          {moves.map(m => (
+            <React.Fragment key={m.san}>
+              <div
+                className={`opening-explorer-row ${expanded === m.san ? 'active' : ''}`}
+                onClick={() => setExpanded(expanded === m.san ? null : m.san)}
+                title="Show the games that played this move"
+              >
+                <span className="opening-explorer-san">{m.san}</span>
+                <span className="opening-explorer-games">{m.count} · {m.share.toFixed(0)}%</span>
+                <span className="opening-explorer-bar" title={`White ${m.whitePct.toFixed(0)}% · Draw ${m.drawPct.toFixed(0)}% · Black ${m.blackPct.toFixed(0)}%`}>
+                  {m.white + m.draw + m.black > 0 ? (
+                    <>
+                      <span className="bar-white" style={{ width: `${m.whitePct}%` }}>{m.whitePct >= 15 ? `${m.whitePct.toFixed(0)}%` : ''}</span>
+                      <span className="bar-draw" style={{ width: `${m.drawPct}%` }}>{m.drawPct >= 15 ? `${m.drawPct.toFixed(0)}%` : ''}</span>
+                      <span className="bar-black" style={{ width: `${m.blackPct}%` }}>{m.blackPct >= 15 ? `${m.blackPct.toFixed(0)}%` : ''}</span>
+                    </>
+                  ) : (
+                    <span className="bar-unknown">no results</span>
+                  )}
+                </span>
+              </div>
+              {expanded === m.san && (
+                <div className="opening-explorer-list">
+                  {m.games.slice(0, MAX_LISTED_GAMES).map(({ game, ply }) => (
+                    <button
+                      key={`${game.key}-${ply}`}
+                      className="opening-explorer-game"
+                      onClick={() => onOpenGame(game, ply)}
+                      disabled={disabled}
+                      title={`Open at this move (${SOURCE_LABEL[game.source] || game.source})`}
+                    >
+                      <span>{game.white} – {game.black}</span>
+                      <span className="opening-explorer-meta">{game.result}{game.date ? ` · ${game.date}` : ''}</span>
+                    </button>
+                  ))}
+                  {m.games.length > MAX_LISTED_GAMES && (
+                    <div className="explore-hint">and {m.games.length - MAX_LISTED_GAMES} more</div>
+                  )}
+                </div>
+              )}
+            </React.Fragment>
+          ))}
+        </div>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,46 @@
+import React from "react";
+import { PHASES, PHASE_LABELS } from "../lib/playerReport.js";
+
+// Error counts shown per phase (best/excellent/good are implied by the accuracy)
+const ERROR_ROWS = [
+  { key: 'inaccuracy', symbol: '?!', color: '#FFEC6C', label: 'Inaccuracies' },
+  { key: 'mistake', symbol: '?', color: '#FFB278', label: 'Mistakes' },
+  { key: 'blunder', symbol: '??', color: '#FF0B07', label: 'Blunders' },
+];
+
+function PhaseCell({ phase, align }) {
+  if (!phase.totalMoves) return <div className="phase-cell" style={{ textAlign: align }}>–</div>;
+  return (
+    <div className="phase-cell" style={{ textAlign: align }}>
+      <div className="phase-accuracy">{phase.accuracy.toFixed(1)}%</div>
+      <div className="phase-errors">
+        {ERROR_ROWS.map(row => (
+          <span key={row.key} style={{ color: row.color }} title={row.label}>
+            {phase.counts[row.key]}{row.symbol}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Per-phase accuracy and error counts for both players (stats = computePlayerStats result)
+export default function PhaseBreakdown({ stats }) {
+  return (
+    <div className="phase-breakdown">
+      <div className="engine-settings-title">By phase</div>
+      {PHASES.map(phase => (
+        <div key={phase} className="phase-row">
+          <PhaseCell phase={stats.white.byPhase[phase]} align="left" />
+          <div className="phase-name">
+            {PHASE_LABELS[phase]}
+            <span className="phase-moves">
+              {stats.white.byPhase[phase].totalMoves + stats.black.byPhase[phase].totalMoves} moves
+            </span>
+          </div>
+          <PhaseCell phase={stats.black.byPhase[phase]} align="right" />
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,176 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Chess } from "chess.js";
+import { Chessboard } from "react-chessboard";
+import { deckStats, duePuzzles } from "../lib/puzzles.js";
+import { moveNumberPrefix } from "../lib/uciInfo.js";
+
+const BOARD_SIZE = 300;
+const REPLY_DELAY_MS = 400;
+
+const THEME_LABELS = { mate: 'Mate', fork: 'Fork', pin: 'Pin', promotion: 'Promotion', other: 'Other' };
+
+// --- Util: "in 3 days" untuk jadwal review berikutnya ---
+function formatDue(ts, now) {
+  const days = Math.ceil((ts - now) / (24 * 60 * 60 * 1000));
+  if (days <= 1) return 'tomorrow';
+  return `in ${days} days`;
+}
+
+// deck: kartu puzzle (lib/puzzles.js); onReview(card, quality 0..5) menyimpan jadwal SM-2 baru
+export default function PuzzleDeck({ deck, customPieces, onReview, onDelete }) {
+  const [cardId, setCardId] = useState(null);
+  const [fen, setFen] = useState(null);
+  const [step, setStep] = useState(0);          // indeks langkah solver berikutnya di card.line
+  const [status, setStatus] = useState('playing'); // 'playing' | 'solved' | 'failed'
+  const [hinted, setHinted] = useState(false);
+  const [wrong, setWrong] = useState(null);     // { from, to } percobaan yang salah
+  const [now, setNow] = useState(Date.now);     // acuan jatuh tempo; diperbarui saat deck dibuka/kartu diganti
+  const replyTimerRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(replyTimerRef.current), []);
+
+  const stats = useMemo(() => deckStats(deck, now), [deck, now]);
+  const card = deck.find(c => c.id === cardId) || null;
+  const solverColor = card ? new Chess(card.fen).turn() : 'w';
+
+  const open = (next) => {
+    clearTimeout(replyTimerRef.current);
+    setNow(Date.now());
+    setCardId(next?.id ?? null);
+    setFen(next?.fen ?? null);
+    setStep(0);
+    setStatus('playing');
+    setHinted(false);
+    setWrong(null);
+  };
+
+  const openNext = (anyCard = false) => {
+    const due = duePuzzles(deck, now).filter(c => c.id !== cardId);
+    if (due.length) return open(due[0]);
+    if (!anyCard) return open(null);
+    // Latihan di luar jadwal: kartu yang paling cepat jatuh tempo
+    const soonest = deck.filter(c => c.id !== cardId).sort((a, b) => a.sm2.due - b.sm2.due)[0];
+    open(soonest || card);
+  };
+
+  const tryMove = (from, to, promotion = 'q') => {
+    if (!card || status !== 'playing' || step % 2 !== 0) return false;
+    const chess = new Chess(fen);
+    let move;
+    try {
+      move = chess.move({ from, to, promotion });
+    } catch {
+      return false; // langkah ilegal
+    }
+    const uci = move.from + move.to + (move.promotion || '');
+    // Mate lain juga benar (mis. dua langkah yang sama-sama mate)
+    const correct = uci === card.line[step] || chess.isCheckmate();
+    if (!correct) {
+      setWrong({ from, to });
+      setStatus('failed');
+      onReview(card, 1);
+      return false;
+    }
+    setFen(chess.fen());
+    if (step + 1 >= card.line.length || chess.isCheckmate()) {
+      setStatus('solved');
+      onReview(card, hinted ? 3 : 5);
+      return true;
+    }
+    // Balasan lawan dari line solusi
+    const reply = card.line[step + 1];
+    setStep(step + 1);
+    replyTimerRef.current = setTimeout(() => {
+      try {
+        chess.move({ from: reply.slice(0, 2), to: reply.slice(2, 4), promotion: reply[4] || 'q' });
+      } catch {
+        return;
+      }
+      setFen(chess.fen());
+      setStep(step + 2);
+    }, REPLY_DELAY_MS);
+    return true;
+  };
+
+  const hintSquare = card && status === 'playing' && hinted ? card.line[step]?.slice(0, 2) : null;
+  const squareStyles = {};
+  if (hintSquare) squareStyles[hintSquare] = { backgroundColor: 'rgba(250, 204, 21, 0.45)' };
+  if (wrong) {
+    squareStyles[wrong.from] = { backgroundColor: 'rgba(220, 38, 38, 0.35)' };
+    squareStyles[wrong.to] = { backgroundColor: 'rgba(220, 38, 38, 0.35)' };
+  }
+
+  return (
+    <details className="puzzle-deck" onToggle={() => setNow(Date.now())}>
+      <summary className="game-library-summary">
+        Puzzle deck ({stats.total}{stats.due ? ` · ${stats.due} due` : ''})
+      </summary>
+
+      <div className="puzzle-deck-stats">
+        {stats.total === 0 && <span>Missed tactics and Great/Brilliant moves from analyzed games are collected here.</span>}
+        {stats.total > 0 && (
+          <>
+            <span>{stats.due} due{stats.nextDue && !stats.due ? ` · next ${formatDue(stats.nextDue, now)}` : ''}</span>
+            <span>{stats.successRate == null ? 'not reviewed yet' : `${stats.successRate.toFixed(0)}% solved (${stats.attempts} tries)`}</span>
+          </>
+        )}
+      </div>
+
+      {stats.total > 0 && (
+        <div className="puzzle-themes">
+          {Object.entries(stats.byTheme).map(([theme, t]) => (
+            <span key={theme} className="puzzle-theme" title={t.attempts ? `${((t.successes / t.attempts) * 100).toFixed(0)}% solved` : 'not reviewed yet'}>
+              {THEME_LABELS[theme] || theme} {t.count}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {stats.total > 0 && !card && (
+        <div className="explore-actions">
+          <button className="btn-example" onClick={() => openNext(false)} disabled={!stats.due}>Review due</button>
+          <button className="btn-example" onClick={() => openNext(true)}>Practice anyway</button>
+        </div>
+      )}
+
+      {card && (
+        <div className="puzzle-session">
+          <div className="puzzle-prompt">
+            {status === 'playing' && `${solverColor === 'w' ? 'White' : 'Black'} to play and win.`}
+            {status === 'solved' && <span className="puzzle-solved">Solved!</span>}
+            {status === 'failed' && <span className="puzzle-failed">Not the move.</span>}
+            {card.themes.map(t => <span key={t} className="puzzle-theme">{THEME_LABELS[t] || t}</span>)}
+          </div>
+          <div style={{ width: BOARD_SIZE }}>
+            <Chessboard
+              id="puzzle-board"
+              position={fen}
+              boardWidth={BOARD_SIZE}
+              boardOrientation={solverColor === 'w' ? 'white' : 'black'}
+              arePiecesDraggable={status === 'playing' && step % 2 === 0}
+              onPieceDrop={(from, to) => tryMove(from, to)}
+              onPromotionPieceSelect={(piece, from, to) => (piece && from && to ? tryMove(from, to, piece[1].toLowerCase()) : false)}
+              customPieces={customPieces}
+              customSquareStyles={squareStyles}
+              animationDuration={200}
+            />
+          </div>
+          {status !== 'playing' && (
+            <div className="puzzle-solution">
+              {card.sans.map((san, k) => `${moveNumberPrefix(card.fen, k)}${san}`).join(' ')}
+            </div>
+          )}
+          <div className="puzzle-source">
+            {card.game.white} – {card.game.black}{card.game.date ? ` · ${card.game.date}` : ''} · {card.sourceTag}{card.sourceTag === 'Miss' ? ` (played ${card.game.playedSan})` : ''}
+          </div>
+          <div className="explore-actions">
+            <button className="btn-example" onClick={() => setHinted(true)} disabled={status !== 'playing' || hinted}>Hint</button>
+            <button className="btn-example" onClick={() => openNext(true)}>Next</button>
+            <button className="btn-example" onClick={() => { onDelete(card.id); open(null); }}>Remove</button>
+            <button className="btn-example" onClick={() => open(null)}>Close</button>
+          </div>
+        </div>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,35 @@
+import React from "react";
+import { moveNumberPrefix } from "../lib/uciInfo.js";
+
+// lines: [{ rank, score, moves: [{ san }] }] for the displayed position (fen)
+// selected: { rank, ply } of the previewed move, or null
+export default function PvLines({ lines, fen, selected, onSelect, onReset }) {
+  if (!lines.length) return null;
+
+  return (
+    <div className="pv-lines">
+      <div className="pv-lines-header">
+        <span className="engine-settings-title">Engine lines</span>
+        {selected && (
+          <button className="btn-example pv-lines-reset" onClick={onReset}>Back to game</button>
+        )}
+      </div>
+      {lines.map(line => (
+        <div key={line.rank} className="live-line">
+          <span className={`live-line-score ${/^#?-/.test(line.score) ? 'negative' : ''}`}>{line.score}</span>
+          <span className="pv-line-moves">
+            {line.moves.map((m, k) => (
+              <span
+                key={k}
+                className={`pv-move ${selected?.rank === line.rank && selected?.ply === k ? 'active' : ''}`}
+                onClick={() => onSelect(line.rank, k)}
+              >
+                {moveNumberPrefix(fen, k)}{m.san}
+              </span>
+            ))}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import React from "react";
+
+const STATUS_TEXT = {
+  find: 'Find a better move — drag a piece on the board.',
+  checking: 'Checking your move…',
+  solved: 'Correct!',
+  failed: 'Not quite — try again.',
+  shown: 'Solution shown.',
+};
+
+// exercises: collectExercises(...); record: catatan latihan (key → { solved, attempts })
+// session: { index, status, hint, attempt: { uci, san } } atau null saat mode latihan tidak aktif
+export default function TrainingPanel({
+  exercises,
+  record,
+  session,
+  disabled = false,
+  onStart,
+  onExit,
+  onGoTo,
+  onHint,
+  onShowSolution,
+}) {
+  const solvedCount = exercises.filter(ex => record[ex.key]?.solved).length;
+  const ex = session ? exercises[session.index] : null;
+
+  return (
+    <div className="card training-panel">
+      <div className="live-analysis-header">
+        <h3 className="card-title" style={{ margin: 0 }}>Learn from mistakes</h3>
+        {session ? (
+          <button className="btn-example live-toggle active" onClick={onExit}>Exit</button>
+        ) : (
+          <button className="btn-example live-toggle" onClick={onStart} disabled={disabled || exercises.length === 0}>
+            Start ({exercises.length})
+          </button>
+        )}
+      </div>
+
+      {!session && (
+        <div className="explore-hint">
+          {exercises.length === 0
+            ? 'No mistakes, blunders or misses to practise in this game.'
+            : `${solvedCount} of ${exercises.length} solved so far.`}
+        </div>
+      )}
+
+      {ex && (
+        <>
+          <div className="training-progress">
+            {exercises.map((item, k) => (
+              <span
+                key={item.id}
+                className={`training-dot ${k === session.index ? 'active' : ''} ${record[item.key]?.solved ? 'solved' : ''}`}
+                onClick={() => onGoTo(k)}
+                title={`${item.tag}: ${item.playedSan}`}
+              />
+            ))}
+          </div>
+
+          <div className="training-task">
+            <span className={`move-annotation annotation-${ex.tag.toLowerCase()}`}>{ex.tag}</span>
+            <span>{ex.mover === 'w' ? 'White' : 'Black'} played {ex.playedSan}. Exercise {session.index + 1} of {exercises.length}.</span>
+          </div>
+
+          <div className={`training-status ${session.status}`}>
+            {STATUS_TEXT[session.status]}
+            {session.attempt && session.status !== 'checking' && <span className="training-attempt"> ({session.attempt.san})</span>}
+            {(session.status === 'solved' || session.status === 'shown') && ex.bestSan && (
+              <span className="training-attempt"> Engine: {ex.bestSan}</span>
+            )}
+          </div>
+
+          <div className="explore-actions">
+            <button className="btn-example" onClick={() => onGoTo(session.index - 1)} disabled={session.index === 0}>Prev</button>
+            <button className="btn-example" onClick={onHint} disabled={session.hint >= 2 || session.status === 'solved' || session.status === 'shown'}>
+              {session.hint === 0 ? 'Hint: piece' : 'Hint: square'}
+            </button>
+            <button className="btn-example" onClick={onShowSolution} disabled={session.status === 'solved' || session.status === 'shown'}>Show solution</button>
+            <button className="btn-example" onClick={() => onGoTo(session.index + 1)} disabled={session.index >= exercises.length - 1}>Next</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
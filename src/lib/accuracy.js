@@ -0,0 +1,76 @@
+// --- Expected-score (win%) model for accuracy and classification ---
+// Win% is the mover's expected score (0..100), from the centipawn score with lichess' logistic
+// curve; with useWdl (opt-in) Stockfish's WDL output is used when the engine reported one
+// (UCI_ShowWDL). Per-move accuracy follows the win% drop; game accuracy mixes a volatility-weighted mean
+// and a harmonic mean, as on lichess.
+
+// Logistic slope of lichess' cp → win% curve
+const WIN_CP_SLOPE = 0.00368208;
+
+// --- Win% pihak yang jalan dari centipawn ---
+export function winPercentFromCp(cp) {
+  return 50 + 50 * (2 / (1 + Math.exp(-WIN_CP_SLOPE * cp)) - 1);
+}
+
+// --- Win% pihak yang jalan dari satu hasil engine { cp | mate, wdl? } ---
+// mate 0 = pihak yang jalan sudah di-mate. wdl: [win, draw, loss] per mille (UCI_ShowWDL).
+export function winPercent(ev, { useWdl = false } = {}) {
+  if (!ev) return null;
+  if (useWdl && Array.isArray(ev.wdl) && ev.wdl.length === 3) {
+    const [w, d, l] = ev.wdl.map(Number);
+    const total = w + d + l;
+    if (total > 0) return ((w + d / 2) / total) * 100;
+  }
+  if ('mate' in ev && ev.mate != null) return ev.mate > 0 ? 100 : 0;
+  if ('cp' in ev && Number.isFinite(ev.cp)) return winPercentFromCp(ev.cp);
+  return null;
+}
+
+// --- Win% pelaku sebelum & sesudah langkah (after = evals posisi sesudah langkah, relatif lawan) ---
+export function moverWinPercents(best, after, opts) {
+  const before = winPercent(best, opts);
+  let played = null;
+  if (after && 'mate' in after && after.mate === 0) played = 100; // langkah memberi skakmat
+  else {
+    const opp = winPercent(after, opts);
+    played = opp == null ? null : 100 - opp;
+  }
+  return { before, after: played };
+}
+
+// --- Akurasi satu langkah dari penurunan win% (rumus lichess, +1 sebagai bonus ketidakpastian) ---
+export function moveAccuracyFromWinDrop(drop) {
+  const d = Math.max(0, drop);
+  const raw = 103.1668100711649 * Math.exp(-0.04354415386753951 * d) - 3.166924740191411 + 1;
+  return Math.max(0, Math.min(100, raw));
+}
+
+// --- Util: simpangan baku ---
+function stdDev(xs) {
+  const mean = xs.reduce((a, b) => a + b, 0) / xs.length;
+  return Math.sqrt(xs.reduce((a, b) => a + (b - mean) ** 2, 0) / xs.length);
+}
+
+// --- Bobot volatilitas per langkah dari deret win% Putih (posisi 0..N) ---
+// Window geser sebesar clamp(jumlah posisi / 10, 2, 8); bobot = simpangan baku window, dibatasi 0.5..12.
+// Returns array sepanjang jumlah langkah (bobot langkah k = window yang berakhir setelah langkah k).
+export function volatilityWeights(whiteWinPercents) {
+  const n = whiteWinPercents.length;
+  if (n < 2) return [];
+  const size = Math.max(2, Math.min(8, Math.floor(n / 10)));
+  const windows = [];
+  const first = whiteWinPercents.slice(0, size);
+  for (let k = 0; k < Math.min(size, n) - 2; k++) windows.push(first);
+  for (let k = 0; k + size <= n; k++) windows.push(whiteWinPercents.slice(k, k + size));
+  return windows.slice(0, n - 1).map(w => Math.max(0.5, Math.min(12, stdDev(w))));
+}
+
+// --- Akurasi gabungan: rata-rata (berbobot volatilitas + harmonik) / 2 ---
+// moves: [{ accuracy, weight }]. Nilai 0 dihitung 1 di rata-rata harmonik (hindari bagi nol).
+export function aggregateAccuracy(moves) {
+  if (!moves.length) return 0;
+  const wSum = moves.reduce((a, m) => a + m.weight, 0);
+  const weighted = moves.reduce((a, m) => a + m.accuracy * m.weight, 0) / wSum;
+  const harmonic = moves.length / moves.reduce((a, m) => a + 1 / Math.max(1, m.accuracy), 0);
+  return (weighted + harmonic) / 2;
+}
@@ -0,0 +1,88 @@
+import { estimatePerformance } from "./performanceRating.js";
+import { PHASES } from "./playerReport.js";
+
+// --- Plain-data reports of analyzed games (CLI output: JSON + CSV) ---
+// gameReport() turns an analyzeGame() result into a JSON-safe object; reportsToCsv() flattens
+// a list of them into one row per game. No engine, DOM or file system in here.
+
+const SIDES = ['white', 'black'];
+
+// Move buckets written per side, in the order of the Moves list
+const COUNT_KEYS = ['brilliant', 'great', 'best', 'excellent', 'good', 'book', 'inaccuracy', 'mistake', 'miss', 'blunder'];
+
+// --- Util: angka desimal dibulatkan (null tetap null, -0 jadi 0 agar JSON/CSV sama) ---
+function round(value, digits = 1) {
+  if (value == null || !Number.isFinite(Number(value))) return null;
+  const f = 10 ** digits;
+  return Math.round(Number(value) * f) / f || 0;
+}
+
+// --- Util: ringkasan satu sisi (akurasi, rating performa, jumlah tag, akurasi per fase) ---
+function sideReport(stats, counts, calibration) {
+  const byPhase = {};
+  PHASES.forEach((phase) => {
+    const ps = stats?.byPhase?.[phase];
+    byPhase[phase] = ps?.totalMoves ? round(ps.accuracy) : null;
+  });
+  return {
+    accuracy: stats?.totalMoves ? round(stats.accuracy) : null,
+    performance: estimatePerformance(stats, calibration),
+    moves: stats?.totalMoves ?? 0,
+    counts: Object.fromEntries(COUNT_KEYS.map(k => [k, counts?.[k] ?? 0])),
+    byPhase,
+  };
+}
+
+// --- Laporan satu game hasil analyzeGame() ---
+// meta: { index, source } (posisi game di file input); calibration: lib/performanceRating.js
+export function gameReport(result, { index = 0, source = null, calibration } = {}) {
+  const tags = result.tags || {};
+  return {
+    index,
+    source,
+    white: result.headers.White,
+    black: result.headers.Black,
+    whiteElo: Number(result.headers.WhiteElo) || null,
+    blackElo: Number(result.headers.BlackElo) || null,
+    result: tags.Result || '*',
+    event: tags.Event && tags.Event !== '?' ? tags.Event : null,
+    date: tags.Date && !/^\?+/.test(tags.Date) ? tags.Date : null,
+    eco: result.opening?.eco ?? null,
+    opening: result.opening?.name ?? null,
+    players: Object.fromEntries(SIDES.map(c => [c, sideReport(result.stats?.[c], result.counts?.[c], calibration)])),
+    plies: result.plies.map(p => ({ ...p, accuracy: round(p.accuracy), winDrop: round(p.winDrop), weight: round(p.weight), delta: round(p.delta) })),
+  };
+}
+
+// --- Laporan game yang gagal dianalisis (tetap muncul di output, dengan pesan error) ---
+export function failedGameReport({ index = 0, source = null, white = null, black = null }, error) {
+  return { index, source, white, black, error: String(error?.message || error || 'unknown error') };
+}
+
+// --- Util: escape satu sel CSV (RFC 4180) ---
+function csvCell(value) {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// --- CSV: satu baris per game; kolom per sisi diawali white_/black_ ---
+export function reportsToCsv(reports) {
+  const sideColumns = (c) => [
+    `${c}_accuracy`, `${c}_performance`, `${c}_moves`,
+    ...COUNT_KEYS.map(k => `${c}_${k}`),
+    ...PHASES.map(p => `${c}_${p}_accuracy`),
+  ];
+  const header = ['index', 'source', 'white', 'black', 'white_elo', 'black_elo', 'result', 'event', 'date', 'eco', 'opening',
+    ...SIDES.flatMap(sideColumns), 'error'];
+  const rows = reports.map((r) => {
+    const side = (c) => {
+      const p = r.players?.[c];
+      if (!p) return sideColumns(c).map(() => null);
+      return [p.accuracy, p.performance, p.moves, ...COUNT_KEYS.map(k => p.counts[k]), ...PHASES.map(ph => p.byPhase[ph])];
+    };
+    return [r.index, r.source, r.white, r.black, r.whiteElo, r.blackElo, r.result, r.event, r.date, r.eco, r.opening,
+      ...SIDES.flatMap(side), r.error];
+  });
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,181 @@
+// --- Persistent analysis storage (IndexedDB) ---
+// Three object stores:
+//   evals   – engine results keyed by the same string analyzeFenOnce uses for its in-memory cache
+//   games   – saved games: PGN, headers, evals and annotations, keyed by a hash of the PGN text
+//   puzzles – puzzle deck cards (position, solution line, themes, SM-2 schedule), keyed by puzzle id
+// Every function resolves (never rejects); without IndexedDB they resolve to empty results.
+
+const DB_NAME = 'chess-analyzer';
+const DB_VERSION = 2;
+const EVAL_STORE = 'evals';
+const GAME_STORE = 'games';
+const PUZZLE_STORE = 'puzzles';
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') return resolve(null);
+    let req;
+    try {
+      req = indexedDB.open(DB_NAME, DB_VERSION);
+    } catch (e) {
+      console.warn('IndexedDB tidak tersedia:', e?.message || e);
+      return resolve(null);
+    }
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(EVAL_STORE)) db.createObjectStore(EVAL_STORE);
+      if (!db.objectStoreNames.contains(GAME_STORE)) db.createObjectStore(GAME_STORE, { keyPath: 'id' });
+      if (!db.objectStoreNames.contains(PUZZLE_STORE)) db.createObjectStore(PUZZLE_STORE, { keyPath: 'id' });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      console.warn('Gagal membuka IndexedDB:', req.error?.message || req.error);
+      resolve(null);
+    };
+  });
+  return dbPromise;
+}
+
+// Runs fn(store) inside a transaction and resolves with the request result (or fallback)
+async function withStore(name, mode, fn, fallback = null) {
+  const db = await openDb();
+  if (!db) return fallback;
+  return new Promise((resolve) => {
+    try {
+      const tx = db.transaction(name, mode);
+      const req = fn(tx.objectStore(name));
+      tx.oncomplete = () => resolve(req ? req.result : fallback);
+      tx.onerror = () => {
+        console.warn(`IndexedDB (${name}) error:`, tx.error?.message || tx.error);
+        resolve(fallback);
+      };
+      tx.onabort = tx.onerror;
+    } catch (e) {
+      console.warn(`IndexedDB (${name}) error:`, e?.message || e);
+      resolve(fallback);
+    }
+  });
+}
+
+// --- Util: id game dari teks PGN (FNV-1a 32-bit, hex) ---
+export function gameIdFromPgn(pgn) {
+  let h = 0x811c9dc5;
+  const text = String(pgn ?? '').trim();
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(16).padStart(8, '0');
+}
+
+// --- Cache evaluasi engine ---
+export function getCachedEval(key) {
+  return withStore(EVAL_STORE, 'readonly', store => store.get(key)).then(v => v ?? null);
+}
+
+export function putCachedEval(key, value) {
+  return withStore(EVAL_STORE, 'readwrite', store => store.put(value, key));
+}
+
+export function clearEvalCache() {
+  return withStore(EVAL_STORE, 'readwrite', store => store.clear());
+}
+
+// Jumlah entri + perkiraan ukuran (byte JSON) cache evaluasi
+export async function getEvalCacheStats() {
+  const db = await openDb();
+  if (!db) return { entries: 0, bytes: 0 };
+  return new Promise((resolve) => {
+    let entries = 0;
+    let bytes = 0;
+    try {
+      const tx = db.transaction(EVAL_STORE, 'readonly');
+      const req = tx.objectStore(EVAL_STORE).openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        entries += 1;
+        bytes += String(cursor.key).length + JSON.stringify(cursor.value ?? null).length;
+        cursor.continue();
+      };
+      tx.oncomplete = () => resolve({ entries, bytes });
+      tx.onerror = () => resolve({ entries, bytes });
+    } catch {
+      resolve({ entries: 0, bytes: 0 });
+    }
+  });
+}
+
+// --- Library game tersimpan ---
+// record: { pgn, tags, evals, annotations } → disimpan dengan id + savedAt
+export function saveGame(record) {
+  const id = gameIdFromPgn(record.pgn);
+  return withStore(GAME_STORE, 'readwrite', store => store.put({ ...record, id, savedAt: Date.now() }))
+    .then(() => id);
+}
+
+export function loadGame(id) {
+  return withStore(GAME_STORE, 'readonly', store => store.get(id)).then(v => v ?? null);
+}
+
+export function deleteGame(id) {
+  return withStore(GAME_STORE, 'readwrite', store => store.delete(id));
+}
+
+// Daftar ringkas (tanpa evals; PGN ikut untuk opening explorer) urut dari yang terakhir disimpan
+export async function listSavedGames() {
+  const all = await withStore(GAME_STORE, 'readonly', store => store.getAll(), []);
+  return (all || [])
+    .map(({ id, pgn, tags, annotations, savedAt }) => ({
+      id,
+      pgn,
+      white: tags?.White || 'White Player',
+      black: tags?.Black || 'Black Player',
+      result: tags?.Result || '*',
+      date: tags?.Date && !/^\?+/.test(tags.Date) ? tags.Date : '',
+      event: tags?.Event && tags.Event !== '?' ? tags.Event : '',
+      blunders: Object.values(annotations || {}).filter(a => a?.tag === 'Blunder' && a.mainline !== false).length,
+      savedAt,
+    }))
+    .sort((a, b) => b.savedAt - a.savedAt);
+}
+
+// --- Puzzle deck ---
+export async function listPuzzles() {
+  const all = await withStore(PUZZLE_STORE, 'readonly', store => store.getAll(), []);
+  return all || [];
+}
+
+// Hanya kartu baru yang ditambahkan; kartu yang sudah ada mempertahankan jadwal review-nya
+export async function addPuzzles(cards) {
+  if (!cards.length) return 0;
+  const keys = await withStore(PUZZLE_STORE, 'readonly', store => store.getAllKeys(), []);
+  const have = new Set(keys || []);
+  const fresh = cards.filter(c => !have.has(c.id));
+  if (fresh.length) {
+    await withStore(PUZZLE_STORE, 'readwrite', (store) => {
+      fresh.forEach(c => store.put(c));
+      return null;
+    });
+  }
+  return fresh.length;
+}
+
+export function savePuzzle(card) {
+  return withStore(PUZZLE_STORE, 'readwrite', store => store.put(card));
+}
+
+export function deletePuzzle(id) {
+  return withStore(PUZZLE_STORE, 'readwrite', store => store.delete(id));
+}
+
+// --- Util: byte → "12.3 KB" ---
+export function formatBytes(bytes) {
+  const n = Number(bytes) || 0;
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,112 @@
+import { configureEngine } from "./enginePool.js";
+import { getTerminalEval, searchPosition } from "./uciSearch.js";
+import { parsePgnToFens } from "./pgnParse.js";
+import { scoreGame } from "./gameAnalysis.js";
+import { isStrictPieceSacrificeOffer, normalizeSan } from "./sacrifice.js";
+import { uciToSan } from "./uciInfo.js";
+import { DEFAULT_CLASSIFICATION_SETTINGS } from "./classification.js";
+
+// --- PGN + engine → plies, evals, annotations, stats (no React, no IndexedDB) ---
+// `engine` is worker-like (see lib/uciSearch.js) and must already have answered "uciok".
+// Every position is searched from an empty hash, so the result only depends on the engine
+// build, depth and MultiPV – the same contract as the stable pass of the app's analysis.
+
+export const DEFAULT_ANALYSIS_OPTIONS = { depth: 14, multiPV: 5, verifyDepth: 18, hash: 32, threads: 1 };
+
+// --- Util: SAN langkah terbaik engine (PV#1) pada posisi fen ---
+function bestSanOf(fen, ev) {
+  const uci = ev?.bestmoveUci || (Array.isArray(ev?.multipv) ? ev.multipv.find(x => x.rank === 1)?.uci : null);
+  return uci ? uciToSan(fen, uci) : null;
+}
+
+// --- Langkah yang dimainkan = PV#1 engine? (SAN dibandingkan tanpa +/#/!/?) ---
+export function isEngineBestMove(fen, ev, playedSan) {
+  const best = bestSanOf(fen, ev);
+  return Boolean(best && playedSan && normalizeSan(best) === normalizeSan(playedSan));
+}
+
+// --- Kandidat verifikasi dalam: korban buah yang belum jadi PV#1 pada depth stabil ---
+// playedMoves: [{ i, san }] (i = posisi sebelum langkah). Dianalisis ulang lebih dalam; bila
+// langkahnya lalu jadi PV#1, hasil dalam itu yang dipakai (agar bisa ditandai Brilliant).
+export function sacrificeCandidates(fenList, playedMoves, evals) {
+  return playedMoves.filter(({ i, san }) => {
+    const fen = fenList[i];
+    if (!fen || !evals[i] || !san) return false;
+    if (!isStrictPieceSacrificeOffer(fen, san, fen.split(' ')[1])) return false;
+    return !isEngineBestMove(fen, evals[i], san); // skip if already PV#1
+  });
+}
+
+// --- Util: langkah yang dimainkan per posisi (parent → child), fallback main line datar ---
+export function playedMovesOf(fenList, treeNodes, sans) {
+  return (treeNodes && treeNodes.length === fenList.length)
+    ? treeNodes.filter(n => n.parent != null).map(n => ({ i: n.parent, san: n.san }))
+    : fenList.slice(0, -1).map((_, i) => ({ i, san: sans[i] }));
+}
+
+// --- Evals untuk daftar FEN di satu engine ---
+// onProgress(0..1) per posisi; shouldStop() → true menghentikan analisis (hasil null).
+export async function analyzePositions(engine, fenList, {
+  depth = DEFAULT_ANALYSIS_OPTIONS.depth,
+  multiPV = DEFAULT_ANALYSIS_OPTIONS.multiPV,
+  verifyDepth = DEFAULT_ANALYSIS_OPTIONS.verifyDepth,
+  hash = DEFAULT_ANALYSIS_OPTIONS.hash,
+  threads = DEFAULT_ANALYSIS_OPTIONS.threads,
+  playedMoves = [],
+  onProgress,
+  shouldStop,
+} = {}) {
+  const stopped = () => Boolean(shouldStop && shouldStop());
+  const search = (fen, searchOpts) => {
+    const terminal = getTerminalEval(fen);
+    if (terminal) return Promise.resolve({ ...terminal, bestmoveUci: null, multipv: [] });
+    engine.postMessage('ucinewgame');
+    return searchPosition(engine, fen, searchOpts);
+  };
+
+  configureEngine(engine, multiPV, { hash, threads });
+  const evals = {};
+  for (let i = 0; i < fenList.length; i++) {
+    if (stopped()) return null;
+    const ev = await search(fenList[i], { depth, multiPV });
+    if (ev) evals[i] = ev;
+    if (onProgress) onProgress((i + 1) / fenList.length);
+  }
+
+  // Auto-deepen verification (sama seperti analisis di app)
+  const deepDepth = Math.max(depth + 4, verifyDepth);
+  const deepMultiPV = Math.max(multiPV, 5);
+  for (const { i, san } of sacrificeCandidates(fenList, playedMoves, evals)) {
+    if (stopped()) return null;
+    const deep = await search(fenList[i], { depth: deepDepth, multiPV: deepMultiPV });
+    if (deep && isEngineBestMove(fenList[i], deep, san)) evals[i] = deep;
+  }
+  return evals;
+}
+
+// --- Analisis lengkap satu PGN ---
+// options: DEFAULT_ANALYSIS_OPTIONS + classification (lib/classification.js settings), onProgress, shouldStop.
+// Returns null bila dihentikan; melempar error parsePgnToFens bila PGN tidak valid, dan juga bila
+// movetext hanya terbaca sebagian (langkah ilegal dilewati oleh fallback parser): laporan atas
+// potongan game lebih menyesatkan daripada error.
+export async function analyzeGame(pgn, engine, { classification = DEFAULT_CLASSIFICATION_SETTINGS, ...options } = {}) {
+  const parsed = parsePgnToFens(pgn);
+  if (parsed.skipped?.length) {
+    throw new Error(`PGN hanya terbaca sebagian (${parsed.sans.length} ply): langkah ilegal atau tidak dikenal: ${parsed.skipped.slice(0, 5).join(' ')}`);
+  }
+  const fenList = parsed.tree.nodes.map(n => n.fen);
+  const playedMoves = playedMovesOf(fenList, parsed.tree.nodes, parsed.sans);
+  const evals = await analyzePositions(engine, fenList, { ...options, playedMoves });
+  if (!evals) return null;
+  const elos = { white: parsed.headers.WhiteElo, black: parsed.headers.BlackElo };
+  const scored = scoreGame(parsed, evals, classification, elos);
+  return {
+    tags: parsed.tags,
+    headers: parsed.headers,
+    fens: parsed.fens,
+    sans: parsed.sans,
+    tree: parsed.tree,
+    evals,
+    ...scored,
+  };
+}
@@ -0,0 +1,190 @@
+// --- Move classification profiles (persisted) ---
+// One source for the Best…Blunder/Miss cutoffs: the annotations (Moves list, Report card), the
+// per-phase buckets of the player stats and the "perfect move" cutoff of the accuracy all read
+// the thresholds resolved here. Two models: 'winrate' grades the drop in expected score
+// (lib/accuracy.js); 'legacy' grades raw centipawn loss with the historic hardcoded values
+// (the "Standard" cp cutoffs).
+
+const STORAGE_KEY = 'chess-analyzer.classification';
+
+// Centipawn cutoffs (mover's perspective):
+//   best..mistake – maximum loss vs. PV#1 for that tag; above `mistake` is a Blunder
+//   swing         – a winning/losing eval of this size turned into the opposite sign is a Blunder
+//   missBest      – best line was at least this good (or a mate) …
+//   missPlayed    – … but the played move left at most this much → Miss
+//   missMaxLoss   – larger losses stay Mistake/Blunder instead of Miss
+// Win% cutoffs (`win`, percentage points of the mover's expected score):
+//   best..mistake – maximum win% drop for that tag; above `mistake` is a Blunder
+//   missBest      – win% before the move was at least this (or a mate) …
+//   missPlayed    – … and the move dropped it to at most this, but not below `missFloor` → Miss
+//   missMaxDrop   – larger drops stay Mistake/Blunder instead of Miss (like `missMaxLoss`)
+export const CLASSIFICATION_PROFILES = {
+  strict: {
+    label: 'Strict',
+    thresholds: { best: 5, excellent: 15, good: 35, inaccuracy: 100, mistake: 200, swing: 250, missBest: 250, missPlayed: 50, missMaxLoss: 150 },
+    win: { best: 0.5, excellent: 2, good: 4, inaccuracy: 8, mistake: 15, missBest: 80, missPlayed: 60, missFloor: 35, missMaxDrop: 35 },
+  },
+  standard: {
+    label: 'Standard',
+    thresholds: { best: 10, excellent: 20, good: 50, inaccuracy: 150, mistake: 300, swing: 300, missBest: 300, missPlayed: 50, missMaxLoss: 200 },
+    win: { best: 1, excellent: 2.5, good: 5, inaccuracy: 10, mistake: 20, missBest: 80, missPlayed: 60, missFloor: 35, missMaxDrop: 40 },
+  },
+  beginner: {
+    label: 'Beginner-friendly',
+    thresholds: { best: 15, excellent: 35, good: 80, inaccuracy: 200, mistake: 400, swing: 400, missBest: 400, missPlayed: 50, missMaxLoss: 300 },
+    win: { best: 1.5, excellent: 4, good: 8, inaccuracy: 14, mistake: 25, missBest: 80, missPlayed: 60, missFloor: 35, missMaxDrop: 50 },
+  },
+};
+
+export const ACCURACY_MODELS = {
+  winrate: 'Win% model',
+  legacy: 'Legacy (centipawns)',
+};
+
+// useWdl: pakai WDL engine (UCI_ShowWDL) bila ada, opt-in. Default: win% dari centipawn (kurva lichess);
+// WDL menilai posisi yang sudah kalah hampir tanpa sisa, jadi langkah buruk di sana nyaris gratis.
+export const DEFAULT_CLASSIFICATION_SETTINGS = { profile: 'standard', eloAware: false, model: 'winrate', useWdl: false };
+
+// Saved settings before v2 carried useWdl: true as the old default, not as a user choice
+const SETTINGS_VERSION = 2;
+
+// Rating where the profile applies unchanged; cutoffs widen below it and tighten above it
+export const ELO_REFERENCE = 2000;
+
+// Cutoffs that scale with rating. `best` stays fixed (it is also the 100%-accuracy cutoff) and
+// the Miss position limits describe the position, not the player.
+const ELO_SCALED_KEYS = ['excellent', 'good', 'inaccuracy', 'mistake', 'swing', 'missMaxLoss'];
+const ELO_SCALED_WIN_KEYS = ['excellent', 'good', 'inaccuracy', 'mistake', 'missMaxDrop'];
+
+// --- Util: faktor skala ambang dari rating (1.0 di ELO_REFERENCE, dibatasi 0.8..1.6) ---
+export function eloScale(elo) {
+  const n = Number(elo);
+  if (!Number.isFinite(n) || n <= 0) return 1;
+  const f = n < ELO_REFERENCE
+    ? 1 + ((ELO_REFERENCE - n) / 1000) * 0.4
+    : 1 - ((n - ELO_REFERENCE) / 1000) * 0.2;
+  return Math.max(0.8, Math.min(1.6, f));
+}
+
+// --- Ambang satu pemain: profil terpilih, diskalakan dengan Elo bila eloAware ---
+// Returns cutoff centipawn di level atas + { win, model, useWdl }.
+export function resolveThresholds(settings = DEFAULT_CLASSIFICATION_SETTINGS, elo = null) {
+  const profile = CLASSIFICATION_PROFILES[settings.profile] || CLASSIFICATION_PROFILES.standard;
+  const resolved = {
+    ...profile.thresholds,
+    win: { ...profile.win },
+    model: settings.model === 'legacy' ? 'legacy' : 'winrate',
+    useWdl: settings.useWdl === true,
+  };
+  const f = settings.eloAware ? eloScale(elo) : 1;
+  if (f === 1) return resolved;
+  ELO_SCALED_KEYS.forEach((k) => { resolved[k] = Math.round(profile.thresholds[k] * f); });
+  ELO_SCALED_WIN_KEYS.forEach((k) => { resolved.win[k] = Math.round(profile.win[k] * f * 10) / 10; });
+  return resolved;
+}
+
+// --- Ambang per warna dari header WhiteElo/BlackElo → { w, b } ---
+export function thresholdsBySide(settings, elos = {}) {
+  return {
+    w: resolveThresholds(settings, elos.white),
+    b: resolveThresholds(settings, elos.black),
+  };
+}
+
+// --- Util: kunci pengaturan (cache ringkasan yang dihitung dengan ambang tertentu) ---
+export function classificationKey(settings) {
+  return [settings.profile, settings.eloAware ? 'elo' : 'flat', settings.model, settings.useWdl ? 'wdl' : 'cp'].join('|');
+}
+
+const DEFAULT_THRESHOLDS = resolveThresholds(DEFAULT_CLASSIFICATION_SETTINGS);
+
+// --- Klasifikasi model win%: penurunan expected score pelaku (poin persen) ---
+function classifyByWinDrop(before, after, flags, w) {
+  const drop = before - after;
+  // Miss dulu: peluang menang terlewat tanpa sampai kalah (penurunannya memang besar)
+  if ((flags?.bestIsMate || before >= w.missBest) && after <= w.missPlayed && after >= w.missFloor && drop <= w.missMaxDrop) return "Miss";
+  if (drop <= w.best) return "Best";
+  if (drop <= w.excellent) return "Excellent";
+  if (drop <= w.good) return "Good";
+  if (drop <= w.inaccuracy) return "Inaccuracy";
+  if (drop <= w.mistake) return "Mistake";
+  return "Blunder";
+}
+
+// Tags too mild for a move that hands the opponent a forced mate
+const MILD_TAGS = new Set(["Best", "Excellent", "Good", "Inaccuracy"]);
+
+// Classify a move against engine best, mover's perspective.
+// bestCp/playedCp: higher is better for mover; flags.bestIsMate: best line mates for the mover;
+// flags.deltaMateForMover: played mate distance minus best mate distance when both still mate;
+// flags.winBefore/winAfter: mover's win% (used when t.model is 'winrate');
+// flags.allowsMate: the move turns the position into a forced mate against the mover → at least Mistake.
+export function classifyMove(bestCp, playedCp, flags, t = DEFAULT_THRESHOLDS) {
+  const tag = classifyByLoss(bestCp, playedCp, flags, t);
+  return flags?.allowsMate && MILD_TAGS.has(tag) ? "Mistake" : tag;
+}
+
+function classifyByLoss(bestCp, playedCp, flags, t) {
+  const loss = (bestCp ?? 0) - (playedCp ?? 0);
+
+  // If both best and played still mate for mover, classify by mate-distance delta instead of raw cp
+  if (typeof flags?.deltaMateForMover === 'number') {
+    const d = flags.deltaMateForMover; // >0 means slower mate; <0 faster
+    if (d <= 0) return "Best";               // same or faster mate
+    if (d === 1) return "Excellent";         // one ply slower
+    if (d <= 3) return "Good";               // a few plies slower
+    if (d <= 6) return "Inaccuracy";         // noticeably slower
+    return "Mistake";                        // much slower but still winning: never a blunder
+  }
+
+  if (t.model === 'winrate' && flags?.winBefore != null && flags?.winAfter != null) {
+    return classifyByWinDrop(flags.winBefore, flags.winAfter, flags, t.win);
+  }
+
+  // Jika langkah LEBIH BAIK dari PV#1 (loss < 0), jangan dihukum: anggap 'Best'
+  if (loss < -t.best) return "Best";
+
+  // Blunder: sangat buruk atau membalik hasil besar → netral/berlawanan
+  if (loss > t.mistake ||
+      (bestCp != null && playedCp != null && (
+        (bestCp >= t.swing && playedCp <= 0) ||
+        (bestCp <= -t.swing && playedCp >= 0)
+      ))) {
+    return "Blunder";
+  }
+
+  // Miss (taktik terlewat) – dievaluasi setelah blunder agar tidak menimpa blunder besar
+  if (flags?.bestIsMate || (bestCp != null && bestCp >= t.missBest)) {
+    if (playedCp != null && playedCp <= t.missPlayed && loss <= t.missMaxLoss) return "Miss";
+  }
+
+  if (loss <= t.best) return "Best";
+  if (loss <= t.excellent) return "Excellent";
+  if (loss <= t.good) return "Good";
+  if (loss <= t.inaccuracy) return "Inaccuracy";
+  if (loss <= t.mistake) return "Mistake";
+  return "Blunder";
+}
+
+export function loadClassificationSettings() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (!raw || typeof raw !== 'object') return DEFAULT_CLASSIFICATION_SETTINGS;
+    return {
+      profile: raw.profile in CLASSIFICATION_PROFILES ? raw.profile : DEFAULT_CLASSIFICATION_SETTINGS.profile,
+      eloAware: !!raw.eloAware,
+      model: raw.model in ACCURACY_MODELS ? raw.model : DEFAULT_CLASSIFICATION_SETTINGS.model,
+      useWdl: raw.v === SETTINGS_VERSION && raw.useWdl === true,
+    };
+  } catch {
+    return DEFAULT_CLASSIFICATION_SETTINGS;
+  }
+}
+
+export function saveClassificationSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...settings, v: SETTINGS_VERSION }));
+  } catch {
+    // storage disabled (private mode) – settings last for this session only
+  }
+}
@@ -0,0 +1,115 @@
+// --- Clock data from PGN [%clk]/[%emt] commands ---
+// Clock values are seconds. A timeline entry at index i describes the move that led to
+// position i on the main line (index 0 is the start position and is always null).
+
+// Thresholds for the time-usage flags
+const LONG_THINK_MIN_SECONDS = 20;   // never call a think "long" below this
+const LONG_THINK_MEDIAN_FACTOR = 3;  // ... and it must be this many times the player's median
+const TIME_TROUBLE_MIN_SECONDS = 10;
+const TIME_TROUBLE_SHARE = 0.05;     // ≤5% of the starting clock left before the move
+
+// --- Util: "H:MM:SS(.f)" / "M:SS" → detik ---
+export function parseClockValue(text) {
+  const parts = String(text ?? '').trim().split(':');
+  if (parts.length === 0 || parts.length > 3 || parts.some(p => p === '' || isNaN(Number(p)))) return null;
+  return parts.reduce((acc, p) => acc * 60 + Number(p), 0);
+}
+
+// --- Util: ambil nilai [%clk ...] atau [%emt ...] dari komentar sebuah langkah ---
+export function parseClockCommand(comments, command) {
+  const re = new RegExp(`\\[%${command}\\s+([0-9:.]+)\\s*\\]`);
+  for (const c of comments || []) {
+    const m = String(c).match(re);
+    if (m) return parseClockValue(m[1]);
+  }
+  return null;
+}
+
+// --- Util: header TimeControl ("180+2", "40/7200:3600", "600") → { base, increment } ---
+export function parseTimeControl(tc) {
+  const first = String(tc ?? '').split(':')[0].trim();
+  const m = first.match(/^(?:\d+\/)?(\d+)(?:\+(\d+(?:\.\d+)?))?$/);
+  if (!m) return null;
+  return { base: Number(m[1]), increment: m[2] ? Number(m[2]) : 0 };
+}
+
+// --- Util: detik → "1:02:03", "3:00", atau "0:09.5" saat waktu tinggal sedikit ---
+export function formatClock(seconds) {
+  if (seconds == null || !Number.isFinite(seconds)) return '';
+  const s = Math.max(0, seconds);
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const sec = s % 60;
+  const secText = s < 20 && sec % 1 !== 0
+    ? sec.toFixed(1).padStart(4, '0')
+    : String(Math.floor(sec)).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${secText}` : `${m}:${secText}`;
+}
+
+// --- Timeline per ply pada main line: sisa jam, waktu yang dipakai, dan jam tiap pemain ---
+// Returns null when the game carries no clock data at all.
+export function buildClockTimeline(nodes, mainlineLength, timeControl) {
+  if (!Array.isArray(nodes) || !mainlineLength) return null;
+  const tc = parseTimeControl(timeControl);
+  const plies = [null];
+  const clocksAt = [{ w: tc ? tc.base : null, b: tc ? tc.base : null }];
+  let hasData = false;
+  for (let i = 1; i < mainlineLength; i++) {
+    const node = nodes[i];
+    const side = String(nodes[i - 1].fen).split(' ')[1] === 'b' ? 'b' : 'w';
+    const clock = parseClockCommand(node.comments, 'clk');
+    const emt = parseClockCommand(node.comments, 'emt');
+    const prev = clocksAt[i - 1][side];
+    let spent = emt;
+    if (spent == null && clock != null && prev != null) {
+      spent = Math.max(0, Math.round((prev + (tc ? tc.increment : 0) - clock) * 10) / 10);
+    }
+    if (clock != null || emt != null) hasData = true;
+    plies.push({ side, clock, spent, clockBefore: prev });
+    const nextClock = clock != null
+      ? clock
+      : (prev != null && emt != null ? Math.max(0, prev + (tc ? tc.increment : 0) - emt) : null);
+    clocksAt.push({ ...clocksAt[i - 1], [side]: nextClock });
+  }
+  if (!hasData) return null;
+  return { plies, clocksAt, timeControl: tc };
+}
+
+// --- Flag langkah: lama berpikir tapi tetap Mistake/Blunder, atau Blunder saat zeitnot ---
+export function detectTimeFlags(timeline, annotations) {
+  const flags = {};
+  if (!timeline) return flags;
+  const median = (arr) => {
+    if (!arr.length) return 0;
+    const sorted = [...arr].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  };
+  const spentBySide = { w: [], b: [] };
+  const startClock = { w: null, b: null };
+  timeline.plies.forEach((p) => {
+    if (!p) return;
+    if (p.spent != null) spentBySide[p.side].push(p.spent);
+    if (startClock[p.side] == null && p.clockBefore != null) startClock[p.side] = p.clockBefore;
+    if (startClock[p.side] == null && p.clock != null) startClock[p.side] = p.clock + (p.spent || 0);
+  });
+  const medians = { w: median(spentBySide.w), b: median(spentBySide.b) };
+
+  timeline.plies.forEach((p, ply) => {
+    if (!p) return;
+    const tag = annotations?.[ply]?.tag;
+    if (tag !== 'Mistake' && tag !== 'Blunder') return;
+    const list = [];
+    const longThink = p.spent != null &&
+      p.spent >= Math.max(LONG_THINK_MIN_SECONDS, LONG_THINK_MEDIAN_FACTOR * medians[p.side]);
+    if (longThink) {
+      list.push({ type: 'long-think', label: `Long think (${formatClock(p.spent)}) before a ${tag}` });
+    }
+    const troubleLimit = Math.max(TIME_TROUBLE_MIN_SECONDS, (startClock[p.side] || 0) * TIME_TROUBLE_SHARE);
+    if (tag === 'Blunder' && p.clockBefore != null && p.clockBefore <= troubleLimit) {
+      list.push({ type: 'time-trouble', label: `Blunder in time trouble (${formatClock(p.clockBefore)} left)` });
+    }
+    if (list.length) flags[ply] = list;
+  });
+  return flags;
+}
@@ -0,0 +1,70 @@
+// --- Stockfish builds shipped in public/stockfish ---
+// Threaded builds need SharedArrayBuffer (crossOriginIsolated page); "lite" builds carry a
+// much smaller NNUE network and are the safe choice on low-memory devices.
+
+export const ENGINE_BUILDS = [
+  { id: 'full', label: 'Stockfish 17.1', url: '/stockfish/stockfish-17.1-8e4d048.js', threaded: true, lite: false },
+  { id: 'single', label: 'Stockfish 17.1 single-threaded', url: '/stockfish/stockfish-17.1-single-a496a04.js', threaded: false, lite: false },
+  { id: 'lite', label: 'Stockfish 17.1 lite', url: '/stockfish/stockfish-17.1-lite-51f59da.js', threaded: true, lite: true },
+  { id: 'lite-single', label: 'Stockfish 17.1 lite single-threaded', url: '/stockfish/stockfish-17.1-lite-single-03e3232.js', threaded: false, lite: true },
+];
+
+// navigator.deviceMemory (GB) below this → prefer the lite network
+const LOW_MEMORY_GB = 4;
+
+const STORAGE_KEY = 'chess-analyzer.engineBuild';
+
+export function engineBuildById(id) {
+  return ENGINE_BUILDS.find(b => b.id === id) || null;
+}
+
+// --- Util: kemampuan browser yang menentukan build ---
+export function detectEngineCapabilities() {
+  const isolated = typeof window !== 'undefined' && window.crossOriginIsolated === true;
+  const sharedMemory = typeof SharedArrayBuffer !== 'undefined';
+  const memoryGb = typeof navigator !== 'undefined' && Number.isFinite(navigator.deviceMemory) ? navigator.deviceMemory : null;
+  return {
+    threads: isolated && sharedMemory,
+    isolated,
+    sharedMemory,
+    memoryGb,
+    lowMemory: memoryGb != null && memoryGb < LOW_MEMORY_GB,
+  };
+}
+
+// --- Util: urutan build otomatis (terbaik dulu, lalu fallback) ---
+export function autoBuildOrder(caps) {
+  const order = caps.lowMemory
+    ? ['lite', 'lite-single', 'single', 'full']
+    : ['full', 'lite', 'single', 'lite-single'];
+  // Without SharedArrayBuffer a threaded build cannot even start
+  return order
+    .filter(id => caps.threads || !engineBuildById(id).threaded)
+    .map(engineBuildById);
+}
+
+// --- Util: rantai kandidat: pilihan manual dulu (bila ada), lalu urutan otomatis ---
+export function engineCandidates(preferredId, caps) {
+  const auto = autoBuildOrder(caps);
+  const manual = preferredId && preferredId !== 'auto' ? engineBuildById(preferredId) : null;
+  if (!manual) return auto;
+  return [manual, ...auto.filter(b => b.id !== manual.id)];
+}
+
+// --- Pilihan build tersimpan ('auto' atau id build) ---
+export function loadEngineBuildPreference() {
+  try {
+    const v = localStorage.getItem(STORAGE_KEY);
+    return v && (v === 'auto' || engineBuildById(v)) ? v : 'auto';
+  } catch {
+    return 'auto';
+  }
+}
+
+export function saveEngineBuildPreference(id) {
+  try {
+    localStorage.setItem(STORAGE_KEY, id);
+  } catch {
+    // storage disabled (private mode) – the choice just isn't remembered
+  }
+}
@@ -0,0 +1,78 @@
+// --- Stockfish worker pool helpers ---
+// Several workers share one FEN list; each worker pulls the next unanalyzed index until the
+// list is done. Every worker gets the same option block, and searches that must be
+// reproducible start from an empty hash (ucinewgame), so a position gets the same result no
+// matter which worker analyzes it or in which order.
+
+// Never start more helpers than this (each worker carries its own wasm heap + hash table)
+const MAX_POOL_SIZE = 4;
+
+// --- Util: ukuran pool default (sisakan satu core untuk UI) ---
+export function defaultPoolSize() {
+  const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+  return Math.max(1, Math.min(MAX_POOL_SIZE, cores - 1));
+}
+
+// --- Util: opsi engine deterministik (sama untuk semua worker) ---
+// Threads > 1 is allowed but makes a search non-reproducible (thread timing changes the tree).
+export function configureEngine(worker, multiPV, { hash = 32, threads = 1 } = {}) {
+  try {
+    worker.postMessage('ucinewgame');
+    worker.postMessage('setoption name Clear Hash value true');
+    worker.postMessage('setoption name Threads value ' + threads);
+    worker.postMessage('setoption name Hash value ' + hash);
+    worker.postMessage('setoption name Ponder value false');
+    worker.postMessage('setoption name UCI_AnalyseMode value true');
+    worker.postMessage('setoption name UCI_ShowWDL value true'); // win/draw/loss untuk model win%
+    worker.postMessage('setoption name UCI_LimitStrength value false');
+    worker.postMessage('setoption name Skill Level value 20');
+    worker.postMessage('setoption name Contempt value 0');
+    worker.postMessage('setoption name MultiPV value ' + multiPV);
+  } catch {
+    // worker already terminated
+  }
+}
+
+// --- Util: kirim "uci" lalu tunggu "uciok" (false bila timeout) ---
+export function waitForUciOk(worker, timeoutMs = 30000) {
+  return new Promise((resolve) => {
+    const isReady = (data) => {
+      if (typeof data === 'string') return data.includes('uciok') || data.includes('readyok');
+      if (data?.type === 'ready') return true;
+      return data?.type === 'log' && /uciok|readyok/.test(String(data?.message || ''));
+    };
+    const done = (ok) => {
+      clearTimeout(timer);
+      worker.removeEventListener('message', onMessage);
+      resolve(ok);
+    };
+    const onMessage = (e) => { if (isReady(e.data)) done(true); };
+    const timer = setTimeout(() => done(false), timeoutMs);
+    worker.addEventListener('message', onMessage);
+    worker.addEventListener('error', () => done(false), { once: true });
+    try {
+      worker.postMessage('uci');
+    } catch {
+      done(false);
+    }
+  });
+}
+
+// --- Jalankan task(i, worker) untuk i = 0..count-1, dibagi ke semua worker ---
+// Resolves false when shouldStop() ended the run early.
+export async function runPooled(count, workers, task, { shouldStop } = {}) {
+  let nextIndex = 0;
+  let stopped = false;
+  await Promise.all(workers.map(async (worker) => {
+    for (;;) {
+      if (stopped || (shouldStop && shouldStop())) {
+        stopped = true;
+        return;
+      }
+      const i = nextIndex++;
+      if (i >= count) return;
+      await task(i, worker);
+    }
+  }));
+  return !stopped;
+}
@@ -0,0 +1,149 @@
+// --- Engine search settings (persisted) ---
+// Quick = fast movetime pass, Deep = fixed-depth stable pass; verifyDepth is the minimum depth
+// of the auto-deepen check for sacrifice candidates. "Balanced" equals the historic defaults.
+
+import { defaultPoolSize } from "./enginePool.js";
+
+const STORAGE_KEY = 'chess-analyzer.engineSettings';
+
+export const ENGINE_PRESETS = {
+  fast: {
+    label: 'Fast',
+    values: { quickDepth: 10, quickMovetime: 50, quickMultiPV: 2, deepDepth: 12, deepMultiPV: 3, verifyDepth: 16, hash: 16, threads: 1 },
+  },
+  balanced: {
+    label: 'Balanced',
+    values: { quickDepth: 12, quickMovetime: 80, quickMultiPV: 3, deepDepth: 14, deepMultiPV: 5, verifyDepth: 18, hash: 32, threads: 1 },
+  },
+  thorough: {
+    label: 'Thorough',
+    values: { quickDepth: 14, quickMovetime: 200, quickMultiPV: 3, deepDepth: 18, deepMultiPV: 5, verifyDepth: 22, hash: 64, threads: 1 },
+  },
+};
+
+// Allowed range per field (inputs are clamped to these)
+export const ENGINE_SETTING_LIMITS = {
+  quickDepth: { min: 6, max: 30 },
+  quickMovetime: { min: 20, max: 5000 },
+  quickMultiPV: { min: 1, max: 5 },
+  deepDepth: { min: 8, max: 30 },
+  deepMultiPV: { min: 1, max: 5 },
+  verifyDepth: { min: 10, max: 34 },
+  hash: { min: 16, max: 512 },
+  threads: { min: 1, max: 8 },
+  workers: { min: 1, max: 4 },
+};
+
+export const DEFAULT_ENGINE_SETTINGS = {
+  preset: 'balanced',
+  ...ENGINE_PRESETS.balanced.values,
+  workers: defaultPoolSize(),
+};
+
+// --- Util: paksa nilai ke rentang yang diizinkan ---
+export function clampSetting(key, value) {
+  const lim = ENGINE_SETTING_LIMITS[key];
+  const n = Math.round(Number(value));
+  if (!lim) return value;
+  if (!Number.isFinite(n)) return DEFAULT_ENGINE_SETTINGS[key];
+  return Math.max(lim.min, Math.min(lim.max, n));
+}
+
+// --- Util: terapkan preset (jumlah worker tidak ikut preset) ---
+export function applyPreset(settings, presetId) {
+  const preset = ENGINE_PRESETS[presetId];
+  if (!preset) return { ...settings, preset: 'custom' };
+  return { ...settings, ...preset.values, preset: presetId };
+}
+
+// --- Util: ubah satu field; preset jadi "custom" bila nilainya tidak lagi cocok ---
+export function updateSetting(settings, key, value) {
+  const next = { ...settings, [key]: clampSetting(key, value) };
+  const match = Object.entries(ENGINE_PRESETS)
+    .find(([, p]) => Object.entries(p.values).every(([k, v]) => next[k] === v));
+  next.preset = match ? match[0] : 'custom';
+  return next;
+}
+
+export function loadEngineSettings() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (!raw || typeof raw !== 'object') return DEFAULT_ENGINE_SETTINGS;
+    const merged = { ...DEFAULT_ENGINE_SETTINGS };
+    Object.keys(ENGINE_SETTING_LIMITS).forEach((k) => {
+      if (k in raw) merged[k] = clampSetting(k, raw[k]);
+    });
+    merged.preset = raw.preset in ENGINE_PRESETS ? raw.preset : 'custom';
+    return merged;
+  } catch {
+    return DEFAULT_ENGINE_SETTINGS;
+  }
+}
+
+export function saveEngineSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // storage disabled (private mode) – settings last for this session only
+  }
+}
+
+// --- Opsi analyzeAll untuk tombol Quick / Deep ---
+export function quickAnalysisOptions(s) {
+  return {
+    depth: s.quickDepth,
+    fastFirstPass: true,
+    stableFinalPass: false,
+    movetime: s.quickMovetime,
+    multiPV: s.quickMultiPV,
+    verifyDepth: s.verifyDepth,
+    hash: s.hash,
+    threads: s.threads,
+  };
+}
+
+export function deepAnalysisOptions(s) {
+  return {
+    depth: s.deepDepth,
+    fastFirstPass: false,
+    stableFinalPass: true,
+    stableDepth: s.deepDepth,
+    stableMultiPV: s.deepMultiPV,
+    verifyDepth: s.verifyDepth,
+    hash: s.hash,
+    threads: s.threads,
+  };
+}
+
+// Rough single-thread timing model of the wasm build (seconds per position):
+// ~40 ms at depth 10 with one PV, ×1.45 per extra ply, +35% per extra PV line.
+const BASE_SECONDS_AT_DEPTH_10 = 0.04;
+const DEPTH_GROWTH = 1.45;
+const EXTRA_PV_COST = 0.35;
+const MOVETIME_OVERHEAD_MS = 20;
+const VERIFY_SHARE = 0.05; // share of positions that usually get the auto-deepen check
+
+function secondsAtDepth(depth, multiPV, threads) {
+  const t = BASE_SECONDS_AT_DEPTH_10 * Math.pow(DEPTH_GROWTH, depth - 10) * (1 + EXTRA_PV_COST * (multiPV - 1));
+  return t / Math.pow(Math.max(1, threads), 0.8);
+}
+
+// --- Perkiraan durasi analisis satu game (detik) ---
+export function estimateAnalysisSeconds(settings, mode, positions, workers = 1) {
+  const n = Math.max(0, positions);
+  const w = Math.max(1, workers);
+  const verify = Math.ceil(n * VERIFY_SHARE) * secondsAtDepth(settings.verifyDepth, Math.max(settings.deepMultiPV, 5), settings.threads);
+  const pass = mode === 'quick'
+    ? n * (settings.quickMovetime + MOVETIME_OVERHEAD_MS) / 1000
+    : n * secondsAtDepth(settings.deepDepth, settings.deepMultiPV, settings.threads);
+  return (pass + verify) / w;
+}
+
+// --- Util: detik → "45 s", "3 min 10 s" ---
+export function formatDuration(seconds) {
+  const s = Math.max(0, Math.round(seconds));
+  if (s < 60) return `${s} s`;
+  const m = Math.floor(s / 60);
+  if (m < 60) return `${m} min${s % 60 ? ` ${s % 60} s` : ''}`;
+  return `${Math.floor(m / 60)} h ${m % 60} min`;
+}
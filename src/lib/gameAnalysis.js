@@ -0,0 +1,532 @@
+import { Chess } from "chess.js";
+import { identifyOpening } from "./openings.js";
+import { PHASES } from "./playerReport.js";
+import { treeEdges } from "./pgnTree.js";
+import { parsePgnToFens, moveNumberFromFen } from "./pgnParse.js";
+import { gamePhasesOfFens, materialScore } from "./gamePhases.js";
+import { uciToSan } from "./uciInfo.js";
+import {
+  getMovedPieceType,
+  hasOpponentCaptureOnTarget,
+  moverHasImmediateCheckAfterTargetCapture,
+  normalizeSan,
+  offeredSacrificeLossMagnitude,
+  worstImmediateCaptureLoss,
+} from "./sacrifice.js";
+import {
+  DEFAULT_CLASSIFICATION_SETTINGS,
+  classificationKey,
+  classifyMove,
+  thresholdsBySide,
+} from "./classification.js";
+import { aggregateAccuracy, moveAccuracyFromWinDrop, moverWinPercents, volatilityWeights, winPercent } from "./accuracy.js";
+
+// --- Game analysis core: evals → annotations, player stats, game summary ---
+// No React and no engine here: input is the parsed game plus `evals` keyed by position index
+// (node id), each { cp|mate, wdl?, bestmoveUci, multipv } relative to the side to move.
+// lib/analyzeGame.js drives an engine to produce those evals.
+
+// Map mate distance to a large centipawn-like score that preserves distance.
+// Example: mate +3 -> +97,000; mate +1 -> +99,000; mate -3 -> -97,000, etc.
+export function mateToScore(mate) {
+  const base = 100000;
+  const step = 1000; // distance granularity
+  const n = Math.min(99, Math.abs(Number(mate) || 0));
+  return Math.sign(mate) * (base - n * step);
+}
+
+// Ambang klasifikasi bawaan (profil Standard, tanpa skala Elo)
+export const DEFAULT_THRESHOLDS = thresholdsBySide(DEFAULT_CLASSIFICATION_SETTINGS);
+
+// Debug log of the Brilliant/Great checks (console.debug); off unless setAnnotationDebug(true)
+let DEBUG_ANNOT = false;
+
+export function setAnnotationDebug(enabled) {
+  DEBUG_ANNOT = Boolean(enabled);
+}
+
+// --- Util: langkah membuka mate paksa untuk lawan (sebelumnya belum ada mate melawan pelaku) ---
+// best: evals posisi sebelum langkah (relatif pelaku); after: posisi sesudahnya (relatif lawan)
+function allowsMateAgainstMover(best, after) {
+  return "mate" in after && after.mate > 0 && !("mate" in best && best.mate < 0);
+}
+
+// --- Klasifikasi per langkah berdasarkan selisih terhadap best PV ---
+// Memakai evals[i] (score terbaik pada posisi i) dan evals[to] (score setelah langkah dimainkan)
+// bookPlies: jumlah ply awal main line yang masih teori (identifyOpening) → tag 'Book', tanpa engine
+// thresholds: ambang klasifikasi per warna { w, b } (lib/classification.js)
+export function computeAnnotations({ fens, sans, tree, evals, bookPlies = 0, thresholds = DEFAULT_THRESHOLDS }) {
+  const ann = {};
+  // Semua langkah di pohon (main line + variasi): i = node sebelum langkah, to = node setelahnya
+  const edges = tree ? treeEdges(tree) : fens.slice(0, -1).map((fen, i) => ({ from: i, to: i + 1, fen, san: sans[i], mainline: true }));
+  for (const { from: i, to, fen, san, mainline } of edges) {
+    const moverSide = fen.split(" ")[1];                // 'w' atau 'b'
+    if (mainline && to <= bookPlies) {
+      ann[to] = { mover: moverSide === 'w' ? 'White' : 'Black', tag: 'Book', delta: 0, mainline };
+      continue;
+    }
+    const best = evals[i];                               // dari posisi sebelum langkah (best line + multipv)
+    const after = evals[to];                             // dari posisi setelah langkah (relatif lawan)
+    if (!best || !after) continue;
+
+    // Normalisasi ke perspektif mover dalam centipawns
+    let bestCp;
+    if ("mate" in best) bestCp = mateToScore(best.mate); else bestCp = best.cp;
+
+    let playedCp;
+    if ("mate" in after) {
+      if (after.mate === 0) {
+        // Langkah yang baru dimainkan menghasilkan skakmat segera
+        // Dari perspektif pelaku langkah: ini kemenangan maksimum
+        playedCp = 100000;
+      } else {
+        // Flip tanda karena setelah langkah giliran lawan
+        playedCp = -mateToScore(after.mate);
+      }
+    } else playedCp = -after.cp; // flip cp
+
+    // Compute mate distance delta for mover if applicable
+    const bestMateForMover = ("mate" in best && Math.sign(best.mate) > 0) ? Math.abs(best.mate) : null;
+    const playedMateForMover = ("mate" in after && (after.mate === 0 || Math.sign(after.mate) < 0)) ? Math.abs(after.mate) : null;
+    const deltaMateForMover = (bestMateForMover != null && playedMateForMover != null)
+      ? (playedMateForMover - bestMateForMover)
+      : null;
+
+    const win = moverWinPercents(best, after, { useWdl: thresholds[moverSide].useWdl });
+    const allowsMate = allowsMateAgainstMover(best, after);
+    const baseTag = classifyMove(bestCp, playedCp, {
+      bestIsMate: "mate" in best && Math.sign(best.mate) > 0, // mate untuk mover
+      deltaMateForMover,
+      winBefore: win.before,
+      winAfter: win.after,
+      allowsMate,
+    }, thresholds[moverSide]);
+    let tag = baseTag;
+
+    const deltaCp = (bestCp ?? 0) - (playedCp ?? 0);
+
+    // Great / Brilliant detection: only-move and optional sacrifice
+    const pvList = Array.isArray(best.multipv) ? best.multipv : [];
+    const bestUci = best.bestmoveUci || pvList.find(x => x.rank === 1)?.uci || null;
+    const bestSanRaw = bestUci ? uciToSan(fen, bestUci) : null;
+    const playedSanRaw = san;
+    const bestSan = normalizeSan(bestSanRaw);
+    const playedSan = normalizeSan(playedSanRaw);
+    if (DEBUG_ANNOT) {
+      console.debug('[Annot]', { i, bestSanRaw, playedSanRaw, bestSan, playedSan });
+    }
+
+    // If the played move equals engine best (SAN match), default to 'Best'.
+    // Upgrade to 'Brilliant' if it constitutes a deliberate piece sacrifice (Q/R/N/B),
+    // including capture sacrifices and exchange sacrifices, measured by net material loss
+    // after opponent's best immediate capture on the target square (with best recapture by mover):
+    // thresholds: Q>=5, R>=3, N/B>=2 pawns of net loss for the mover.
+    if (bestSan && playedSan && playedSan === bestSan) {
+      const movedType = getMovedPieceType(fen, playedSan); // 'p','n','b','r','q','k'
+      let isPieceSacrifice = false;
+      let sacLoss = null; // hoist so it's available for debug logging below
+      if (movedType && movedType !== 'p' && movedType !== 'k') {
+        sacLoss = offeredSacrificeLossMagnitude(fen, playedSan, moverSide);
+        if (movedType === 'q' && sacLoss <= -5) isPieceSacrifice = true;
+        else if (movedType === 'r' && sacLoss <= -3) isPieceSacrifice = true;
+        else if ((movedType === 'n' || movedType === 'b') && sacLoss <= -2) isPieceSacrifice = true;
+        // pawn sacrifices are ignored for Brilliant per request; king is impossible
+      }
+      if (DEBUG_ANNOT) {
+        console.debug('[Annot][sac-offer]', { i, movedType, sacLoss, isPieceSacrifice });
+      }
+      tag = isPieceSacrifice ? 'Brilliant' : 'Best';
+    }
+
+    // Secondary upgrade: if played move is a qualifying sacrifice (same thresholds)
+    // and is very close to PV#1 (loss <= 20cp from mover's perspective), treat as Brilliant.
+    if (tag !== 'Brilliant' && playedSan) {
+      const movedType3 = getMovedPieceType(fen, playedSan);
+      if (movedType3 && movedType3 !== 'p' && movedType3 !== 'k') {
+        const sacLoss3 = offeredSacrificeLossMagnitude(fen, playedSan, moverSide);
+        const qualifies = (movedType3 === 'q' && sacLoss3 <= -5) ||
+                         (movedType3 === 'r' && sacLoss3 <= -3) ||
+                         ((movedType3 === 'n' || movedType3 === 'b') && sacLoss3 <= -2);
+        const nearBest = (bestCp != null && playedCp != null && ((bestCp - playedCp) <= 20));
+        if (DEBUG_ANNOT) {
+          console.debug('[Annot][sac-nearBest]', { i, movedType3, sacLoss3, qualifies, bestCp, playedCp });
+        }
+        if (qualifies && nearBest) {
+          tag = 'Brilliant';
+        }
+      }
+    }
+
+    // Only-move: every other engine line would be a Blunder, i.e. drops the mover's win% by more
+    // than the profile's Mistake cutoff. Measured in win% so that mate-in-1 next to an easily won
+    // alternative (mate score vs +8) does not count.
+    let onlyMove = false;
+    if (bestSan && playedSan && playedSan === bestSan && pvList.length >= 2) {
+      const winOpts = { useWdl: thresholds[moverSide].useWdl };
+      const bestItem = pvList.find(x => x.rank === 1);
+      const bestItemWin = bestItem ? winPercent(bestItem, winOpts) : null;
+      if (bestItemWin != null) {
+        const altDrops = pvList
+          .filter(x => x.rank !== 1)
+          .map(x => bestItemWin - (winPercent(x, winOpts) ?? 0));
+        const minAltDrop = Math.min(...altDrops);
+        if (Number.isFinite(minAltDrop) && minAltDrop > thresholds[moverSide].win.mistake) {
+          onlyMove = true;
+        }
+      }
+    }
+
+    if (onlyMove && playedSan === bestSan) {
+      // PV#1 yang dimainkan sudah jadi 'Best' di atas; only-move menaikkannya ke 'Great'
+      // (Brilliant dari aturan sacrifice tetap Brilliant).
+      if (tag === 'Best') {
+        tag = 'Great';
+      }
+    }
+
+    // Heuristik tambahan: jika langkah = PV#1 dan benar-benar "offer" (lawan bisa makan di kotak target,
+    // pelaku rugi ≥2 pion bersih setelah recapture) dan setelah capture itu pelaku punya balasan cek
+    // langsung, anggap Brilliant untuk N/B/R/Q.
+    if (tag !== 'Brilliant' && bestSan && playedSan && playedSan === bestSan) {
+      const movedType2 = getMovedPieceType(fen, playedSan);
+      if (movedType2 && movedType2 !== 'p' && movedType2 !== 'k') {
+        const sacLoss2 = offeredSacrificeLossMagnitude(fen, playedSan, moverSide);
+        const checkAfter = sacLoss2 != null && sacLoss2 <= -2 && moverHasImmediateCheckAfterTargetCapture(fen, playedSan);
+        if (DEBUG_ANNOT) {
+          console.debug('[Annot][offer+check]', { i, movedType2, sacLoss2, checkAfter });
+        }
+        if (checkAfter) {
+          tag = 'Brilliant';
+        }
+      }
+    }
+
+    // Additional heuristic: For knight moves that are best moves and can be captured,
+    // if the knight sacrifice leads to a significant positional advantage or tactical sequence,
+    // mark as Brilliant even if material calculation doesn't meet strict thresholds
+    if (tag !== 'Brilliant' && bestSan && playedSan && playedSan === bestSan) {
+      const movedType4 = getMovedPieceType(fen, playedSan);
+      if (movedType4 === 'n') { // specifically for knight moves
+        const capOnTarget = hasOpponentCaptureOnTarget(fen, playedSan);
+        if (capOnTarget) {
+          // Check if this is a true sacrifice (knight can be taken for less than its value)
+          const sacLoss4 = offeredSacrificeLossMagnitude(fen, playedSan, moverSide);
+          // For knights, be more lenient - if there's any net material loss after the recapture and
+          // it's the best move, and the evaluation is still good for the player, consider it brilliant
+          if (sacLoss4 != null && sacLoss4 < 0 && bestCp != null && bestCp > -50) {
+            if (DEBUG_ANNOT) {
+              console.debug('[Annot][knight-sac]', { i, sacLoss4, bestCp, playedCp });
+            }
+            tag = 'Brilliant';
+          }
+        }
+      }
+    }
+
+    // Fallback yang lebih kuat: jika langkah = PV#1 dan ada kehilangan materi bersih (setelah
+    // recapture, dihitung dari posisi sebelum langkah) yang bisa ditangkap di mana pun menurut
+    // worstImmediateCaptureLoss, terapkan ambang sacrifice yang sama untuk promosi ke "Brilliant".
+    if (tag !== 'Brilliant' && bestSan && playedSan && playedSan === bestSan) {
+      const movedType5 = getMovedPieceType(fen, playedSan);
+      if (movedType5 && movedType5 !== 'p' && movedType5 !== 'k') {
+        const worstLoss = worstImmediateCaptureLoss(fen, playedSan, moverSide); // negatif untuk pelaku
+        if (DEBUG_ANNOT) {
+          console.debug('[Annot][worst-loss-fallback]', { i, movedType5, worstLoss });
+        }
+        if (typeof worstLoss === 'number') {
+          const qualifies = (movedType5 === 'q' && worstLoss <= -5) ||
+                            (movedType5 === 'r' && worstLoss <= -3) ||
+                            ((movedType5 === 'n' || movedType5 === 'b') && worstLoss <= -2);
+          if (qualifies) {
+            tag = 'Brilliant';
+          }
+        }
+      }
+    }
+
+    // Langkah yang membuka mate paksa untuk lawan tidak pernah Brilliant/Great/Best: tag dasar
+    // (minimal Mistake, lihat classifyMove) yang berlaku.
+    if (allowsMate) tag = baseTag;
+
+    if (DEBUG_ANNOT) {
+      console.debug('[Annot][final]', { i, tag, deltaCp });
+    }
+    if (tag) ann[to] = { mover: moverSide === 'w' ? 'White' : 'Black', tag, delta: (deltaCp / 100), mainline };
+  }
+  return ann;
+}
+
+// --- Statistik pemain (akurasi + bucket kualitas langkah) dari evals main line ---
+// Langkah buku (bookPlies pertama) tidak ikut rata-rata akurasi maupun counts.
+// counts memakai classifyMove dengan ambang yang sama seperti annotations (tanpa upgrade Great/Brilliant).
+export function computePlayerStats({ fens, sans, evals, bookPlies = 0, thresholds = DEFAULT_THRESHOLDS }) {
+  const emptyCounts = () => ({ best:0, excellent:0, good:0, inaccuracy:0, mistake:0, blunder:0, miss:0 });
+  // byPhase: akurasi + counts per fase (opening/middlegame/endgame), fase = posisi sebelum langkah
+  const emptyPhases = () => Object.fromEntries(PHASES.map(p => [p, { accuracy: 0, totalMoves: 0, counts: emptyCounts() }]));
+  const stats = {
+    white: { accuracy: 0, totalMoves: 0, bookMoves: 0, goodMoves: 0, extraPenalty: 0, counts: emptyCounts(), moves: [], byPhase: emptyPhases() },
+    black: { accuracy: 0, totalMoves: 0, bookMoves: 0, goodMoves: 0, extraPenalty: 0, counts: emptyCounts(), moves: [], byPhase: emptyPhases() }
+  };
+  const phases = gamePhasesOfFens(fens);
+
+  // Calculate accuracy and performance rating based on move quality
+  for (let i = 0; i < fens.length - 1; i++) {
+    const moverSide = fens[i].split(" ")[1];
+    const best = evals[i];
+    const after = evals[i + 1];
+    const player = moverSide === 'w' ? 'white' : 'black';
+    const t = thresholds[moverSide];
+
+    if (i < bookPlies) {
+      stats[player].bookMoves++;
+      continue;
+    }
+    if (!best || !after) continue;
+
+    const phaseStats = stats[player].byPhase[phases[i]];
+    stats[player].totalMoves++;
+    phaseStats.totalMoves++;
+
+    // Calculate centipawn loss
+    let bestCp;
+    if ("mate" in best) bestCp = mateToScore(best.mate); else bestCp = best.cp;
+
+    let playedCp;
+    if ("mate" in after) {
+      // Jika setelah langkah posisi adalah mate (mate==0), berarti pelaku langkah memberi skakmat → +INF
+      playedCp = (after.mate === 0) ? 100000 : (-mateToScore(after.mate));
+    } else {
+      playedCp = -after.cp;
+    }
+    
+    const cpLoss = Math.max(0, (bestCp ?? 0) - (playedCp ?? 0));
+    const win = moverWinPercents(best, after, { useWdl: t.useWdl });
+    const winDrop = (win.before != null && win.after != null) ? Math.max(0, win.before - win.after) : null;
+    const useWin = t.model === 'winrate' && winDrop != null;
+
+    // --- Per-move accuracy with edge case handling ---
+    let moveAccuracy;
+
+    // H0. Hybrid perfect-move detection
+    //  - 100% if played SAN equals PV#1 SAN
+    //  - 100% if played SAN equals any PV whose score is within the profile's Best cutoff of PV#1
+    //  - 100% if cpLoss is within that cutoff (treat tiny drift as zero loss)
+    const pvList = Array.isArray(best.multipv) ? best.multipv : [];
+    const playedSan = sans[i];
+    let forcedPerfect = false;
+    try {
+      const getCpFromItem = (item) => (( 'mate' in item) ? mateToScore(item.mate) : item.cp);
+      const pv1 = pvList.find(x => x.rank === 1);
+      const pv1Uci = best.bestmoveUci || (pv1 ? pv1.uci : null);
+      const pv1San = pv1Uci ? uciToSan(fens[i], pv1Uci) : null;
+      if (pv1San && playedSan && playedSan === pv1San) {
+        forcedPerfect = true;
+      } else if (pv1) {
+        const pv1Cp = getCpFromItem(pv1);
+        // Look for any near-equal PV (within the Best cutoff) matching played SAN
+        for (const alt of pvList) {
+          if (alt.rank === 1) continue;
+          const altCp = getCpFromItem(alt);
+          if (Number.isFinite(pv1Cp) && Number.isFinite(altCp) && Math.abs(pv1Cp - altCp) <= t.best) {
+            const altSan = alt.uci ? uciToSan(fens[i], alt.uci) : null;
+            if (altSan && playedSan && playedSan === altSan) {
+              forcedPerfect = true;
+              break;
+            }
+          }
+        }
+      }
+    } catch {
+      // uci PV yang tidak bisa diubah ke SAN: langkah tidak dipaksa sempurna
+    }
+    // Do not force perfect if the move accelerates mate against the mover
+    const beforeMateAgainst = ("mate" in best && Math.sign(best.mate) < 0) ? Math.abs(best.mate) : null;
+    const afterMateAgainst = ("mate" in after && Math.sign(after.mate) > 0) ? Math.abs(after.mate) : null;
+    if (forcedPerfect && beforeMateAgainst != null && afterMateAgainst != null && afterMateAgainst < beforeMateAgainst) {
+      forcedPerfect = false;
+    }
+    if (!forcedPerfect && (useWin ? winDrop <= t.win.best : cpLoss <= t.best)) forcedPerfect = true;
+
+    if (forcedPerfect) {
+      moveAccuracy = 100;
+    } else if (useWin) {
+      // Model win%: akurasi dari penurunan expected score (lib/accuracy.js)
+      moveAccuracy = moveAccuracyFromWinDrop(winDrop);
+    } else if ("mate" in after && after.mate === 0) {
+      // A. If move delivers mate immediately → 100
+      moveAccuracy = 100;
+    } else if ("mate" in best && Math.sign(best.mate) > 0) {
+      // B. Best has mate for mover but played misses it → heavy penalty
+      moveAccuracy = 30; // cap
+    } else {
+      // C. Base curve (tighter CPL penalty)
+      const baseAcc = Math.max(0, 100 - 0.45 * Math.pow(cpLoss, 0.88));
+
+      // D. Criticality weighting only when there is an actual loss
+      const eqFactor = (() => {
+        const eq = Math.exp(-Math.pow((Math.min(Math.abs(bestCp), 200)) / 120, 2)); // 0..1
+        return 0.7 + 0.3 * eq; // 0.7..1.0 (closer to 1 when position ~ even)
+      })();
+
+      moveAccuracy = baseAcc * eqFactor;
+
+      // E. Trivial recapture boost: if move is capture that restores/keeps material and cpLoss small
+      try {
+        const g0 = new Chess(fens[i]);
+        const m = g0.move(sans[i], { sloppy: true });
+        if (m && m.flags.includes('c')) {
+          const beforeMat = materialScore(new Chess(fens[i]));
+          const afterMat = materialScore(new Chess(g0.fen()));
+          const side = moverSide === 'w' ? { before: beforeMat.w, after: afterMat.w } : { before: beforeMat.b, after: afterMat.b };
+          if (side.after >= side.before && cpLoss <= 30) {
+            moveAccuracy = Math.max(moveAccuracy, 95);
+          }
+        }
+      } catch {
+        // SAN yang ditolak chess.js: tanpa boost recapture
+      }
+    }
+
+    // Clamp
+    moveAccuracy = Math.max(0, Math.min(100, moveAccuracy));
+    stats[player].accuracy += moveAccuracy;
+    phaseStats.accuracy += moveAccuracy;
+    stats[player].moves.push({ ply: i + 1, accuracy: moveAccuracy, cpLoss, winDrop, phase: phases[i] });
+
+    // Count buckets for rating penalties (mate-distance aware)
+    const bestMateForMover2 = ("mate" in best && Math.sign(best.mate) > 0) ? Math.abs(best.mate) : null;
+    const playedMateForMover2 = ("mate" in after && (after.mate === 0 || Math.sign(after.mate) < 0)) ? Math.abs(after.mate) : null;
+    const dMate = (bestMateForMover2 != null && playedMateForMover2 != null) ? (playedMateForMover2 - bestMateForMover2) : null;
+
+    // Bucket = tag dasar dari classifyMove (Miss ikut sebagai bucket sendiri, sama seperti Moves list)
+    const bucket = classifyMove(bestCp, playedCp, {
+      bestIsMate: "mate" in best && Math.sign(best.mate) > 0,
+      deltaMateForMover: dMate,
+      winBefore: win.before,
+      winAfter: win.after,
+      allowsMate: allowsMateAgainstMover(best, after),
+    }, t).toLowerCase();
+    stats[player].counts[bucket]++;
+    phaseStats.counts[bucket]++;
+
+    // Extra penalty trigger: move allows opponent mate-in-1 immediately
+    if ("mate" in after && Number(after.mate) === 1) {
+      stats[player].extraPenalty += 200;
+    }
+
+    // Track good move ratio for consistency bonus separately (>=92%)
+    if (moveAccuracy >= 92) stats[player].goodMoves++;
+  }
+  // Bobot volatilitas (model win%): deret win% Putih per posisi; posisi tanpa eval memakai nilai sebelumnya
+  let lastWhiteWin = 50;
+  const whiteWin = fens.map((fen, j) => {
+    const w = winPercent(evals[j], { useWdl: thresholds.w.useWdl });
+    if (w != null) lastWhiteWin = fen.split(" ")[1] === 'w' ? w : 100 - w;
+    return lastWhiteWin;
+  });
+  const weights = volatilityWeights(whiteWin);
+
+  // Finalize accuracy as percentage (win%: campuran rata-rata berbobot + harmonik; legacy: rata-rata biasa)
+  ['white', 'black'].forEach(color => {
+    const winModel = thresholds[color === 'white' ? 'w' : 'b'].model === 'winrate';
+    // Bobot ikut disimpan per langkah (laporan pemain menggabungkan langkah dari banyak game); legacy: null
+    stats[color].moves.forEach((m) => { m.weight = winModel ? (weights[m.ply - 1] ?? 1) : null; });
+    if (stats[color].totalMoves > 0) {
+      stats[color].accuracy = winModel
+        ? aggregateAccuracy(stats[color].moves)
+        : stats[color].accuracy / stats[color].totalMoves;
+    }
+    PHASES.forEach((phase) => {
+      const ps = stats[color].byPhase[phase];
+      if (ps.totalMoves > 0) {
+        ps.accuracy = winModel
+          ? aggregateAccuracy(stats[color].moves.filter(m => m.phase === phase))
+          : ps.accuracy / ps.totalMoves;
+      }
+    });
+  });
+
+  return stats;
+}
+
+// --- Jumlah langkah per klasifikasi untuk tiap warna (main line saja) ---
+export function countMoveTypes(annotations) {
+  const base = {
+    brilliant: 0,
+    great: 0,
+    best: 0,
+    excellent: 0,
+    good: 0,
+    inaccuracy: 0,
+    miss: 0,
+    mistake: 0,
+    blunder: 0,
+    book: 0,
+  };
+  const res = { white: { ...base }, black: { ...base } };
+  Object.values(annotations || {}).forEach((ann) => {
+    if (!ann || !ann.tag) return;
+    if (ann.mainline === false) return; // variasi tidak dihitung ke laporan game
+    const color = (ann.mover || '').toLowerCase(); // 'white' | 'black'
+    const key = String(ann.tag).toLowerCase();
+    if (res[color] && key in res[color]) {
+      res[color][key] += 1;
+    }
+  });
+
+  return res;
+}
+
+// --- Nilai satu game yang sudah punya evals: annotations, stats, counts + ringkasan per ply ---
+// parsed: hasil parsePgnToFens; elos: { white, black } untuk ambang Elo-aware
+export function scoreGame(parsed, evals, classification = DEFAULT_CLASSIFICATION_SETTINGS, elos = {}) {
+  const { fens, sans, tree } = parsed;
+  const opening = identifyOpening(fens);
+  const thresholds = thresholdsBySide(classification, elos);
+  const annotations = computeAnnotations({ fens, sans, tree, evals, bookPlies: opening.bookPlies, thresholds });
+  const stats = computePlayerStats({ fens, sans, evals, bookPlies: opening.bookPlies, thresholds });
+  const moveByPly = {};
+  ['white', 'black'].forEach(c => stats[c].moves.forEach(m => { moveByPly[m.ply] = m; }));
+  const phases = gamePhasesOfFens(fens);
+  const plies = sans.map((san, k) => {
+    const ply = k + 1;
+    const { moveNum, isWhite } = moveNumberFromFen(fens[k]);
+    return {
+      ply,
+      side: isWhite ? 'white' : 'black',
+      san,
+      label: `${moveNum}${isWhite ? '.' : '...'} ${san}`,
+      phase: phases[k],
+      accuracy: moveByPly[ply]?.accuracy ?? null,
+      winDrop: moveByPly[ply]?.winDrop ?? null,
+      weight: moveByPly[ply]?.weight ?? null,
+      tag: annotations[ply]?.tag ?? null,
+      delta: annotations[ply]?.delta ?? null,
+    };
+  });
+  return { opening, annotations, stats, counts: countMoveTypes(annotations), plies };
+}
+
+// --- Ringkasan satu game database yang sudah dianalisis (bahan laporan pemain) ---
+// classification: pengaturan profil klasifikasi; Elo diambil dari header game tersebut
+export function summarizeAnalyzedGame(entry, evals, classification = DEFAULT_CLASSIFICATION_SETTINGS) {
+  const { opening, stats, counts, plies } = scoreGame(
+    parsePgnToFens(entry.raw), evals, classification, { white: entry.whiteElo, black: entry.blackElo }
+  );
+  return {
+    index: entry.index,
+    classification: classificationKey(classification),
+    white: entry.white,
+    black: entry.black,
+    whiteElo: entry.whiteElo,
+    blackElo: entry.blackElo,
+    result: entry.result,
+    event: entry.event,
+    date: entry.date,
+    eco: opening.eco,
+    opening: opening.name,
+    stats,
+    counts,
+    plies,
+  };
+}
@@ -0,0 +1,60 @@
+import { Chess } from "chess.js";
+
+// --- Material count and game phases (opening / middlegame / endgame) ---
+
+// --- Util: hitung nilai materi sederhana (tanpa pion struktur, hanya bobot materi) ---
+export function materialScore(game) {
+  const values = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 0 };
+  const board = game.board();
+  let w = 0, b = 0;
+  for (const row of board) {
+    for (const piece of row) {
+      if (!piece) continue;
+      const v = values[piece.type] || 0;
+      if (piece.color === 'w') w += v; else b += v;
+    }
+  }
+  return { w, b };
+}
+
+// Batas fase permainan (total materi kedua pihak termasuk pion, maksimal 78)
+const OPENING_MAX_MOVE = 12;        // pembukaan berakhir paling lambat di langkah ke-12 ...
+const OPENING_MIN_MATERIAL = 70;    // ... atau lebih awal bila materi sudah banyak ditukar
+const ENDGAME_MAX_MATERIAL = 32;    // sisa materi ≤ 32 → endgame
+
+// --- Util: fase permainan sebuah posisi ('opening' | 'middlegame' | 'endgame') ---
+export function gamePhaseOfFen(fen) {
+  try {
+    const { w, b } = materialScore(new Chess(fen));
+    const total = w + b;
+    const moveNum = Number(String(fen).split(' ')[5]) || 1;
+    if (total <= ENDGAME_MAX_MATERIAL) return 'endgame';
+    if (moveNum <= OPENING_MAX_MOVE && total >= OPENING_MIN_MATERIAL) return 'opening';
+    return 'middlegame';
+  } catch {
+    return 'middlegame';
+  }
+}
+
+const PHASE_ORDER = { opening: 0, middlegame: 1, endgame: 2 };
+
+// --- Util: fase tiap posisi sebuah game; tidak pernah mundur (promosi tidak membuat endgame jadi middlegame) ---
+export function gamePhasesOfFens(fens) {
+  let current = 'opening';
+  return fens.map((fen) => {
+    const phase = gamePhaseOfFen(fen);
+    if (PHASE_ORDER[phase] > PHASE_ORDER[current]) current = phase;
+    return current;
+  });
+}
+
+// --- Util: rentang posisi berurutan per fase → [{ phase, from, to }] (untuk grafik) ---
+export function phaseRanges(phases) {
+  const ranges = [];
+  phases.forEach((phase, i) => {
+    const last = ranges[ranges.length - 1];
+    if (last && last.phase === phase) last.to = i;
+    else ranges.push({ phase, from: i, to: i });
+  });
+  return ranges;
+}
@@ -0,0 +1,84 @@
+import { parseInfoLine } from "./uciInfo.js";
+
+// --- Live ("go infinite") analysis on one worker ---
+// startInfiniteSearch streams the current MultiPV lines to onUpdate (throttled) until stop()
+// is called. stop() resolves once the engine has answered with "bestmove", so the next
+// command sent to the same worker can't pick up this search's bestmove by mistake.
+
+// Give up waiting for "bestmove" after this long (worker crashed / already idle)
+const STOP_TIMEOUT_MS = 2000;
+
+export function startInfiniteSearch(worker, fen, { multiPV = 3, onUpdate, throttleMs = 150 } = {}) {
+  const lines = {};
+  let finished = false;
+  let stopping = false;
+  let lastEmit = 0;
+  let timer = null;
+  let onBestmove = null;
+
+  const emit = () => {
+    timer = null;
+    if (stopping || finished) return;
+    lastEmit = Date.now();
+    const list = Object.values(lines)
+      .filter(l => l.multipv <= multiPV)
+      .sort((a, b) => a.multipv - b.multipv);
+    if (onUpdate) onUpdate(list);
+  };
+
+  const handler = (e) => {
+    const data = e.data;
+    if (typeof data !== 'string') return;
+    if (/^bestmove\b/.test(data)) {
+      finished = true;
+      clearTimeout(timer);
+      worker.removeEventListener('message', handler);
+      if (onBestmove) onBestmove();
+      return;
+    }
+    const info = parseInfoLine(data);
+    if (!info) return;
+    lines[info.multipv] = info;
+    const wait = throttleMs - (Date.now() - lastEmit);
+    if (wait <= 0) emit();
+    else if (!timer) timer = setTimeout(emit, wait);
+  };
+
+  worker.addEventListener('message', handler);
+  try {
+    worker.postMessage('setoption name MultiPV value ' + multiPV);
+    worker.postMessage('position fen ' + fen);
+    worker.postMessage('go infinite');
+  } catch (e) {
+    console.warn('Live analysis gagal dimulai:', e?.message || e);
+    finished = true;
+    worker.removeEventListener('message', handler);
+  }
+
+  return {
+    stop() {
+      if (finished) return Promise.resolve();
+      stopping = true;
+      clearTimeout(timer);
+      return new Promise((resolve) => {
+        const giveUp = setTimeout(() => {
+          finished = true;
+          worker.removeEventListener('message', handler);
+          resolve();
+        }, STOP_TIMEOUT_MS);
+        onBestmove = () => {
+          clearTimeout(giveUp);
+          resolve();
+        };
+        try {
+          worker.postMessage('stop');
+        } catch {
+          clearTimeout(giveUp);
+          finished = true;
+          worker.removeEventListener('message', handler);
+          resolve();
+        }
+      });
+    },
+  };
+}
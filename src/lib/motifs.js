@@ -0,0 +1,129 @@
+import { Chess } from "chess.js";
+import {
+  PIECE_VALUES,
+  discoveredAttack,
+  isBackRankMate,
+  isFork,
+  pinnedPieces,
+  skewerAt,
+} from "./tactics.js";
+
+// --- Motif analyzer: why was a move bad? ---
+// Blunder/Mistake: replay the refutation (PV#1 of the position after the move) and name the first
+// theme the opponent gets. Miss: replay the line the player overlooked (PV#1 before the move).
+// Returns { motif, text } in plain language, or null when no known theme shows up.
+
+export const MOTIF_TAGS = ['Blunder', 'Mistake', 'Miss'];
+
+// Langkah pihak penyerang yang diperiksa di sepanjang line (ply 0, 2, 4)
+const MOTIF_SCAN_MOVES = 3;
+
+const PIECE_NAMES = { p: 'pawn', n: 'knight', b: 'bishop', r: 'rook', q: 'queen', k: 'king' };
+
+const rank1 = (ev) => (Array.isArray(ev?.multipv) ? ev.multipv.find(x => x.rank === 1) : null);
+
+// --- Util: putar ulang PV (UCI) → [{ before, after, move }] sampai langkah ilegal ---
+function replay(fen, pv, maxPlies) {
+  const out = [];
+  const chess = new Chess(fen);
+  for (const uci of (pv || []).slice(0, maxPlies)) {
+    const before = new Chess(chess.fen());
+    let move;
+    try {
+      move = chess.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] || 'q' });
+    } catch {
+      break;
+    }
+    out.push({ before, after: new Chess(chess.fen()), move });
+    if (chess.isGameOver()) break;
+  }
+  return out;
+}
+
+// --- Tema pertama yang didapat penyerang (langkah genap line) ---
+// Returns { motif, detail, san } dengan detail untuk kalimat penjelasan.
+function firstMotif(steps) {
+  for (let i = 0; i < steps.length && i < MOTIF_SCAN_MOVES * 2; i += 2) {
+    const { before, after, move } = steps[i];
+    if (i === 0 && move.captured && move.captured !== 'p') {
+      // Bidak diambil gratis: tanpa pelindung, atau penyerangnya lebih murah
+      const defended = before.attackers(move.to, move.color === 'w' ? 'b' : 'w').length > 0;
+      if (!defended || PIECE_VALUES[move.piece] < PIECE_VALUES[move.captured]) {
+        return { motif: 'hanging', detail: { piece: move.captured, square: move.to }, san: move.san };
+      }
+    }
+    if (isFork(after, move.to)) {
+      return { motif: 'fork', detail: { piece: move.piece, square: move.to }, san: move.san };
+    }
+    const skewer = skewerAt(after, move.to);
+    if (skewer) {
+      return { motif: 'skewer', detail: { front: skewer.front.type, back: skewer.back.type }, san: move.san };
+    }
+    const discovered = discoveredAttack(before, after, move);
+    if (discovered) {
+      return { motif: 'discovered', detail: { target: discovered.target.type }, san: move.san };
+    }
+    const pin = pinnedPieces(after, move.color === 'w' ? 'b' : 'w').find(p => p.by === move.to);
+    if (pin) {
+      return { motif: 'pin', detail: { piece: after.get(pin.square)?.type, against: pin.against }, san: move.san };
+    }
+  }
+  return null;
+}
+
+// --- Util: kalimat untuk satu motif; `verb` = "Allows" (refutasi) atau "Missed" (peluang) ---
+function describe(found, verb) {
+  const { motif, detail, san } = found;
+  switch (motif) {
+    case 'hanging':
+      return verb === 'Missed'
+        ? `Missed a free ${PIECE_NAMES[detail.piece]} on ${detail.square} (${san})`
+        : `Leaves the ${PIECE_NAMES[detail.piece]} on ${detail.square} hanging (${san})`;
+    case 'fork':
+      return `${verb} a ${PIECE_NAMES[detail.piece]} fork on ${detail.square} (${san})`;
+    case 'skewer':
+      return `${verb} a skewer of the ${PIECE_NAMES[detail.front]} and ${PIECE_NAMES[detail.back]} (${san})`;
+    case 'discovered':
+      return `${verb} a discovered ${detail.target === 'k' ? 'check' : `attack on the ${PIECE_NAMES[detail.target]}`} (${san})`;
+    case 'pin':
+      return `${verb} a pin of the ${PIECE_NAMES[detail.piece]} to the ${PIECE_NAMES[detail.against]} (${san})`;
+    default:
+      return null;
+  }
+}
+
+// --- Jelaskan satu langkah buruk ---
+// fenBefore/fenAfter: posisi sebelum/sesudah langkah; best/after: evals kedua posisi (skor relatif
+// pihak yang jalan, seperti keluaran analyzeFenOnce).
+export function explainMove({ tag, fenBefore, fenAfter, best, after }) {
+  if (!MOTIF_TAGS.includes(tag)) return null;
+
+  // Mate yang terlewat: sebelum langkah ada mate, sesudahnya tidak lagi (after.mate < 0 = masih mate)
+  const hadMate = best && 'mate' in best && best.mate > 0;
+  const keptMate = after && 'mate' in after && after.mate <= 0;
+  if (hadMate && !keptMate) {
+    const line = replay(fenBefore, rank1(best)?.pv || [best.bestmoveUci].filter(Boolean), 1);
+    const first = line[0] ? ` (${line[0].move.san})` : '';
+    return { motif: 'missed-mate', text: `Missed mate in ${best.mate}${first}` };
+  }
+
+  if (tag === 'Miss') {
+    const steps = replay(fenBefore, rank1(best)?.pv, MOTIF_SCAN_MOVES * 2);
+    const found = firstMotif(steps);
+    return found ? { motif: found.motif, text: describe(found, 'Missed') } : null;
+  }
+
+  // Refutasi: PV#1 lawan dari posisi sesudah langkah
+  const refutation = rank1(after)?.pv || [after?.bestmoveUci].filter(Boolean);
+  if (after && 'mate' in after && after.mate > 0) {
+    const steps = replay(fenAfter, refutation, after.mate * 2 - 1);
+    const last = steps[steps.length - 1];
+    if (last && isBackRankMate(last.after)) {
+      return { motif: 'back-rank-mate', text: `Allows a back-rank mate (${steps[0].move.san})` };
+    }
+    const first = steps[0] ? ` (${steps[0].move.san})` : '';
+    return { motif: 'mate', text: `Allows mate in ${after.mate}${first}` };
+  }
+  const found = firstMotif(replay(fenAfter, refutation, MOTIF_SCAN_MOVES * 2));
+  return found ? { motif: found.motif, text: describe(found, 'Allows') } : null;
+}
@@ -0,0 +1,60 @@
+import { positionKey } from "./openings.js";
+
+// --- Local opening explorer over the user's own games (database + library) ---
+// Input games come from parsePgnToFens: { key, source, ref, white, black, result, date, fens, sans }.
+// source/ref say where to reopen a game ('database' + index, 'library' + saved id, 'current').
+
+// Only the opening part of each game is indexed
+export const EXPLORER_MAX_PLIES = 40;
+
+// --- Util: skor hasil PGN → 'white' | 'draw' | 'black' | null (belum selesai) ---
+function resultKey(result) {
+  if (result === '1-0') return 'white';
+  if (result === '0-1') return 'black';
+  if (result === '1/2-1/2') return 'draw';
+  return null;
+}
+
+// --- Bangun indeks posisi → langkah yang dimainkan dari posisi itu ---
+export function buildOpeningExplorer(games) {
+  const positions = new Map();
+  for (const game of games) {
+    const seen = new Set(); // posisi yang berulang di game yang sama dihitung sekali
+    const outcome = resultKey(game.result);
+    const limit = Math.min(game.sans.length, EXPLORER_MAX_PLIES);
+    for (let p = 0; p < limit; p++) {
+      const key = positionKey(game.fens[p]);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      if (!positions.has(key)) positions.set(key, new Map());
+      const moves = positions.get(key);
+      const san = game.sans[p];
+      if (!moves.has(san)) moves.set(san, { san, count: 0, white: 0, draw: 0, black: 0, games: [] });
+      const entry = moves.get(san);
+      entry.count++;
+      if (outcome) entry[outcome]++;
+      entry.games.push({ game, ply: p + 1 });
+    }
+  }
+  return { positions, gameCount: games.length };
+}
+
+// --- Langkah dari posisi fen, urut dari yang paling sering; persentase dari game yang sudah selesai ---
+export function explorerMovesAt(explorer, fen) {
+  const moves = explorer?.positions.get(positionKey(fen));
+  if (!moves) return [];
+  const total = [...moves.values()].reduce((sum, m) => sum + m.count, 0);
+  const pct = (n, d) => (d > 0 ? (n / d) * 100 : 0);
+  return [...moves.values()]
+    .map((m) => {
+      const decided = m.white + m.draw + m.black;
+      return {
+        ...m,
+        share: pct(m.count, total),
+        whitePct: pct(m.white, decided),
+        drawPct: pct(m.draw, decided),
+        blackPct: pct(m.black, decided),
+      };
+    })
+    .sort((a, b) => b.count - a.count || a.san.localeCompare(b.san));
+}
@@ -0,0 +1,137 @@
+import { REFERENCE_GAMES, REFERENCE_SETTINGS } from "./ratingReference.js";
+import { classificationKey } from "./classification.js";
+
+// --- Estimated performance rating per side of one game ---
+// A linear fit elo ≈ a + b·accuracy + c·errorRate over rated reference games, where errorRate is
+// the weighted number of bad moves per 10 moves. `extraPenalty` (allowing mate in one) is taken
+// off the estimate directly, so the fit targets elo + extraPenalty.
+
+// Weight of each bad-move bucket in the error rate
+const ERROR_WEIGHTS = { inaccuracy: 1, mistake: 2, miss: 2.5, blunder: 4 };
+
+// Too few analyzed moves say nothing about strength
+export const MIN_RATED_MOVES = 8;
+
+const RATING_FLOOR = 100;
+const RATING_CEIL = 3400;
+
+// Ridge term: keeps the fit stable when the samples barely vary in one feature
+const RIDGE = 1e-3;
+
+// How far past the lowest/highest sample Elo an estimate may still be shown; beyond that the
+// line is extrapolating and the number means nothing
+const ELO_RANGE_MARGIN = 200;
+
+// --- Util: fitur satu sisi { accuracy, errorRate } dari sampel { accuracy, moves, counts } ---
+function ratingFeatures(side) {
+  const moves = side.moves || 0;
+  const counts = side.counts || {};
+  const weighted = Object.entries(ERROR_WEIGHTS).reduce((a, [k, w]) => a + (counts[k] || 0) * w, 0);
+  return { accuracy: side.accuracy, errorRate: moves > 0 ? (weighted / moves) * 10 : 0 };
+}
+
+// --- Util: selesaikan sistem linear kecil (eliminasi Gauss dengan pivot) ---
+function solve(A, y) {
+  const n = y.length;
+  const M = A.map((row, i) => [...row, y[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    if (Math.abs(M[pivot][col]) < 1e-12) return null;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = M[r][col] / M[col][col];
+      for (let k = col; k <= n; k++) M[r][k] -= f * M[col][k];
+    }
+  }
+  return M.map((row, i) => row[n] / row[i]);
+}
+
+// --- Util: kuadrat terkecil (ridge) atas kolom X terpilih; kolom lain berkoefisien 0 ---
+// X: baris [1, fitur...] ternormalisasi; cols: indeks fitur yang dipakai. Intercept tanpa ridge.
+function fitColumns(X, targets, cols) {
+  const idx = [0, ...cols];
+  const XtX = idx.map(i => idx.map(j => X.reduce((a, x) => a + x[i] * x[j], 0) + (i === j && i > 0 ? RIDGE * X.length : 0)));
+  const Xty = idx.map(i => X.reduce((a, x, n) => a + x[i] * targets[n], 0));
+  const beta = solve(XtX, Xty);
+  if (!beta) return null;
+  const coef = X[0].map(() => 0);
+  idx.forEach((i, n) => { coef[i] = beta[n]; });
+  return coef;
+}
+
+// --- Kalibrasi: kuadrat terkecil atas sampel { elo, accuracy, moves, counts, extraPenalty } ---
+// Fitur dinormalisasi (mean/std) agar ridge berlaku sama untuk keduanya.
+// Returns { coef: [a, b, c], mean, std, samples, eloRange: { min, max } } atau null bila sampel kurang
+// atau tidak ada fitur yang arahnya masuk akal.
+export function calibrateRating(samples = REFERENCE_GAMES) {
+  const rated = samples.filter(s => Number(s.elo) > 0 && Number.isFinite(s.accuracy) && s.moves >= MIN_RATED_MOVES);
+  const rows = rated.map(s => ({ ...ratingFeatures(s), target: Number(s.elo) + (s.extraPenalty || 0) }));
+  if (rows.length < 3) return null;
+
+  const keys = ['accuracy', 'errorRate'];
+  const mean = {};
+  const std = {};
+  keys.forEach((k) => {
+    mean[k] = rows.reduce((a, r) => a + r[k], 0) / rows.length;
+    std[k] = Math.sqrt(rows.reduce((a, r) => a + (r[k] - mean[k]) ** 2, 0) / rows.length) || 1;
+  });
+
+  // Normal equations (XᵀX + λI)·β = Xᵀy
+  const X = rows.map(r => [1, ...keys.map(k => (r[k] - mean[k]) / std[k])]);
+  const targets = rows.map(r => r.target);
+  let coef = fitColumns(X, targets, [1, 2]);
+  // Few or noisy samples can flip a sign (more bad moves → higher rating): fit without that feature,
+  // and give up when neither feature keeps its sign – a constant says nothing about the player
+  if (coef && coef[2] > 0) coef = fitColumns(X, targets, [1]);
+  if (coef && coef[1] < 0) coef = fitColumns(X, targets, [2]);
+  if (!coef || coef[1] < 0 || coef[2] > 0 || (coef[1] === 0 && coef[2] === 0)) return null;
+  const elos = rated.map(s => Number(s.elo));
+  return { coef, mean, std, samples: rows.length, eloRange: { min: Math.min(...elos), max: Math.max(...elos) } };
+}
+
+// Kalibrasi bawaan (hanya set referensi), dihitung sekali
+export const DEFAULT_RATING_CALIBRATION = calibrateRating(REFERENCE_GAMES);
+
+// --- Kalibrasi untuk pengaturan klasifikasi yang dipakai ---
+// The reference rows only describe the settings they were measured with (REFERENCE_SETTINGS):
+// another profile/model counts moves differently. Under other settings the fit uses the rated
+// samples alone (same settings as the game being rated); null when there are too few of them.
+// samples: ratedSamples() of other games – never of the game being rated, or the estimate leans
+// towards the Elo it is shown next to.
+export function calibrationFor(settings, samples = []) {
+  if (classificationKey(settings) !== classificationKey(REFERENCE_SETTINGS)) return calibrateRating(samples);
+  if (!samples.length) return DEFAULT_RATING_CALIBRATION;
+  return calibrateRating([...REFERENCE_GAMES, ...samples]) || DEFAULT_RATING_CALIBRATION;
+}
+
+// --- Perkiraan rating satu sisi dari playerStats[color] ---
+// Returns angka bulat, atau null bila langkah yang dianalisis terlalu sedikit atau perkiraannya
+// jatuh jauh di luar rentang Elo sampel kalibrasi (eloRange ± ELO_RANGE_MARGIN).
+export function estimatePerformance(side, calibration = DEFAULT_RATING_CALIBRATION) {
+  if (!side || !calibration || (side.totalMoves ?? 0) < MIN_RATED_MOVES) return null;
+  const f = ratingFeatures({ accuracy: side.accuracy, moves: side.totalMoves, counts: side.counts });
+  const { coef, mean, std } = calibration;
+  const raw = coef[0]
+    + coef[1] * (f.accuracy - mean.accuracy) / std.accuracy
+    + coef[2] * (f.errorRate - mean.errorRate) / std.errorRate
+    - (side.extraPenalty || 0);
+  const range = calibration.eloRange;
+  if (range && (raw < range.min - ELO_RANGE_MARGIN || raw > range.max + ELO_RANGE_MARGIN)) return null;
+  return Math.round(Math.max(RATING_FLOOR, Math.min(RATING_CEIL, raw)));
+}
+
+// --- Sampel kalibrasi dari ringkasan game library yang punya WhiteElo/BlackElo ---
+// summaries: [{ whiteElo, blackElo, stats }] (stats = computePlayerStats)
+export function ratedSamples(summaries) {
+  const out = [];
+  for (const s of summaries) {
+    [['white', s.whiteElo], ['black', s.blackElo]].forEach(([color, elo]) => {
+      const side = s.stats?.[color];
+      if (!side || !(Number(elo) > 0) || side.totalMoves < MIN_RATED_MOVES) return;
+      out.push({ elo: Number(elo), accuracy: side.accuracy, moves: side.totalMoves, counts: side.counts, extraPenalty: side.extraPenalty });
+    });
+  }
+  return out;
+}
@@ -0,0 +1,72 @@
+// --- Multi-game PGN (database) helpers ---
+// A database is just games one after another; a new game starts at the first tag line
+// that follows movetext.
+
+const TAG_LINE = /^\s*\[(\w+)\s+"(.*)"\]\s*$/;
+
+// --- Util: pecah teks PGN jadi daftar teks per game ---
+export function splitPgnGames(text) {
+  const lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+  const games = [];
+  let current = [];
+  let hasMoves = false;
+  let inComment = false; // a "[" line inside a multi-line {comment} is not a tag
+  for (const line of lines) {
+    const isTag = !inComment && TAG_LINE.test(line);
+    if (isTag && hasMoves) {
+      games.push(current.join('\n').trim());
+      current = [];
+      hasMoves = false;
+    }
+    current.push(line);
+    if (!isTag && line.trim()) hasMoves = true;
+    // Track open/close braces so tag-looking lines inside comments are left alone
+    for (const ch of line) {
+      if (ch === '{') inComment = true;
+      else if (ch === '}') inComment = false;
+    }
+  }
+  const last = current.join('\n').trim();
+  if (last) games.push(last);
+  return games;
+}
+
+// --- Util: ringkasan header satu game (untuk daftar & pencarian) ---
+export function summarizeGame(raw, index) {
+  const tags = {};
+  for (const line of String(raw).split('\n')) {
+    const m = line.match(TAG_LINE);
+    if (m) tags[m[1]] = m[2];
+    else if (line.trim()) break; // headers end where movetext starts
+  }
+  return {
+    index,
+    raw,
+    white: tags.White || 'White Player',
+    black: tags.Black || 'Black Player',
+    whiteElo: tags.WhiteElo || '',
+    blackElo: tags.BlackElo || '',
+    result: tags.Result || '*',
+    event: tags.Event && tags.Event !== '?' ? tags.Event : '',
+    date: tags.Date && !/^\?+/.test(tags.Date) ? tags.Date : '',
+    eco: tags.ECO || '',
+    opening: tags.Opening || '',
+  };
+}
+
+// --- Util: baca database jadi daftar ringkasan game ---
+export function parsePgnDatabase(text) {
+  return splitPgnGames(text).map((raw, i) => summarizeGame(raw, i));
+}
+
+// --- Util: filter daftar game dengan query bebas (semua kata harus cocok) ---
+export function filterGames(games, query) {
+  const words = String(query ?? '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return games;
+  return games.filter((g) => {
+    const hay = [g.white, g.black, g.whiteElo, g.blackElo, g.result, g.event, g.date, g.eco, g.opening]
+      .join(' ')
+      .toLowerCase();
+    return words.every(w => hay.includes(w));
+  });
+}
@@ -0,0 +1,173 @@
+import { Chess } from "chess.js";
+import { uciLineToSans } from "./uciInfo.js";
+
+// --- Annotated PGN export ---
+// Writes the original headers, the full move tree (human comments/sidelines kept), engine
+// classifications as NAGs, [%eval] comments, and the engine line for every Mistake/Blunder/Miss.
+
+const SEVEN_TAG_ROSTER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+
+// Engine tag → NAG (Best/Excellent/Good carry no symbol)
+const TAG_NAGS = { Brilliant: 3, Great: 1, Inaccuracy: 6, Mistake: 2, Blunder: 4, Miss: 4 };
+
+// Tags that get the engine's best line as a variation
+const VARIATION_TAGS = new Set(['Mistake', 'Blunder', 'Miss']);
+
+// Maximum plies of an engine line written as a variation
+const MAX_ENGINE_LINE_PLIES = 8;
+
+// --- Util: skor UCI (relatif side-to-move) → teks [%eval] dari sudut pandang Putih ---
+export function formatEvalCommand(ev, sideToMove) {
+  if (!ev) return null;
+  const flip = sideToMove === 'b' ? -1 : 1;
+  if ('mate' in ev) {
+    const m = Number(ev.mate);
+    // mate 0: the side to move is already mated, the "#" on the move says it all
+    if (m === 0) return null;
+    return `[%eval #${m * flip}]`;
+  }
+  if ('cp' in ev) return `[%eval ${((ev.cp * flip) / 100).toFixed(2)}]`;
+  return null;
+}
+
+// --- Util: escape isi komentar (kurung kurawal tidak boleh muncul di dalam {...}) ---
+function cleanComment(text) {
+  return String(text).replace(/[{}]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function formatHeaders(tags) {
+  const entries = Object.entries(tags || {}).filter(([, v]) => v != null && v !== '');
+  const head = SEVEN_TAG_ROSTER.map(k => [k, tags?.[k] ?? (k === 'Result' ? '*' : '?')]);
+  const rest = entries.filter(([k]) => !SEVEN_TAG_ROSTER.includes(k));
+  return [...head, ...rest]
+    .map(([k, v]) => `[${k} "${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`)
+    .join('\n');
+}
+
+// --- Util: bungkus token movetext ke baris ≤ 80 karakter ---
+function wrapTokens(tokens, width = 80) {
+  // "(" sticks to the next token and ")" to the previous one: "(3... a6 4. Ba4)"
+  const glued = [];
+  let open = '';
+  for (const tok of tokens) {
+    if (tok === '(') { open += '('; continue; }
+    if (tok === ')' && glued.length) { glued[glued.length - 1] += ')'; continue; }
+    glued.push(open + tok);
+    open = '';
+  }
+  const lines = [];
+  let line = '';
+  for (const tok of glued) {
+    if (!line) line = tok;
+    else if (line.length + 1 + tok.length <= width) line += ' ' + tok;
+    else { lines.push(line); line = tok; }
+  }
+  if (line) lines.push(line);
+  return lines.join('\n');
+}
+
+// --- Export utama: kembalikan teks PGN beranotasi ---
+// tree: pohon dari parseMoveTree; evals/annotations: keyed by node id (seperti di App)
+export function exportAnnotatedPgn({ tags = {}, tree, evals = {}, annotations = {}, annotator = 'Stockfish 17.1' }) {
+  if (!tree || !Array.isArray(tree.nodes) || tree.nodes.length === 0) return '';
+  const nodes = tree.nodes;
+  const result = tags.Result || '*';
+  const outTags = { ...tags, Result: result };
+  if (!outTags.Annotator) outTags.Annotator = annotator;
+
+  const tokens = [];
+  const moveNumberToken = (fen, force) => {
+    const parts = String(fen).split(' ');
+    const num = Number(parts[5]) || 1;
+    if (parts[1] === 'w') return `${num}.`;
+    return force ? `${num}...` : null;
+  };
+
+  // Engine best line for a classified move, as a plain SAN list from the parent position
+  const engineLine = (parentId) => {
+    const best = evals[parentId];
+    if (!best) return [];
+    const pv1 = Array.isArray(best.multipv) ? best.multipv.find(x => x.rank === 1) : null;
+    const ucis = pv1?.pv?.length ? pv1.pv : [best.bestmoveUci || pv1?.uci].filter(Boolean);
+    return uciLineToSans(nodes[parentId].fen, ucis.slice(0, MAX_ENGINE_LINE_PLIES));
+  };
+
+  // Writes one move (with NAGs and comments); returns true if anything followed the SAN
+  const writeMove = (node, forceNumber) => {
+    const parent = nodes[node.parent];
+    const num = moveNumberToken(parent.fen, forceNumber);
+    if (num) tokens.push(num);
+    tokens.push(node.san);
+    const ann = annotations[node.id];
+    const engineNag = ann ? TAG_NAGS[ann.tag] : null;
+    // Engine verdict replaces human move-quality NAGs ($1-$6); positional NAGs stay
+    const nags = (node.nags || []).filter(n => !(engineNag && n >= 1 && n <= 6));
+    if (engineNag) nags.unshift(engineNag);
+    nags.forEach(n => tokens.push(`$${n}`));
+    const evalCmd = formatEvalCommand(evals[node.id], String(node.fen).split(' ')[1]);
+    const human = (node.comments || [])
+      .map(c => cleanComment(String(c).replace(/\[%eval\s+[^\]]*\]/g, '')))
+      .filter(Boolean);
+    const parts = [...(evalCmd ? [evalCmd] : []), ...human];
+    if (ann && ann.tag && !['Best', 'Excellent', 'Good', 'Book'].includes(ann.tag)) parts.push(`${ann.tag}.`);
+    if (parts.length) tokens.push(`{${parts.join(' ')}}`);
+    return parts.length > 0 || nags.length > 0;
+  };
+
+  // Writes a line starting with node id; variations of each move follow that move
+  const writeLine = (startId, forceFirstNumber) => {
+    let force = forceFirstNumber;
+    let k = startId;
+    while (k != null) {
+      const node = nodes[k];
+      const parent = nodes[node.parent];
+      const hadExtras = writeMove(node, force);
+      let hadVariation = false;
+      // Human sidelines (alternatives to this move) – skip for the first move of a sideline
+      if (k !== startId || node.mainline) {
+        for (const alt of parent.children.slice(1)) {
+          if (alt === k || nodes[alt].explore) continue;
+          tokens.push('(');
+          writeLine(alt, true);
+          tokens.push(')');
+          hadVariation = true;
+        }
+      }
+      // Engine line for bad main-line moves
+      const ann = annotations[k];
+      if (node.mainline && ann && VARIATION_TAGS.has(ann.tag)) {
+        const line = engineLine(node.parent);
+        if (line.length && line[0] !== node.san) {
+          const g = new Chess(parent.fen);
+          const lineTokens = [];
+          // The parent's eval is the eval after the engine's first move, so the comment goes there
+          const bestEval = formatEvalCommand(evals[node.parent], String(parent.fen).split(' ')[1]);
+          line.forEach((san, n) => {
+            const num = moveNumberToken(g.fen(), n <= 1);
+            if (num) lineTokens.push(num);
+            lineTokens.push(san);
+            if (n === 0) lineTokens.push(`{Engine best line${bestEval ? ' ' + bestEval : ''}}`);
+            g.move(san);
+          });
+          tokens.push('(', ...lineTokens, ')');
+          hadVariation = true;
+        }
+      }
+      // A black move after a comment or variation needs its "N..." number again
+      force = hadExtras || hadVariation;
+      k = node.children[0] ?? null;
+      // Lines kept after the game's final move have no move to be an alternative to, and
+      // unkept explore-mode lines are temporary – neither is exported
+      if (k != null && ((node.mainline && !nodes[k].mainline) || nodes[k].explore)) k = null;
+    }
+  };
+
+  const rootComments = (nodes[0].comments || []).map(cleanComment).filter(Boolean);
+  if (rootComments.length) tokens.push(`{${rootComments.join(' ')}}`);
+  if (nodes[0].children.length) {
+    writeLine(nodes[0].children[0], true);
+  }
+  tokens.push(result);
+
+  return `${formatHeaders(outTags)}\n\n${wrapTokens(tokens)}\n`;
+}
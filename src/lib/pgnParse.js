@@ -0,0 +1,258 @@
+import { Chess } from "chess.js";
+import { buildLinearTree, parseMoveTree } from "./pgnTree.js";
+
+// --- PGN text → positions ---
+// parsePgnToFens keeps the variations (pgnTree) and falls back to chess.js loadPgn, then to a
+// bare SAN token scan, so damaged exports still load. Errors are thrown with Indonesian messages
+// that the UI shows as is.
+
+// --- Util: baca tag header PGN ([Tag "value"]) menjadi objek ---
+export function extractPgnTags(text) {
+  const tags = {};
+  String(text ?? '').replace(/\r\n?/g, '\n').split('\n').forEach((line) => {
+    const m = line.match(/^\s*\[(\w+)\s+"(.*)"\]\s*$/);
+    if (m) tags[m[1]] = m[2];
+  });
+  return tags;
+}
+
+// --- Util: hasil di akhir movetext ("1-0", "0-1", "1/2-1/2", "*"), null bila tidak ada ---
+// Untuk PGN tanpa tag [Result]: hasilnya tetap ikut saat game diekspor ulang.
+export function movetextResult(text) {
+  const movetext = String(text ?? '')
+    .replace(/^\s*\[.*\]\s*$/gm, ' ')
+    .replace(/\{[^}]*\}/g, ' ')
+    .replace(/;.*$/gm, ' ');
+  const m = movetext.match(/(?:^|\s|\))(1-0|0-1|1\/2-1\/2|\*)\s*$/);
+  return m ? m[1] : null;
+}
+
+// --- Util: Shredder-FEN / X-FEN (Chess960) castling → KQkq agar diterima chess.js.
+// Huruf file di kanan raja = sisi raja (K/k), di kiri = sisi menteri (Q/q).
+// Catatan: chess.js tidak mengenal rokade 960, jadi hanya posisi awalnya yang bisa dimuat.
+export function normalizeCastlingField(fen) {
+  const parts = String(fen).trim().split(/\s+/);
+  if (parts.length < 3 || /^(-|K?Q?k?q?)$/.test(parts[2])) return parts.join(' ');
+  const rows = parts[0].split('/');
+  const kingFile = (row, king) => {
+    let file = 0;
+    for (const ch of row || '') {
+      if (/\d/.test(ch)) { file += Number(ch); continue; }
+      if (ch === king) return file;
+      file += 1;
+    }
+    return -1;
+  };
+  const wk = kingFile(rows[7], 'K');
+  const bk = kingFile(rows[0], 'k');
+  let out = '';
+  for (const ch of parts[2]) {
+    const isWhite = ch === ch.toUpperCase();
+    const lower = ch.toLowerCase();
+    let side = lower;
+    if (/[a-h]/.test(lower)) {
+      const fileIdx = lower.charCodeAt(0) - 97;
+      side = fileIdx > (isWhite ? wk : bk) ? 'k' : 'q';
+    }
+    if (side !== 'k' && side !== 'q') continue;
+    const flag = isWhite ? side.toUpperCase() : side;
+    if (!out.includes(flag)) out += flag;
+  }
+  parts[2] = ['K', 'Q', 'k', 'q'].filter(f => out.includes(f)).join('') || '-';
+  return parts.join(' ');
+}
+
+// --- Util: FEN awal permainan dari header [SetUp]/[FEN] (default posisi standar) ---
+export function getStartFen(tags) {
+  const fen = (tags?.FEN || '').trim();
+  if (!fen || tags?.SetUp === '0') return new Chess().fen();
+  try {
+    return new Chess(normalizeCastlingField(fen)).fen();
+  } catch (e) {
+    throw new Error('FEN pada header PGN tidak valid: ' + (e?.message || e));
+  }
+}
+
+// --- Util: materi yang sudah hilang di posisi awal (studi/posisi custom) ---
+// Format sama dengan captures progress: white = bidak hitam yang sudah "ditangkap", black = sebaliknya.
+export function initialCapturesFromFen(fen) {
+  const full = { p: 8, n: 2, b: 2, r: 2, q: 1 };
+  const count = { w: { p:0, n:0, b:0, r:0, q:0 }, b: { p:0, n:0, b:0, r:0, q:0 } };
+  const board = String(fen).split(' ')[0];
+  for (const ch of board) {
+    const t = ch.toLowerCase();
+    if (!(t in full)) continue;
+    count[ch === t ? 'b' : 'w'][t] += 1;
+  }
+  const missing = (side) => {
+    const res = {};
+    for (const t of Object.keys(full)) res[t] = Math.max(0, full[t] - count[side][t]);
+    return res;
+  };
+  return { white: missing('b'), black: missing('w') };
+}
+
+// --- Util: parse PGN jadi daftar FEN + SAN ---
+export function parsePgnToFens(pgn) {
+  const raw = (pgn ?? '').toString();
+  // Normalisasi line-ending agar Chess.js tidak bingung dengan CRLF Windows
+  let normalized = raw.replace(/\r\n/g, '\n').replace(/\r/g, '\n').trim();
+  if (!normalized.endsWith('\n')) normalized += '\n';
+  const tags = extractPgnTags(normalized);
+  if (!tags.Result && movetextResult(normalized)) tags.Result = movetextResult(normalized);
+  const startFen = getStartFen(tags);
+  const headers = {
+    White: tags.White || 'White Player',
+    Black: tags.Black || 'Black Player',
+    WhiteElo: tags.WhiteElo || tags.WhiteELO || '',
+    BlackElo: tags.BlackElo || tags.BlackELO || '',
+    ...(startFen !== new Chess().fen() ? { SetUp: '1', FEN: startFen } : {})
+  };
+  // Header FEN ikut ditulis ulang agar fallback tanpa tag tetap mulai dari posisi yang sama
+  const setupTags = headers.FEN ? `[SetUp "1"]\n[FEN "${startFen}"]\n\n` : '';
+  const game = new Chess();
+  try {
+    const opts = { sloppy: true, newlineChar: '\n' };
+    // chess.js 1.x: loadPgn() melempar error saat gagal dan tidak mengembalikan boolean
+    const loader = (g, s) => {
+      try {
+        const res = typeof g.loadPgn === 'function' ? g.loadPgn(s, opts) : (typeof g.load_pgn === 'function' ? g.load_pgn(s, opts) : false);
+        return res !== false;
+      } catch {
+        return false;
+      }
+    };
+    // Pastikan FEN yang sudah dinormalisasi (mis. castling Chess960) yang dipakai chess.js
+    const withSetup = (s) => setupTags + s.split('\n').filter(line => !/^\s*\[(SetUp|FEN)\s+".*"\]\s*$/.test(line)).join('\n');
+    // Utama: parser pohon langkah sendiri (variasi tetap tersimpan); chess.js loadPgn sebagai cadangan
+    let tree = null;
+    try {
+      const movetext = normalized.split('\n').filter(line => !/^\s*\[.*\]\s*$/.test(line)).join('\n');
+      const parsedTree = parseMoveTree(movetext, startFen);
+      if (parsedTree.mainlineLength > 1) tree = parsedTree;
+    } catch {
+      tree = null;
+    }
+    let ok = !!tree || loader(game, withSetup(normalized));
+    if (!ok) {
+      // Fallback: buang header [Tags] dan ambil movetext mulai dari nomor langkah pertama
+      // Pastikan ada blank line antara header dan movetext
+      const lines = normalized.split('\n');
+      let lastTagIdx = -1;
+      for (let i = 0; i < lines.length; i++) {
+        if (/^\s*\[.*\]\s*$/.test(lines[i])) lastTagIdx = i; else break;
+      }
+      if (lastTagIdx >= 0) {
+        const hasBlank = lines[lastTagIdx + 1] === '';
+        if (!hasBlank) {
+          lines.splice(lastTagIdx + 1, 0, '');
+        }
+      }
+      const normalizedWithBlank = lines.join('\n');
+      ok = loader(game, withSetup(normalizedWithBlank));
+      if (!ok) {
+        const noTags = normalizedWithBlank
+        .split('\n')
+        .filter(line => !/^\s*\[.*\]\s*$/.test(line))
+        .join(' ');
+        const idxFirstMove = noTags.search(/\d+\s*\./);
+        if (idxFirstMove >= 0) {
+          let movetext = noTags.slice(idxFirstMove).trim();
+          // normalisasi spasi
+          movetext = movetext.replace(/\s+/g, ' ').trim();
+          if (!movetext.endsWith('\n')) movetext += '\n';
+          ok = loader(game, setupTags + movetext);
+        }
+      }
+    }
+    if (!ok) throw new Error('format PGN tidak dikenali');
+
+    const moves = tree
+      ? tree.nodes.slice(1, tree.mainlineLength).map(n => n.move)
+      : game.history({ verbose: true });
+    if (!Array.isArray(moves) || moves.length === 0) {
+      throw new Error('PGN tidak mengandung langkah yang valid');
+    }
+
+    const walk = new Chess(startFen);
+    const fens = [walk.fen()];
+    const sans = [];
+    // Build captures progress: index i corresponds to position after i moves (same as fens[i])
+    const initialCaps = initialCapturesFromFen(startFen);
+    const capsProgress = [{ white: { ...initialCaps.white }, black: { ...initialCaps.black } }];
+    let accWhite = { ...initialCaps.white };
+    let accBlack = { ...initialCaps.black };
+    for (const mv of moves) {
+      walk.move(mv);
+      fens.push(walk.fen());
+      sans.push(mv.san);
+      // track captured
+      if (mv.captured) {
+        // mover color mv.color captures opponent piece mv.captured
+        const t = mv.captured; // 'p','n','b','r','q'
+        if (mv.color === 'w') accWhite = { ...accWhite, [t]: (accWhite[t] || 0) + 1 };
+        else accBlack = { ...accBlack, [t]: (accBlack[t] || 0) + 1 };
+      }
+      capsProgress.push({ white: { ...accWhite }, black: { ...accBlack } });
+    }
+    return { fens, sans, game: tree ? walk : game, headers, tags, captures: capsProgress, startFen, tree: tree || buildLinearTree(fens, sans) };
+  } catch (e) {
+    // Fallback terakhir: parse SAN manual dari movetext sederhana
+    try {
+      const stripTags = (s) => s.replace(/^\s*\[.*\]\s*$\n?/gm, '');
+      const stripComments = (s) => s
+        .replace(/\{[^}]*\}/g, ' ')    // {comments}
+        .replace(/;.*$/gm, ' ')         // ; comments per-line
+        .replace(/\$\d+/g, ' ');       // NAGs
+      const stripResults = (s) => s.replace(/\b(1-0|0-1|1\/2-1\/2|\*)\b/g, ' ');
+      const stripMoveNums = (s) => s.replace(/\d+\s*\.\.\.|\d+\s*\./g, ' ');
+      let text = stripTags(normalized);
+      text = stripComments(text);
+      text = stripResults(text);
+      text = stripMoveNums(text);
+      text = text.replace(/\s+/g, ' ').trim();
+      if (!text) throw e;
+
+      const walk = new Chess(startFen);
+      const fens = [walk.fen()];
+      const sans = [];
+      const skipped = [];
+      const tokens = text.split(' ');
+      for (const tok of tokens) {
+        let mv = null;
+        // chess.js 1.x melempar error untuk token yang bukan langkah legal
+        try { mv = walk.move(tok, { sloppy: true }); } catch { mv = null; }
+        if (!mv) {
+          // jika token bukan SAN, abaikan – tapi catat, agar pemanggil tahu game hanya terbaca sebagian
+          skipped.push(tok);
+          continue;
+        }
+        sans.push(mv.san);
+        fens.push(walk.fen());
+      }
+      if (sans.length === 0) throw e;
+      // rebuild captures for fallback tokens
+      const initialCaps = initialCapturesFromFen(startFen);
+      const capsProgress = [{ white: { ...initialCaps.white }, black: { ...initialCaps.black } }];
+      let accWhite = { ...initialCaps.white };
+      let accBlack = { ...initialCaps.black };
+      const hist = walk.history({ verbose: true });
+      for (const mv of hist) {
+        if (mv.captured) {
+          const t = mv.captured;
+          if (mv.color === 'w') accWhite = { ...accWhite, [t]: (accWhite[t] || 0) + 1 }; else accBlack = { ...accBlack, [t]: (accBlack[t] || 0) + 1 };
+        }
+        capsProgress.push({ white: { ...accWhite }, black: { ...accBlack } });
+      }
+      return { fens, sans, game: walk, headers, tags, captures: capsProgress, startFen, tree: buildLinearTree(fens, sans), skipped };
+    } catch {
+      throw new Error('PGN tidak valid atau gagal di-parse: ' + (e?.message || e));
+    }
+  }
+}
+
+// --- Util: nomor langkah + warna pelaku dari FEN posisi sebelum langkah ---
+export function moveNumberFromFen(fen) {
+  const parts = String(fen || '').split(' ');
+  return { moveNum: Number(parts[5]) || 1, isWhite: parts[1] !== 'b' };
+}
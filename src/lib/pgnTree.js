@@ -0,0 +1,279 @@
+import { Chess } from "chess.js";
+
+// --- PGN movetext → move tree ---
+// Node ids: the main line is numbered first (root = 0, ply n = n) so it lines up with the
+// flat fens/sans arrays; sideline nodes get the ids after that. Every node keeps its parent
+// and its children (children[0] = the continuation, the rest = alternatives / sidelines).
+
+// Standard NAG → symbol (PGN spec §10); unknown codes are shown as "$n"
+export const NAG_SYMBOLS = {
+  1: '!', 2: '?', 3: '!!', 4: '??', 5: '!?', 6: '?!', 7: '□', 10: '=', 13: '∞',
+  14: '⩲', 15: '⩱', 16: '±', 17: '∓', 18: '+−', 19: '−+', 22: '⨀', 23: '⨀',
+  32: '⟳', 33: '⟳', 36: '↑', 37: '↑', 40: '→', 41: '→', 132: '⇆', 133: '⇆',
+  138: '⊕', 139: '⊕', 146: 'N',
+};
+
+// SAN suffix annotations ("e4!?") are the short form of NAGs 1-6
+const SUFFIX_NAGS = { '!': 1, '?': 2, '!!': 3, '??': 4, '!?': 5, '?!': 6 };
+
+// --- Util: simbol NAG untuk ditampilkan ---
+export function nagSymbol(nag) {
+  return NAG_SYMBOLS[nag] || `$${nag}`;
+}
+
+// --- Util: gabungkan komentar PGN jadi teks tampilan (perintah [%...] dibuang) ---
+export function commentText(comments) {
+  return (comments || [])
+    .map(c => String(c).replace(/\[%[^\]]*\]/g, ' ').replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join(' ');
+}
+
+// --- Util: pecah movetext jadi token (move, comment, nag, open, close, result) ---
+export function tokenizeMovetext(text) {
+  const src = String(text ?? '');
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === '{') {
+      const end = src.indexOf('}', i + 1);
+      const stop = end < 0 ? src.length : end;
+      tokens.push({ type: 'comment', value: src.slice(i + 1, stop) });
+      i = stop + 1;
+      continue;
+    }
+    if (ch === ';') {
+      const end = src.indexOf('\n', i + 1);
+      const stop = end < 0 ? src.length : end;
+      tokens.push({ type: 'comment', value: src.slice(i + 1, stop) });
+      i = stop + 1;
+      continue;
+    }
+    if (ch === '(') { tokens.push({ type: 'open' }); i++; continue; }
+    if (ch === ')') { tokens.push({ type: 'close' }); i++; continue; }
+    // Everything else is a "word" up to the next delimiter
+    let j = i;
+    while (j < src.length && !/[\s{}();]/.test(src[j])) j++;
+    const word = src.slice(i, j);
+    i = j;
+    if (/^\$\d+$/.test(word)) { tokens.push({ type: 'nag', value: Number(word.slice(1)) }); continue; }
+    if (/^(1-0|0-1|1\/2-1\/2|\*)$/.test(word)) { tokens.push({ type: 'result', value: word }); continue; }
+    // Move numbers may be glued to the move ("12.Nf3", "12...Nf3")
+    const stripped = word.replace(/^\d+\.+/, '');
+    if (!stripped || /^\.+$/.test(stripped)) continue;
+    tokens.push({ type: 'move', value: stripped.replace(/^0-0-0/, 'O-O-O').replace(/^0-0/, 'O-O') });
+  }
+  return tokens;
+}
+
+// --- Util: bangun pohon langkah dari movetext, mulai dari startFen ---
+// Langkah ilegal di main line → error; di sideline → sisa variasi itu diabaikan.
+export function parseMoveTree(movetext, startFen) {
+  const tokens = tokenizeMovetext(movetext);
+  const rootFen = new Chess(startFen).fen();
+  const temp = [{ key: 0, parent: null, fen: rootFen, san: null, move: null, children: [], comments: [], nags: [] }];
+  let cur = 0;        // node that the next move is played from
+  let last = null;    // last move node (anchor for a following "(" and for comments/NAGs)
+  let skipDepth = 0;  // >0 while skipping the rest of a broken sideline
+  let pendingComments = []; // comments before the first move of a sideline belong to that move
+  const stack = [];
+
+  for (const tok of tokens) {
+    if (skipDepth === 0 && tok.type === 'comment') {
+      if (last != null) temp[last].comments.push(tok.value);
+      else if (stack.length === 0) temp[cur].comments.push(tok.value); // game comment before move 1
+      else pendingComments.push(tok.value);
+      continue;
+    }
+    if (skipDepth === 0 && tok.type === 'nag') {
+      if (last != null) temp[last].nags.push(tok.value);
+      continue;
+    }
+    if (tok.type === 'open') {
+      if (skipDepth > 0) { skipDepth++; continue; }
+      stack.push({ cur, last });
+      // A variation needs a move to be an alternative to
+      if (last == null) { skipDepth = 1; continue; }
+      cur = temp[last].parent;
+      last = null;
+      continue;
+    }
+    if (tok.type === 'close') {
+      if (skipDepth > 0) {
+        skipDepth--;
+        if (skipDepth > 0) continue;
+      }
+      const frame = stack.pop();
+      if (frame) ({ cur, last } = frame);
+      pendingComments = [];
+      continue;
+    }
+    if (skipDepth > 0 || tok.type !== 'move') continue;
+
+    const suffix = (tok.value.match(/[!?]+$/) || [''])[0];
+    const san = tok.value.slice(0, tok.value.length - suffix.length);
+    let mv = null;
+    try {
+      mv = new Chess(temp[cur].fen).move(san, { strict: false });
+    } catch {
+      mv = null;
+    }
+    if (!mv) {
+      if (stack.length === 0) throw new Error(`Langkah ilegal di main line: ${tok.value}`);
+      skipDepth = 1;
+      continue;
+    }
+    // Reuse an existing child if the same move already exists (duplicated sidelines)
+    const existing = temp[cur].children.find(k => temp[k].san === mv.san);
+    if (existing != null) {
+      cur = existing;
+      last = existing;
+      pendingComments = [];
+      continue;
+    }
+    const key = temp.length;
+    const nags = SUFFIX_NAGS[suffix] ? [SUFFIX_NAGS[suffix]] : [];
+    temp.push({ key, parent: cur, fen: mv.after, san: mv.san, move: mv, children: [], comments: pendingComments, nags });
+    pendingComments = [];
+    temp[cur].children.push(key);
+    cur = key;
+    last = key;
+  }
+  return renumberTree(temp);
+}
+
+// Assign final ids: main line first (0..N), then sidelines in depth-first order
+function renumberTree(temp) {
+  const order = [];
+  for (let k = 0; k != null; k = temp[k].children[0]) order.push(k);
+  const mainCount = order.length;
+  const listed = new Set(order);
+  const walked = new Set(); // each subtree is walked once (main line nodes are reached again from forEach)
+  const visit = (k) => {
+    if (walked.has(k)) return;
+    walked.add(k);
+    for (const c of temp[k].children) {
+      if (!listed.has(c)) {
+        listed.add(c);
+        order.push(c);
+      }
+      visit(c);
+    }
+  };
+  order.slice(0, mainCount).forEach(visit);
+  const idOf = new Map(order.map((k, id) => [k, id]));
+  const nodes = order.map((k, id) => {
+    const t = temp[k];
+    const parent = t.parent == null ? null : idOf.get(t.parent);
+    return {
+      id,
+      parent,
+      fen: t.fen,
+      san: t.san,
+      move: t.move,
+      children: t.children.map(c => idOf.get(c)),
+      comments: t.comments,
+      nags: t.nags,
+      mainline: id < mainCount,
+      ply: 0,
+      depth: 0,
+    };
+  });
+  nodes.forEach((n) => {
+    if (n.parent == null) return;
+    const p = nodes[n.parent];
+    n.ply = p.ply + 1;
+    // Nesting level: +1 every time the node is not its parent's first child
+    n.depth = p.depth + (p.children[0] === n.id ? 0 : 1);
+  });
+  return { nodes, mainlineLength: mainCount };
+}
+
+// --- Util: pohon linear dari fens/sans (dipakai saat PGN hanya bisa dibaca lewat fallback) ---
+export function buildLinearTree(fens, sans) {
+  const nodes = fens.map((fen, id) => ({
+    id,
+    parent: id === 0 ? null : id - 1,
+    fen,
+    san: id === 0 ? null : sans[id - 1],
+    move: null,
+    children: id < fens.length - 1 ? [id + 1] : [],
+    comments: [],
+    nags: [],
+    mainline: true,
+    ply: id,
+    depth: 0,
+  }));
+  return { nodes, mainlineLength: nodes.length };
+}
+
+// --- Util: semua langkah di pohon sebagai pasangan parent → child ---
+export function treeEdges(tree) {
+  if (!tree || !Array.isArray(tree.nodes)) return [];
+  return tree.nodes
+    .filter(n => n.parent != null)
+    .map(n => ({ from: n.parent, to: n.id, fen: tree.nodes[n.parent].fen, san: n.san, mainline: n.mainline }));
+}
+
+// --- Util: urutan node dari root sampai node id (inklusif) ---
+export function pathToNode(tree, id) {
+  const path = [];
+  for (let k = id; k != null && tree?.nodes[k]; k = tree.nodes[k].parent) path.unshift(k);
+  return path;
+}
+
+// --- Explore mode: langkah percobaan pengguna sebagai sideline sementara ---
+// Explore nodes carry `explore: true` and are always appended after every permanent node,
+// so dropping them never renumbers the rest of the tree (ids stay valid keys for evals).
+
+// --- Util: tambahkan langkah (hasil chess.js move) dari node parentId → { tree, id, created } ---
+// Langkah yang sudah ada sebagai child cukup dipilih (tidak membuat node baru).
+export function addExploreMove(tree, parentId, move) {
+  const parent = tree.nodes[parentId];
+  const existing = parent.children.find(k => tree.nodes[k].san === move.san);
+  if (existing != null) return { tree, id: existing, created: false };
+  const id = tree.nodes.length;
+  const node = {
+    id,
+    parent: parentId,
+    fen: move.after,
+    san: move.san,
+    move,
+    children: [],
+    comments: [],
+    nags: [],
+    mainline: false,
+    explore: true,
+    ply: parent.ply + 1,
+    depth: parent.depth + (parent.children.length ? 1 : 0),
+  };
+  const nodes = tree.nodes.map(n => (n.id === parentId ? { ...n, children: [...n.children, id] } : n));
+  nodes.push(node);
+  return { tree: { ...tree, nodes }, id, created: true };
+}
+
+// --- Util: buang semua node explore ---
+export function dropExploreNodes(tree) {
+  if (!tree.nodes.some(n => n.explore)) return tree;
+  const nodes = tree.nodes
+    .filter(n => !n.explore)
+    .map(n => (n.children.some(k => tree.nodes[k].explore)
+      ? { ...n, children: n.children.filter(k => !tree.nodes[k].explore) }
+      : n));
+  return { ...tree, nodes };
+}
+
+// --- Util: jadikan node explore variasi permanen ---
+export function keepExploreNodes(tree) {
+  if (!tree.nodes.some(n => n.explore)) return tree;
+  return { ...tree, nodes: tree.nodes.map(n => (n.explore ? { ...n, explore: false } : n)) };
+}
+
+// --- Util: node permanen terdekat (dipakai setelah line explore dibuang) ---
+export function nearestPermanentNode(tree, id) {
+  let k = id;
+  while (k != null && tree.nodes[k]?.explore) k = tree.nodes[k].parent;
+  return k ?? 0;
+}
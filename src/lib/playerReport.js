@@ -0,0 +1,115 @@
+import { aggregateAccuracy } from "./accuracy.js";
+
+// --- Aggregated player report over many analyzed games (opponent scouting) ---
+// Input is one summary per analyzed game (built in App from playerStats/moveTypeCounts):
+//   { index, white, black, result, event, date, stats, counts,
+//     plies: [{ ply, side, san, label, phase, accuracy, winDrop, weight, tag, delta }] }
+
+export const PHASES = ['opening', 'middlegame', 'endgame'];
+export const PHASE_LABELS = { opening: 'Opening', middlegame: 'Middlegame', endgame: 'Endgame' };
+
+// Tags that can appear in the worst-moves list
+const WORST_MOVE_TAGS = new Set(['Blunder', 'Miss', 'Mistake', 'Inaccuracy']);
+
+// Number of moves kept in the worst-moves list
+const MAX_WORST_MOVES = 10;
+
+// --- Util: normalisasi nama pemain untuk pencocokan ("Carlsen,  Magnus" = "carlsen, magnus") ---
+export function normalizePlayerName(name) {
+  return String(name ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// --- Util: warna yang dimainkan pemain di sebuah game ('white' | 'black' | null) ---
+export function playerSide(game, name) {
+  const key = normalizePlayerName(name);
+  if (!key) return null;
+  if (normalizePlayerName(game.white) === key) return 'white';
+  if (normalizePlayerName(game.black) === key) return 'black';
+  return null;
+}
+
+// --- Util: daftar nama pemain di database, urut dari yang paling banyak bermain ---
+export function playerNamesInDatabase(games) {
+  const seen = new Map();
+  for (const g of games || []) {
+    for (const name of [g.white, g.black]) {
+      const key = normalizePlayerName(name);
+      if (!key || key === 'white player' || key === 'black player' || key === '?') continue;
+      const entry = seen.get(key) || { name, games: 0 };
+      entry.games += 1;
+      seen.set(key, entry);
+    }
+  }
+  return [...seen.values()].sort((a, b) => b.games - a.games || a.name.localeCompare(b.name));
+}
+
+const average = (sum, n) => (n > 0 ? sum / n : null);
+
+// --- Util: akurasi gabungan langkah-langkah seperti per game (lib/accuracy.js) ---
+// Semua langkah berbobot volatilitas (model win%): rata-rata berbobot + harmonik; selain itu rata-rata biasa.
+function movesAccuracy(moves) {
+  if (!moves.length) return null;
+  if (moves.every(m => m.weight != null)) return aggregateAccuracy(moves);
+  return average(moves.reduce((a, m) => a + m.accuracy, 0), moves.length);
+}
+
+// --- Laporan gabungan untuk satu pemain ---
+export function aggregatePlayerReport(summaries, name) {
+  const byColor = { white: { games: 0, accSum: 0 }, black: { games: 0, accSum: 0 } };
+  const byPhase = Object.fromEntries(PHASES.map(p => [p, []]));
+  const totals = { brilliant: 0, great: 0, inaccuracy: 0, mistake: 0, blunder: 0, miss: 0 };
+  const games = [];
+  const badMoves = [];
+  let accSum = 0;
+  let accGames = 0;
+
+  for (const s of summaries || []) {
+    const side = playerSide(s, name);
+    if (!side) continue;
+    const st = s.stats?.[side];
+    const hasMoves = st && st.totalMoves > 0;
+    games.push({
+      index: s.index,
+      side,
+      opponent: side === 'white' ? s.black : s.white,
+      result: s.result,
+      accuracy: hasMoves ? st.accuracy : null,
+    });
+    if (hasMoves) {
+      accSum += st.accuracy;
+      accGames += 1;
+      byColor[side].games += 1;
+      byColor[side].accSum += st.accuracy;
+    }
+    const counts = s.counts?.[side] || {};
+    Object.keys(totals).forEach((k) => { totals[k] += counts[k] || 0; });
+
+    for (const p of s.plies || []) {
+      if (p.side !== side) continue;
+      if (p.accuracy != null && byPhase[p.phase]) {
+        byPhase[p.phase].push({ accuracy: p.accuracy, weight: p.weight });
+      }
+      if (WORST_MOVE_TAGS.has(p.tag)) {
+        badMoves.push({ gameIndex: s.index, opponent: side === 'white' ? s.black : s.white, ...p });
+      }
+    }
+  }
+
+  // Worst first: larger win% drop (the measure move accuracy uses), ties broken by the harsher tag
+  const severity = { Blunder: 3, Miss: 2, Mistake: 1, Inaccuracy: 0 };
+  badMoves.sort((a, b) => (b.winDrop ?? 0) - (a.winDrop ?? 0) || severity[b.tag] - severity[a.tag]);
+
+  return {
+    name,
+    games,
+    analyzedGames: games.length,
+    accuracy: average(accSum, accGames),
+    byColor: {
+      white: { games: byColor.white.games, accuracy: average(byColor.white.accSum, byColor.white.games) },
+      black: { games: byColor.black.games, accuracy: average(byColor.black.accSum, byColor.black.games) },
+    },
+    byPhase: Object.fromEntries(PHASES.map(p => [p, { moves: byPhase[p].length, accuracy: movesAccuracy(byPhase[p]) }])),
+    totals,
+    worstMoves: badMoves.slice(0, MAX_WORST_MOVES),
+  };
+}
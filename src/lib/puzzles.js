@@ -0,0 +1,153 @@
+import { Chess } from "chess.js";
+import { positionKey } from "./openings.js";
+import { lineThemes } from "./tactics.js";
+
+// --- Puzzle deck: tactics pulled out of analyzed games, reviewed with SM-2 scheduling ---
+// A puzzle is the position before a Miss (the winning line the player overlooked) or before a
+// Great/Brilliant move (the line the player found). The solution keeps the engine PV while it
+// stays forcing; mate lines are kept whole.
+
+export const PUZZLE_SOURCE_TAGS = ['Miss', 'Great', 'Brilliant'];
+
+// Longest solution kept (plies, solver + replies)
+export const MAX_PUZZLE_PLIES = 11;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const rank1 = (ev) => (Array.isArray(ev?.multipv) ? ev.multipv.find(x => x.rank === 1) : null);
+
+// --- Util: potong PV menjadi line paksa yang berakhir pada langkah pihak yang dilatih ---
+// Returns [{ uci, san }]. Tanpa mate, line berhenti pada langkah solver pertama yang tenang
+// (bukan skak, makan atau promosi) setelah langkah pertama.
+export function forcingLine(fen, pv, mateIn = null) {
+  const chess = new Chess(fen);
+  const limit = mateIn ? Math.min(MAX_PUZZLE_PLIES, mateIn * 2 - 1) : MAX_PUZZLE_PLIES;
+  let moves = [];
+  for (const uci of (pv || []).slice(0, limit)) {
+    let mv;
+    try {
+      mv = chess.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] || 'q' });
+    } catch {
+      break; // PV usang/ilegal: pakai bagian yang valid saja
+    }
+    moves.push({ uci, san: mv.san });
+    if (chess.isGameOver()) break;
+  }
+  if (!mateIn) {
+    let end = Math.min(1, moves.length);
+    for (let i = 2; i < moves.length && /[x+#=]/.test(moves[i].san); i += 2) end = i + 1;
+    moves = moves.slice(0, end);
+  }
+  if (moves.length % 2 === 0) moves.pop();
+  return moves;
+}
+
+// --- Kumpulkan puzzle dari satu game yang sudah dianalisis (main line saja) ---
+// tags: header PGN (White/Black/Date) untuk asal puzzle
+export function extractPuzzles({ tree, annotations, evals, tags = {} }) {
+  if (!tree?.nodes) return [];
+  const out = [];
+  const seen = new Set();
+  for (const node of tree.nodes) {
+    const tag = annotations[node.id]?.tag;
+    if (!node.mainline || node.parent == null || !PUZZLE_SOURCE_TAGS.includes(tag)) continue;
+    const fen = tree.nodes[node.parent].fen;
+    const best = evals[node.parent];
+    const pv1 = rank1(best);
+    const playedUci = node.move ? node.move.from + node.move.to + (node.move.promotion || '') : null;
+    let pv;
+    if (tag === 'Miss') {
+      pv = pv1?.pv?.length ? pv1.pv : [best?.bestmoveUci].filter(Boolean);
+    } else if (pv1?.pv?.[0] === playedUci) {
+      pv = pv1.pv;
+    } else {
+      // Langkah yang dimainkan bukan PV#1: lanjutkan dengan PV posisi sesudahnya
+      pv = [playedUci, ...(rank1(evals[node.id])?.pv || [])];
+    }
+    const mateIn = best && 'mate' in best && best.mate > 0 ? best.mate : null;
+    const line = forcingLine(fen, pv, mateIn);
+    if (!line.length) continue;
+    const id = `${positionKey(fen)}|${line[0].uci}`;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    out.push({
+      id,
+      fen,
+      line: line.map(m => m.uci),
+      sans: line.map(m => m.san),
+      themes: lineThemes(fen, line.map(m => m.uci)),
+      sourceTag: tag,
+      game: {
+        white: tags.White || 'White Player',
+        black: tags.Black || 'Black Player',
+        date: tags.Date && !/^\?+/.test(tags.Date) ? tags.Date : '',
+        ply: node.id,
+        playedSan: node.san,
+      },
+    });
+  }
+  return out;
+}
+
+// --- Kartu baru: jadwal SM-2 awal + statistik kosong ---
+export function newPuzzleCard(puzzle, now = Date.now()) {
+  return {
+    ...puzzle,
+    createdAt: now,
+    sm2: { ease: 2.5, interval: 0, reps: 0, due: now },
+    stats: { attempts: 0, successes: 0, lastResult: null, lastReviewed: null },
+  };
+}
+
+// --- SM-2: quality 0..5 (≥3 = berhasil) → jadwal review berikutnya ---
+export function reviewPuzzle(card, quality, now = Date.now()) {
+  const q = Math.max(0, Math.min(5, Math.round(quality)));
+  const { ease, interval, reps } = card.sm2;
+  const passed = q >= 3;
+  const nextReps = passed ? reps + 1 : 0;
+  let nextInterval = 1;
+  if (passed && nextReps === 2) nextInterval = 6;
+  else if (passed && nextReps > 2) nextInterval = Math.round(interval * ease);
+  const nextEase = Math.max(1.3, ease + 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
+  return {
+    ...card,
+    sm2: { ease: nextEase, interval: nextInterval, reps: nextReps, due: now + nextInterval * DAY_MS },
+    stats: {
+      attempts: card.stats.attempts + 1,
+      successes: card.stats.successes + (passed ? 1 : 0),
+      lastResult: passed ? 'solved' : 'failed',
+      lastReviewed: now,
+    },
+  };
+}
+
+// Kartu yang jatuh tempo, paling lama tertunda dulu
+export function duePuzzles(deck, now = Date.now()) {
+  return deck.filter(c => c.sm2.due <= now).sort((a, b) => a.sm2.due - b.sm2.due);
+}
+
+// --- Statistik deck: total, jatuh tempo, tingkat keberhasilan, per tema ---
+export function deckStats(deck, now = Date.now()) {
+  let attempts = 0;
+  let successes = 0;
+  const byTheme = {};
+  for (const card of deck) {
+    attempts += card.stats.attempts;
+    successes += card.stats.successes;
+    for (const theme of card.themes.length ? card.themes : ['other']) {
+      const t = byTheme[theme] || (byTheme[theme] = { count: 0, attempts: 0, successes: 0 });
+      t.count += 1;
+      t.attempts += card.stats.attempts;
+      t.successes += card.stats.successes;
+    }
+  }
+  const upcoming = deck.filter(c => c.sm2.due > now).map(c => c.sm2.due);
+  return {
+    total: deck.length,
+    due: deck.length - upcoming.length,
+    nextDue: upcoming.length ? Math.min(...upcoming) : null,
+    attempts,
+    successRate: attempts ? (successes / attempts) * 100 : null,
+    byTheme,
+  };
+}
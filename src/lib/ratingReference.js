@@ -0,0 +1,28 @@
+// --- Reference set for the performance-rating fit (lib/performanceRating.js) ---
+// One entry per side of a rated game: the rating the player held and the numbers the Report card
+// shows for that side, measured with REFERENCE_SETTINGS (book moves excluded). performanceRating
+// only mixes these rows into the fit under those settings; analyzed library games that carry
+// WhiteElo/BlackElo are added on top of it at runtime.
+//   { elo, accuracy, moves, counts: { inaccuracy, mistake, blunder, miss }, extraPenalty, source }
+//
+// Generated by scripts/build-rating-reference.js – do not edit by hand.
+//   source games: troll-masters-2001.pgn, lichess-pgn-viewer-demo.pgn
+//   engine: Stockfish 17.1 Lite WASM, depth 14, MultiPV 5, 2026-10-19
+
+export const REFERENCE_SETTINGS = { profile: 'standard', eloAware: false, model: 'winrate', useWdl: false };
+
+export const REFERENCE_GAMES = [
+  { elo: 2055, accuracy: 95.7, moves: 20, counts: { inaccuracy: 0, mistake: 0, blunder: 0, miss: 0 }, extraPenalty: 0, source: "troll-masters-2001.pgn: Edvardsen,R - Carlsen,Magnus, Troll Masters, 2001.01.05" },
+  { elo: 2062, accuracy: 85.4, moves: 24, counts: { inaccuracy: 3, mistake: 0, blunder: 1, miss: 0 }, extraPenalty: 0, source: "troll-masters-2001.pgn: Carlsen,Magnus - Fant,G, Troll Masters, 2001.01.07" },
+  { elo: 2095, accuracy: 94.9, moves: 32, counts: { inaccuracy: 2, mistake: 0, blunder: 0, miss: 0 }, extraPenalty: 0, source: "troll-masters-2001.pgn: Carlsen,Magnus - Brameld,A, Troll Masters, 2001.01.06" },
+  { elo: 2097, accuracy: 87.3, moves: 27, counts: { inaccuracy: 3, mistake: 2, blunder: 0, miss: 0 }, extraPenalty: 0, source: "troll-masters-2001.pgn: Carlsen,Magnus - Johansen,KR, Troll Masters, 2001.01.10" },
+  { elo: 2170, accuracy: 92.7, moves: 19, counts: { inaccuracy: 3, mistake: 0, blunder: 0, miss: 0 }, extraPenalty: 0, source: "troll-masters-2001.pgn: Grubert,C - Carlsen,Magnus, Troll Masters, 2001.01.09" },
+  { elo: 2227, accuracy: 96.7, moves: 25, counts: { inaccuracy: 1, mistake: 0, blunder: 0, miss: 0 }, extraPenalty: 0, source: "troll-masters-2001.pgn: Carlsen,Magnus - Moen,A, Troll Masters, 2001.01.12" },
+  { elo: 2245, accuracy: 94.7, moves: 48, counts: { inaccuracy: 3, mistake: 0, blunder: 0, miss: 0 }, extraPenalty: 0, source: "troll-masters-2001.pgn: Sorensen,H - Carlsen,Magnus, Troll Masters, 2001.01.11" },
+  { elo: 2258, accuracy: 95.6, moves: 27, counts: { inaccuracy: 1, mistake: 0, blunder: 0, miss: 0 }, extraPenalty: 0, source: "troll-masters-2001.pgn: Tallaksen,G - Carlsen,Magnus, Troll Masters, 2001.01.08" },
+  { elo: 2371, accuracy: 99.6, moves: 19, counts: { inaccuracy: 0, mistake: 0, blunder: 0, miss: 0 }, extraPenalty: 0, source: "troll-masters-2001.pgn: Carlsen,Magnus - Nilssen,J, Troll Masters, 2001.01.08" },
+  { elo: 2680, accuracy: 89.9, moves: 57, counts: { inaccuracy: 1, mistake: 3, blunder: 1, miss: 0 }, extraPenalty: 0, source: "lichess-pgn-viewer-demo.pgn: Saric, Ivan - Vachier-Lagrave, Maxime, SuperUnited Rapid & Blitz Croatia, 2022.07.24" },
+  { elo: 2728, accuracy: 98.3, moves: 38, counts: { inaccuracy: 1, mistake: 0, blunder: 0, miss: 0 }, extraPenalty: 0, source: "lichess-pgn-viewer-demo.pgn: Gukesh D - Ding, Liren, FIDE World Championship 2024, 2024.11.30" },
+  { elo: 2760, accuracy: 94.0, moves: 57, counts: { inaccuracy: 4, mistake: 1, blunder: 0, miss: 0 }, extraPenalty: 0, source: "lichess-pgn-viewer-demo.pgn: Saric, Ivan - Vachier-Lagrave, Maxime, SuperUnited Rapid & Blitz Croatia, 2022.07.24" },
+  { elo: 2783, accuracy: 98.6, moves: 37, counts: { inaccuracy: 0, mistake: 0, blunder: 0, miss: 0 }, extraPenalty: 0, source: "lichess-pgn-viewer-demo.pgn: Gukesh D - Ding, Liren, FIDE World Championship 2024, 2024.11.30" },
+];
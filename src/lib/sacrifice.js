@@ -0,0 +1,209 @@
+import { Chess } from "chess.js";
+import { materialScore } from "./gamePhases.js";
+
+// --- Sacrifice heuristics (Brilliant detection, deep-verification candidates) ---
+// Every helper takes the position before the move (FEN), the move in SAN and the mover ('w' | 'b').
+// Material is counted in pawns with materialScore; chess.js errors count as "no sacrifice".
+
+// --- Util: deteksi exchange sacrifice (mis. Rxd5: rook (5) menangkap minor (3) → korbankan nilai ≥2)
+export function isExchangeSacrifice(fen, san) {
+  try {
+    const values = { p:1, n:3, b:3, r:5, q:9, k:0 };
+    const g = new Chess(fen);
+    const m = g.move(san, { sloppy: true });
+    if (!m) return false;
+    // Hanya relevan jika ini capture
+    if (!m.flags || !m.flags.includes('c')) return false;
+    const movedType = m.piece; // 'r','n','b','q','k','p'
+    const capturedType = m.captured; // 'p','n','b','r','q'
+    if (!movedType || !capturedType) return false;
+    const delta = (values[movedType] || 0) - (values[capturedType] || 0);
+    // Exchange sacrifice jika nilai buah yang bergerak lebih besar ≥2 dibanding yang ditangkap
+    return delta >= 2;
+  } catch {
+    return false;
+  }
+}
+
+// --- Util: selisih materi pelaku − lawan (pion) ---
+function materialBalance(game, moverSide) {
+  const sco = materialScore(game);
+  return moverSide === 'w' ? sco.w - sco.b : sco.b - sco.w;
+}
+
+// --- Util: materi yang benar-benar dikorbankan setelah SAN (bersih, termasuk recapture) ---
+// Compared with the position before the move: the move's own capture counts for the mover, then the
+// opponent takes (on the target square only, or anywhere) and the mover recaptures on that square
+// when that pays. Returns the worst change for the mover in pawns (negative = material given up),
+// or null when the opponent has no capture at all. A plain recapture therefore nets ≥ 0.
+function netCaptureBalance(fen, san, moverSide, { targetOnly }) {
+  const game = new Chess(fen);
+  const balanceBefore = materialBalance(game, moverSide);
+  const move = game.move(san, { sloppy: true });
+  if (!move) return null;
+  let worst = null;
+  for (const om of game.moves({ verbose: true })) {
+    if (!/[ce]/.test(om.flags) || (targetOnly && om.to !== move.to)) continue;
+    const afterOpp = new Chess(game.fen());
+    afterOpp.move({ from: om.from, to: om.to, promotion: om.promotion });
+    let balance = materialBalance(afterOpp, moverSide);
+    for (const rm of afterOpp.moves({ verbose: true })) {
+      if (!/[ce]/.test(rm.flags) || rm.to !== om.to) continue;
+      const recaptured = new Chess(afterOpp.fen());
+      recaptured.move({ from: rm.from, to: rm.to, promotion: rm.promotion });
+      balance = Math.max(balance, materialBalance(recaptured, moverSide));
+    }
+    const delta = balance - balanceBefore;
+    if (worst == null || delta < worst) worst = delta;
+  }
+  return worst;
+}
+
+// --- Util: worst net material change after SAN when the opponent may capture anywhere ---
+export function worstImmediateCaptureLoss(fen, san, moverSide) {
+  try {
+    return netCaptureBalance(fen, san, moverSide, { targetOnly: false });
+  } catch {
+    return null;
+  }
+}
+
+// --- Util: normalize SAN for comparison (strip trailing +, #, !, ? characters) ---
+export function normalizeSan(san) {
+  if (!san) return san;
+  return String(san).replace(/[+#!?]+$/g, '').trim();
+}
+
+// --- Util: get moved piece type ('p','n','b','r','q','k') for a SAN move on a FEN ---
+export function getMovedPieceType(fen, san) {
+  try {
+    const g = new Chess(fen);
+    const mv = g.move(san, { sloppy: true });
+    if (!mv) return null;
+    return mv.piece || null;
+  } catch {
+    return null;
+  }
+}
+
+// --- Util: strict piece sacrifice offer (relaxed): counts capture/exchange sacs too.
+// Thresholds (net loss after best capture/recapture on target square): Q>=5, R>=3, N/B>=2 ---
+export function isStrictPieceSacrificeOffer(fen, san, moverSide) {
+  try {
+    const moved = getMovedPieceType(fen, san);
+    if (!moved || moved === 'k' || moved === 'p') return false;
+    const loss = offeredSacrificeLossMagnitude(fen, san, moverSide); // negative for mover
+    if (typeof loss !== 'number') return false;
+    // Relaxed thresholds so that realistic sacrifice (including exchange sacs) count as piece sacrifice
+    // Queen: lose at least ~half a queen value; Rook: lose ≥3; Minor: lose ≥2 after best reply/recapture sequence
+    if (moved === 'q') return loss <= -5;
+    if (moved === 'r') return loss <= -3;
+    if (moved === 'b' || moved === 'n') return loss <= -2;
+    return false;
+  } catch {
+    return false;
+  }
+}
+
+// --- Util: magnitude of offered sacrifice (pawns) if opponent captures the moved piece immediately.
+// Net of the move's own capture and the mover's best recapture: negative for material given up
+// (e.g. -9 for an unprotected queen), >= 0 for trades and recaptures, null if no such capture.
+export function offeredSacrificeLossMagnitude(fen, san, moverSide) {
+  try {
+    return netCaptureBalance(fen, san, moverSide, { targetOnly: true });
+  } catch {
+    return null;
+  }
+}
+
+// --- Heuristic: is there any opponent capture on the moved piece's target square? ---
+export function hasOpponentCaptureOnTarget(fen, san) {
+  try {
+    const before = new Chess(fen);
+    const mv = before.move(san, { sloppy: true });
+    if (!mv) return false;
+    const after = before;
+    const targetSquare = mv.to;
+    const opponentMoves = after.moves({ verbose: true });
+    return opponentMoves.some(m => m.flags.includes('c') && m.to === targetSquare);
+  } catch {
+    return false;
+  }
+}
+
+// --- Heuristic: after opponent captures that target square, does mover have an immediate checking reply? ---
+export function moverHasImmediateCheckAfterTargetCapture(fen, san) {
+  try {
+    const before = new Chess(fen);
+    const mv = before.move(san, { sloppy: true });
+    if (!mv) return false;
+    const targetSquare = mv.to;
+    const after = before; // opponent to move
+    const opponentMoves = after.moves({ verbose: true }).filter(m => m.flags.includes('c') && m.to === targetSquare);
+    for (const om of opponentMoves) {
+      const afterOpp = new Chess(after.fen());
+      afterOpp.move({ from: om.from, to: om.to, promotion: om.promotion });
+      // now mover's turn; look for any checking move (strong forcing signal)
+      const replies = afterOpp.moves({ verbose: true });
+      for (const r of replies) {
+        const tmp = new Chess(afterOpp.fen());
+        tmp.move({ from: r.from, to: r.to, promotion: r.promotion });
+        if (tmp.isCheckmate()) return true; // mate in 1 after capture → surely brilliant
+        if (r.san && /\+/.test(r.san)) return true; // any check reply considered a strong punish
+      }
+    }
+    return false;
+  } catch {
+    return false;
+  }
+}
+
+// --- Util: deteksi pengorbanan materi pada langkah SAN dari posisi FEN ---
+export function isSacrificeMove(fen, san, moverSide) {
+  try {
+    const before = new Chess(fen);
+    const sco0 = materialScore(before);
+    const m = before.move(san, { sloppy: true });
+    if (!m) return false;
+    const sco1 = materialScore(before);
+    const delta = moverSide === 'w' ? (sco1.w - sco0.w) : (sco1.b - sco0.b);
+    // sacrifice jika materi turun >= 3 pion-equivalent
+    return delta <= -3;
+  } catch {
+    return false;
+  }
+}
+
+// --- Util: deteksi "offered sacrifice" (korban ditawarkan: setelah langkah, lawan bisa menangkap
+//          bidak/buah yang baru bergerak dan itu menurunkan materi pelaku langkah ≥ 3 pion-equivalent)
+export function offersSacrificeNextMove(fen, san, moverSide) {
+  try {
+    const before = new Chess(fen);
+    const wasInCheck = before.isCheck();
+    const move = before.move(san, { sloppy: true });
+    if (!move) return false;
+    // Hanya anggap "offered sacrifice" jika LANGKAHNYA BUKAN CAPTURE.
+    // Jika langkah adalah capture (mis. qxg3), itu biasanya trade/recapture dan bukan offering.
+    if (move.flags && move.flags.includes('c')) return false;
+    const after = before; // board now at position after mover's move
+    const scoAfter = materialScore(after);
+    const opponentMoves = after.moves({ verbose: true });
+    // Cari tangkapan pada kotak tujuan piece yang baru bergerak
+    const targetSquare = move.to;
+    for (const om of opponentMoves) {
+      if (om.to === targetSquare && om.flags.includes('c')) {
+        const test = new Chess(after.fen());
+        test.move({ from: om.from, to: om.to, promotion: om.promotion });
+        const scoCap = materialScore(test);
+        const delta = (moverSide === 'w') ? (scoCap.w - scoAfter.w) : (scoCap.b - scoAfter.b);
+        // Jika sebelumnya sedang skak dan langkah ini hanya "menutup skak",
+        // naikkan ambang pengorbanan agar tidak gampang disebut Brilliant.
+        const threshold = wasInCheck ? -5 : -3; // butuh ≥5 pion saat menutup skak
+        if (delta <= threshold) return true; // pelaku langkah kehilangan materi besar setelah tangkapan terbaik
+      }
+    }
+    return false;
+  } catch {
+    return false;
+  }
+}
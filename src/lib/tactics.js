@@ -0,0 +1,136 @@
+import { Chess } from "chess.js";
+
+// --- Tactical geometry on chess.js positions (fork, pin, skewer, discovered attack, mate) ---
+// Used to tag puzzles and to explain bad moves (lib/motifs.js); every helper works on its own
+// Chess copy and never mutates the caller's.
+
+export const PIECE_VALUES = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 0 };
+
+export const other = (color) => (color === 'w' ? 'b' : 'w');
+
+const isSlider = (type) => type === 'b' || type === 'r' || type === 'q';
+
+// Raja dihitung paling berharga untuk perbandingan (skewer, target serangan)
+const worth = (type) => (type === 'k' ? 100 : PIECE_VALUES[type]);
+
+function pieces(chess, color) {
+  const out = [];
+  for (const row of chess.board()) {
+    for (const cell of row) if (cell && cell.color === color) out.push(cell);
+  }
+  return out;
+}
+
+// --- Util: bidak lawan yang diserang bidak di `square` ---
+export function attackedTargets(chess, square) {
+  const piece = chess.get(square);
+  if (!piece) return [];
+  return pieces(chess, other(piece.color))
+    .filter(cell => chess.attackers(cell.square, piece.color).includes(square));
+}
+
+// Fork: the piece on `square` hits two targets worth attacking at once – the king, anything worth
+// more than the forking piece, or an undefended piece (pawns never count).
+export function isFork(chess, square) {
+  const piece = chess.get(square);
+  if (!piece) return false;
+  const worth = PIECE_VALUES[piece.type];
+  const targets = attackedTargets(chess, square).filter((t) => {
+    if (t.type === 'p') return false;
+    if (t.type === 'k' || PIECE_VALUES[t.type] > worth) return true;
+    return chess.attackers(t.square, t.color).length === 0;
+  });
+  return targets.length >= 2;
+}
+
+// --- Pin: bidak `color` yang terpaku ke raja (absolut) atau menteri (relatif) ---
+// Returns [{ square, against: 'k'|'q', by }] where `by` is the pinning slider of the other side.
+export function pinnedPieces(chess, color) {
+  const probe = new Chess(chess.fen(), { skipValidation: true });
+  const attacker = other(color);
+  const anchors = pieces(probe, color).filter(p => p.type === 'k' || p.type === 'q');
+  const out = [];
+  for (const cell of pieces(probe, color)) {
+    if (cell.type === 'k') continue;
+    for (const anchor of anchors) {
+      if (anchor.square === cell.square) continue;
+      // Terpaku ke menteri hanya berarti bila bidaknya lebih murah
+      if (anchor.type === 'q' && PIECE_VALUES[cell.type] >= PIECE_VALUES.q) continue;
+      const before = new Set(probe.attackers(anchor.square, attacker));
+      probe.remove(cell.square);
+      const by = probe.attackers(anchor.square, attacker)
+        .find(sq => !before.has(sq) && 'bqr'.includes(probe.get(sq)?.type));
+      probe.put({ type: cell.type, color: cell.color }, cell.square);
+      if (by) out.push({ square: cell.square, against: anchor.type, by });
+    }
+  }
+  return out;
+}
+
+// --- Skewer: slider di `square` menyerang bidak berharga; di baliknya ada bidak lain yang ikut kena ---
+// Returns { front, back } (sel board()) atau null.
+export function skewerAt(chess, square) {
+  const piece = chess.get(square);
+  if (!piece || !isSlider(piece.type)) return null;
+  const probe = new Chess(chess.fen(), { skipValidation: true });
+  for (const front of attackedTargets(probe, square)) {
+    if (front.type !== 'k' && front.type !== 'q') continue;
+    const hitBefore = new Set(attackedTargets(probe, square).map(t => t.square));
+    probe.remove(front.square);
+    const back = attackedTargets(probe, square)
+      .find(t => !hitBefore.has(t.square) && t.type !== 'p' && worth(t.type) < worth(front.type));
+    probe.put({ type: front.type, color: front.color }, front.square);
+    if (back) return { front, back };
+  }
+  return null;
+}
+
+// --- Serangan terbuka: setelah `move`, bidak lain (slider) milik penggerak menyerang target baru ---
+// before/after: posisi sebelum/sesudah langkah. Target: raja, menteri, benteng, atau bidak tanpa pelindung.
+export function discoveredAttack(before, after, move) {
+  for (const target of pieces(after, other(move.color))) {
+    if (target.type === 'p') continue;
+    const valuable = target.type === 'k' || worth(target.type) >= 5 || after.attackers(target.square, target.color).length === 0;
+    if (!valuable) continue;
+    const old = new Set(before.attackers(target.square, move.color));
+    const by = after.attackers(target.square, move.color)
+      .find(sq => sq !== move.to && !old.has(sq) && isSlider(after.get(sq)?.type));
+    if (by) return { by, target };
+  }
+  return null;
+}
+
+// --- Mate di baris belakang: raja yang di-mate ada di baris pertamanya, diskak benteng/menteri dari baris itu ---
+export function isBackRankMate(chess) {
+  if (!chess.isCheckmate()) return false;
+  const color = chess.turn();
+  const kingSq = pieces(chess, color).find(p => p.type === 'k')?.square;
+  if (!kingSq || kingSq[1] !== (color === 'w' ? '1' : '8')) return false;
+  return chess.attackers(kingSq, other(color))
+    .some(sq => sq[1] === kingSq[1] && 'rq'.includes(chess.get(sq)?.type));
+}
+
+// --- Tema sebuah line solusi (UCI, dimulai dari fen; langkah genap = pihak yang dilatih) ---
+export function lineThemes(fen, line) {
+  const chess = new Chess(fen);
+  const solver = chess.turn();
+  const themes = new Set();
+  for (let i = 0; i < line.length; i++) {
+    const uci = line[i];
+    let move;
+    try {
+      move = chess.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] || 'q' });
+    } catch {
+      break;
+    }
+    if (i % 2 !== 0) continue;
+    if (move.promotion) themes.add('promotion');
+    if (chess.isCheckmate()) {
+      themes.add('mate');
+      break;
+    }
+    if (isFork(chess, move.to)) themes.add('fork');
+    if (pinnedPieces(chess, other(solver)).some(p => p.by === move.to)) themes.add('pin');
+  }
+  return [...themes];
+}
@@ -0,0 +1,105 @@
+import { mateToScore } from "./gameAnalysis.js";
+import { positionKey } from "./openings.js";
+
+// --- "Learn from mistakes": drill the positions before the game's bad moves ---
+// An exercise is the position before a main-line Mistake/Blunder/Miss; the user has to find a
+// move that the stored MultiPV (or, failing that, a fresh engine check) rates as close to best.
+
+const STORAGE_KEY = 'chess-analyzer.training';
+
+export const TRAINING_TAGS = ['Blunder', 'Mistake', 'Miss'];
+
+// An attempt counts as solved when it loses at most this much against PV#1 (centipawns)
+export const TRAINING_MAX_LOSS = 50;
+
+// Score in centipawns; mates on the classification scale (mateToScore), far beyond any cp value
+function scoreOf(item) {
+  if (!item) return null;
+  if ('mate' in item && item.mate != null) return mateToScore(item.mate);
+  return 'cp' in item ? item.cp : null;
+}
+
+// --- Kumpulkan latihan dari annotations main line (urut ply) ---
+// tree: pohon langkah (id node = key annotations/evals); returns [{ id, parentId, fen, playedSan, tag, mover, bestUci, key }]
+export function collectExercises(tree, annotations, evals) {
+  if (!tree?.nodes) return [];
+  return tree.nodes
+    .filter(n => n.mainline && n.parent != null)
+    .filter(n => TRAINING_TAGS.includes(annotations[n.id]?.tag))
+    .map((n) => {
+      const parent = tree.nodes[n.parent];
+      const best = evals[n.parent];
+      const bestUci = best?.bestmoveUci || best?.multipv?.find(x => x.rank === 1)?.uci || null;
+      return {
+        id: n.id,
+        parentId: n.parent,
+        fen: parent.fen,
+        playedSan: n.san,
+        playedUci: n.move ? n.move.from + n.move.to + (n.move.promotion || '') : null,
+        tag: annotations[n.id].tag,
+        mover: parent.fen.split(' ')[1],
+        bestUci,
+        key: exerciseKey(parent.fen, n.san),
+      };
+    })
+    .filter(ex => ex.bestUci);
+}
+
+// --- Util: kunci catatan latihan (posisi + langkah yang salah), sama antar game ---
+export function exerciseKey(fen, playedSan) {
+  return `${positionKey(fen)}|${playedSan}`;
+}
+
+// --- Nilai percobaan dari MultiPV tersimpan ---
+// Returns 'solved' | 'failed', or null when the move is not among the stored lines (ask the engine).
+export function judgeFromMultipv(best, exercise, uci) {
+  if (!uci) return 'failed';
+  if (exercise.playedUci && uci === exercise.playedUci) return 'failed';
+  if (uci === exercise.bestUci) return 'solved';
+  const list = Array.isArray(best?.multipv) ? best.multipv : [];
+  const top = scoreOf(list.find(x => x.rank === 1) || best);
+  const entry = list.find(x => x.uci === uci);
+  if (!entry || top == null) return null;
+  return top - scoreOf(entry) <= TRAINING_MAX_LOSS ? 'solved' : 'failed';
+}
+
+// --- Nilai percobaan dari evaluasi engine posisi setelah langkah (relatif lawan) ---
+export function judgeFromEngine(best, after) {
+  const top = scoreOf(best);
+  if (top == null || !after) return 'failed';
+  // After the attempt the opponent is to move: flip the score (mate 0 = the attempt mates)
+  const played = ('mate' in after && after.mate === 0) ? 100000 : -scoreOf(after);
+  return top - played <= TRAINING_MAX_LOSS ? 'solved' : 'failed';
+}
+
+// --- Catatan latihan (persisten): key → { solved, attempts, hints, at } ---
+export function loadTrainingRecord() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    return raw && typeof raw === 'object' ? raw : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveTrainingRecord(record) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(record));
+  } catch {
+    // storage disabled (private mode) – progress lasts for this session only
+  }
+}
+
+// --- Util: catat satu percobaan; solved tetap true sekali pernah terpecahkan ---
+export function recordAttempt(record, key, { solved, hints = 0 }) {
+  const prev = record[key] || { solved: false, attempts: 0, hints: 0 };
+  return {
+    ...record,
+    [key]: {
+      solved: prev.solved || solved,
+      attempts: prev.attempts + 1,
+      hints: Math.max(prev.hints, hints),
+      at: Date.now(),
+    },
+  };
+}
@@ -0,0 +1,102 @@
+import { Chess } from "chess.js";
+
+// --- UCI "info" output helpers (shared by live analysis, PV display and PGN export) ---
+
+// --- Util: parse satu baris "info ... pv ..." → { depth, seldepth, multipv, cp|mate, nodes, nps, time, pv } ---
+// Returns null for lines without a PV or with a bound score (aspiration fail-high/low lines).
+export function parseInfoLine(line) {
+  const text = String(line ?? '');
+  if (!/^info\b/.test(text)) return null;
+  const tokens = text.trim().split(/\s+/);
+  const info = { multipv: 1, pv: [] };
+  for (let i = 1; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (t === 'pv') {
+      info.pv = tokens.slice(i + 1).filter(m => /^[a-h][1-8][a-h][1-8][qrbn]?$/.test(m));
+      break;
+    }
+    if (t === 'score') {
+      const kind = tokens[i + 1];
+      const value = parseInt(tokens[i + 2], 10);
+      if (kind === 'cp') info.cp = value;
+      if (kind === 'mate') info.mate = value;
+      i += 2;
+      if (tokens[i + 1] === 'lowerbound' || tokens[i + 1] === 'upperbound') return null;
+      continue;
+    }
+    if (['depth', 'seldepth', 'multipv', 'nodes', 'nps', 'time', 'hashfull'].includes(t)) {
+      info[t] = Number(tokens[i + 1]);
+      i += 1;
+    }
+  }
+  if (!info.pv.length || (!('cp' in info) && !('mate' in info))) return null;
+  return info;
+}
+
+// --- Util: daftar UCI → SAN mulai dari FEN (berhenti di langkah ilegal) ---
+export function uciLineToSans(fen, ucis) {
+  const sans = [];
+  try {
+    const g = new Chess(fen);
+    for (const uci of ucis || []) {
+      if (!uci || uci.length < 4) break;
+      const mv = g.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] });
+      if (!mv) break;
+      sans.push(mv.san);
+    }
+  } catch {
+    // stop at the first move chess.js rejects
+  }
+  return sans;
+}
+
+// --- Util: konversi UCI pertama dari PV menjadi SAN pada FEN tertentu ---
+export function uciToSan(fen, uci) {
+  try {
+    const game = new Chess(fen);
+    const moves = game.moves({ verbose: true });
+    const match = moves.find(m => (m.from + m.to + (m.promotion || '')) === uci);
+    if (!match) return null;
+    const sanGame = new Chess(fen);
+    const mv = sanGame.move({ from: match.from, to: match.to, promotion: match.promotion });
+    return mv ? mv.san : null;
+  } catch {
+    return null;
+  }
+}
+
+// --- Util: skor (relatif side-to-move) → teks dari sudut pandang Putih: "+0.35", "#-3" ---
+export function formatScore(score, sideToMove) {
+  if (!score) return '';
+  const flip = sideToMove === 'b' ? -1 : 1;
+  if ('mate' in score && score.mate != null) {
+    const m = Number(score.mate) * flip;
+    return m === 0 ? '#' : `#${m}`;
+  }
+  if ('cp' in score && score.cp != null) {
+    const v = (score.cp * flip) / 100;
+    return `${v > 0 ? '+' : ''}${v.toFixed(2)}`;
+  }
+  return '';
+}
+
+// --- Util: angka besar ringkas: 1234567 → "1.2M" ---
+export function formatCount(n) {
+  const v = Number(n) || 0;
+  if (v >= 1e9) return `${(v / 1e9).toFixed(1)}G`;
+  if (v >= 1e6) return `${(v / 1e6).toFixed(1)}M`;
+  if (v >= 1e3) return `${(v / 1e3).toFixed(0)}k`;
+  return String(v);
+}
+
+// --- Util: nomor langkah sebelum SAN ke-k dari line yang dimulai di fen ("12. ", "12... ", atau "") ---
+export function moveNumberPrefix(fen, k) {
+  const parts = String(fen || '').split(' ');
+  const whiteFirst = parts[1] !== 'b';
+  const startNum = Number(parts[5]) || 1;
+  const plyFromWhite = k + (whiteFirst ? 0 : 1); // ply index counted from White's move of startNum
+  const num = startNum + Math.floor(plyFromWhite / 2);
+  const isWhite = plyFromWhite % 2 === 0;
+  if (isWhite) return `${num}. `;
+  return k === 0 ? `${num}... ` : '';
+}
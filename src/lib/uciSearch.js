@@ -0,0 +1,110 @@
+import { Chess } from "chess.js";
+
+// --- One fixed-depth (or movetime) UCI search on a worker-like engine ---
+// The engine only needs postMessage(cmd) and add/removeEventListener('message', fn) with the
+// UCI output lines in event.data, i.e. a Stockfish Web Worker, the Node adapter of the CLI or the
+// scripted fake engine of the tests. Builds that post objects ({ type: 'eval' | 'bestmove' })
+// are understood as well.
+
+// --- Util: evaluasi langsung untuk posisi akhir (skakmat/remis pat) tanpa engine ---
+export function getTerminalEval(fen) {
+  try {
+    const g = new Chess(fen);
+    if (g.isCheckmate()) {
+      // mate already on board; our EvaluationBar treats mate:0 specially (winner = side that just moved)
+      return { mate: 0 };
+    }
+    if (g.isStalemate()) {
+      return { cp: 0 };
+    }
+  } catch {
+    // FEN tidak valid: biarkan engine yang menilai
+  }
+  return null;
+}
+
+// --- Util: kumpulan MultiPV → hasil { cp|mate, wdl?, bestmoveUci, multipv } (null bila tanpa skor) ---
+function buildResult(mpv, currentEval, bestmoveUci) {
+  const multipv = Object.keys(mpv)
+    .map(k => ({ rank: parseInt(k, 10), uci: mpv[k].uci, pv: mpv[k].pv, [mpv[k].type]: mpv[k].value, ...(mpv[k].wdl ? { wdl: mpv[k].wdl } : {}) }))
+    .sort((a, b) => a.rank - b.rank);
+  const best = multipv.find(m => m.rank === 1);
+  const result = best ? { ...best } : (currentEval || null);
+  if (!result) return null;
+  // normalize: carry cp|mate to top-level
+  const top = {};
+  if ('cp' in result) top.cp = result.cp;
+  if ('mate' in result) top.mate = result.mate;
+  if (result.wdl) top.wdl = result.wdl;
+  return { ...top, bestmoveUci, multipv };
+}
+
+// --- Cari satu posisi; resolve hasil saat engine menjawab "bestmove" ---
+// Tidak mengirim ucinewgame: pemanggil yang memutuskan hash dikosongkan atau tidak.
+export function searchPosition(worker, fen, { depth = 12, movetime = null, multiPV = 5 } = {}) {
+  return new Promise((resolve) => {
+    let currentEval = null;
+    const mpv = {}; // k -> { type: 'cp'|'mate', value: number, uci: string, pv, wdl }
+
+    const handler = (e) => {
+      const data = e.data;
+      if (typeof data === 'string') {
+        const line = data;
+        // Parse MultiPV lines
+        // Example: info depth 15 seldepth 28 multipv 2 score cp -34 nodes ... pv e2e4 e7e5 ...
+        const mMulti = line.match(/\bmultipv\s+(\d+)/);
+        if (mMulti) {
+          const k = parseInt(mMulti[1], 10);
+          const mCp = line.match(/score\s+cp\s+(-?\d+)/);
+          const mMate = line.match(/score\s+mate\s+(-?\d+)/);
+          // Full principal variation (all UCI moves after "pv")
+          const mPv = line.match(/\bpv\s+(.+)$/);
+          const pv = mPv ? mPv[1].trim().split(/\s+/).filter(m => /^[a-h][1-8][a-h][1-8][qrbn]?$/.test(m)) : [];
+          // Win/draw/loss per mille (UCI_ShowWDL), relatif pihak yang jalan
+          const mWdl = line.match(/\bwdl\s+(\d+)\s+(\d+)\s+(\d+)/);
+          const wdl = mWdl ? [1, 2, 3].map(n => parseInt(mWdl[n], 10)) : null;
+          if (pv.length && (mCp || mMate)) {
+            if (mMate) mpv[k] = { type: 'mate', value: parseInt(mMate[1], 10), uci: pv[0], pv, wdl };
+            else mpv[k] = { type: 'cp', value: parseInt(mCp[1], 10), uci: pv[0], pv, wdl };
+            // also track currentEval as best so far when k===1
+            if (k === 1) {
+              currentEval = mMate ? { mate: parseInt(mMate[1], 10) } : { cp: parseInt(mCp[1], 10) };
+            }
+          }
+        }
+        // Parse single PV fallback (no multipv key present on some builds): still update currentEval
+        const mCp = line.match(/score\s+cp\s+(-?\d+)/);
+        const mMate = line.match(/score\s+mate\s+(-?\d+)/);
+        if (mCp) currentEval = { cp: parseInt(mCp[1], 10) };
+        if (mMate) currentEval = { mate: parseInt(mMate[1], 10) };
+
+        const mBest = line.match(/\bbestmove\s+(\S+)/);
+        if (mBest) {
+          worker.removeEventListener('message', handler);
+          resolve(buildResult(mpv, currentEval, mBest[1]));
+        }
+        return;
+      }
+      const { type } = data || {};
+      if (type === 'eval') {
+        const { cp, mate } = data;
+        currentEval = (cp !== undefined) ? { cp } : { mate };
+      }
+      if (type === 'bestmove') {
+        worker.removeEventListener('message', handler);
+        resolve(buildResult(mpv, currentEval, data?.bestmove));
+      }
+    };
+
+    worker.addEventListener('message', handler);
+    try {
+      worker.postMessage('setoption name MultiPV value ' + multiPV);
+      worker.postMessage('position fen ' + fen);
+      worker.postMessage(movetime != null ? 'go movetime ' + movetime : 'go depth ' + depth);
+    } catch {
+      // worker already terminated
+      worker.removeEventListener('message', handler);
+      resolve(null);
+    }
+  });
+}
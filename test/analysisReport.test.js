@@ -0,0 +1,67 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { beforeAll, describe, expect, it } from "vitest";
+import { analyzeGame } from "../src/lib/analyzeGame.js";
+import { failedGameReport, gameReport, reportsToCsv } from "../src/lib/analysisReport.js";
+import { exportAnnotatedPgn } from "../src/lib/pgnExport.js";
+import { createFakeUciEngine } from "./fakeUciEngine.js";
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+const pgn = fs.readFileSync(path.join(fixtures, "games", "opera-game.pgn"), "utf8");
+const transcript = JSON.parse(fs.readFileSync(path.join(fixtures, "transcripts", "opera-game.json"), "utf8"));
+
+let result;
+beforeAll(async () => {
+  result = await analyzeGame(pgn, createFakeUciEngine(transcript.positions), transcript.options);
+});
+
+describe("gameReport", () => {
+  it("summarizes both sides and keeps one entry per ply", () => {
+    const report = gameReport(result, { index: 3, source: "opera.pgn" });
+    expect(report).toMatchObject({ index: 3, source: "opera.pgn", white: "Paul Morphy", result: "1-0", eco: "C41" });
+    expect(report.players.white.moves).toBe(result.stats.white.totalMoves);
+    expect(report.players.white.counts.brilliant).toBe(result.counts.white.brilliant);
+    expect(report.players.black.byPhase).toHaveProperty("endgame", null);
+    expect(report.plies).toHaveLength(result.sans.length);
+    expect(JSON.parse(JSON.stringify(report))).toEqual(report);
+  });
+});
+
+describe("reportsToCsv", () => {
+  it("writes one row per game, failed games with their error", () => {
+    const csv = reportsToCsv([
+      gameReport(result, { index: 0, source: "opera.pgn" }),
+      failedGameReport({ index: 1, source: "db.pgn", white: "Smith, J", black: 'Doe "JD"' }, new Error("PGN tidak valid")),
+    ]);
+    const [header, first, second] = csv.trimEnd().split("\n");
+    const columns = header.split(",");
+    expect(columns).toContain("white_accuracy");
+    expect(columns.at(-1)).toBe("error");
+    expect(first.split(",")[columns.indexOf("white")]).toBe("Paul Morphy");
+    expect(second).toBe(`1,db.pgn,"Smith, J","Doe ""JD""",${",".repeat(columns.length - 5)}PGN tidak valid`);
+  });
+});
+
+describe("analyzeGame input", () => {
+  it("rejects movetext that only parses in part", async () => {
+    await expect(analyzeGame("1. e4 e4 e4 Zz9", createFakeUciEngine({}), transcript.options)).rejects.toThrow(/sebagian/);
+  });
+
+  it("takes the result from the movetext when the Result tag is missing", async () => {
+    const noResultTag = pgn.replace(/^\[Result .*\]\n/m, "");
+    const r = await analyzeGame(noResultTag, createFakeUciEngine(transcript.positions), transcript.options);
+    expect(gameReport(r).result).toBe("1-0");
+    const out = exportAnnotatedPgn({ tags: r.tags, tree: r.tree, evals: r.evals, annotations: r.annotations });
+    expect(out).toContain('[Result "1-0"]');
+    expect(out.trimEnd()).toMatch(/ 1-0$/);
+  });
+});
+
+describe("exportAnnotatedPgn", () => {
+  it("puts the engine line's eval after the move it belongs to", () => {
+    const out = exportAnnotatedPgn({ tags: result.tags, tree: result.tree, evals: result.evals, annotations: result.annotations })
+      .replace(/\s+/g, " ");
+    expect(out).toContain("15... Nxd7 $2 {[%eval #2] Mistake.} (15... Qxd7 {Engine best line [%eval 6.60]} 16. Qb8+");
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_CLASSIFICATION_SETTINGS, classifyMove, resolveThresholds } from "../src/lib/classification.js";
+import { winPercent } from "../src/lib/accuracy.js";
+
+const standard = resolveThresholds(DEFAULT_CLASSIFICATION_SETTINGS);
+const winFlags = (winBefore, winAfter, extra = {}) => ({ winBefore, winAfter, ...extra });
+
+describe("classifyMove (win% model)", () => {
+  it("uses centipawns, not WDL, unless WDL is switched on", () => {
+    const ev = { cp: 300, wdl: [0, 98, 902] };
+    expect(DEFAULT_CLASSIFICATION_SETTINGS.useWdl).toBe(false);
+    expect(winPercent(ev)).toBeGreaterThan(70);
+    expect(winPercent(ev, { useWdl: true })).toBeLessThan(10);
+  });
+
+  it("grades a move that allows a forced mate at least Mistake", () => {
+    // Already lost on WDL, so the win% barely moves
+    expect(classifyMove(-600, -100000, winFlags(4.9, 0), standard)).toBe("Good");
+    expect(classifyMove(-600, -100000, winFlags(4.9, 0, { allowsMate: true }), standard)).toBe("Mistake");
+    expect(classifyMove(0, -100000, winFlags(50, 0, { allowsMate: true }), standard)).toBe("Blunder");
+  });
+
+  it("keeps a Miss to moderate drops; a collapse is a Blunder", () => {
+    expect(classifyMove(500, 0, winFlags(90, 55), standard)).toBe("Miss");
+    expect(classifyMove(1000, 0, winFlags(100, 36), standard)).toBe("Blunder");
+  });
+});
@@ -0,0 +1,23 @@
+import { describe, expect, it } from "vitest";
+import { UsageError, parseCliArgs } from "../bin/cliOptions.js";
+
+describe("parseCliArgs", () => {
+  it("reads the analyze command with its options", () => {
+    const args = parseCliArgs(["analyze", "games.pgn", "--depth", "16", "--out", "report.csv", "--profile", "strict", "--wdl"]);
+    expect(args).toMatchObject({ files: ["games.pgn"], out: "report.csv", format: "csv" });
+    expect(args.analysis).toMatchObject({ depth: 16, multiPV: 5, classification: { profile: "strict", useWdl: true } });
+  });
+
+  it("defaults to JSON on stdout", () => {
+    expect(parseCliArgs(["analyze", "-"])).toMatchObject({ files: ["-"], out: null, format: "json" });
+  });
+
+  it("rejects what it cannot use", () => {
+    expect(() => parseCliArgs([])).toThrow(UsageError);
+    expect(() => parseCliArgs(["analyze"])).toThrow(UsageError);
+    expect(() => parseCliArgs(["analyze", "a.pgn", "--depth", "0"])).toThrow(UsageError);
+    expect(() => parseCliArgs(["analyze", "a.pgn", "--out", "report.txt"])).toThrow(/Format/);
+    expect(() => parseCliArgs(["analyze", "a.pgn", "--model", "magic"])).toThrow(UsageError);
+    expect(() => parseCliArgs(["analyze", "a.pgn", "--bogus"])).toThrow(UsageError);
+  });
+});
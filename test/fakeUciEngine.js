@@ -0,0 +1,61 @@
+// --- Scripted fake UCI engine for deterministic tests ---
+// Worker-like (postMessage + add/removeEventListener('message')), like a Stockfish Web Worker.
+// Searches are answered from a transcript: { [fen]: { [goArgs]: [uci output lines] } }, e.g.
+//   { "rnbqkbnr/... w KQkq - 0 1": { "depth 12": ["info depth 12 multipv 1 score cp 30 ... pv e2e4", "bestmove e2e4"] } }
+// Lines are delivered asynchronously, as from a real worker. MultiPV lines above the current
+// "setoption name MultiPV" value are dropped, so one recording can serve smaller MultiPV runs.
+// A search that is missing from the transcript answers "bestmove (none)" and is listed in `missing`.
+
+export function createFakeUciEngine(transcript = {}) {
+  const listeners = new Set();
+  const sent = [];
+  const missing = [];
+  let fen = null;
+  let multiPV = 1;
+
+  const emit = (line) => {
+    setTimeout(() => listeners.forEach(fn => fn({ data: line })), 0);
+  };
+
+  return {
+    sent,
+    missing,
+    postMessage(cmd) {
+      const text = String(cmd).trim();
+      sent.push(text);
+      if (text === 'uci') {
+        emit('id name FakeFish');
+        emit('uciok');
+      } else if (text === 'isready') {
+        emit('readyok');
+      } else if (/^setoption name MultiPV value \d+$/.test(text)) {
+        multiPV = Number(text.split(' ').pop());
+      } else if (text.startsWith('position fen ')) {
+        fen = text.slice('position fen '.length).replace(/\s+moves\s.*$/, '');
+      } else if (text.startsWith('go ')) {
+        const args = text.slice(3);
+        const lines = transcript[fen]?.[args];
+        if (!lines) {
+          missing.push({ fen, go: args });
+          emit('bestmove (none)');
+          return;
+        }
+        lines
+          .filter((line) => {
+            const m = line.match(/\bmultipv\s+(\d+)/);
+            return !m || Number(m[1]) <= multiPV;
+          })
+          .forEach(emit);
+      }
+    },
+    addEventListener(type, fn) {
+      if (type === 'message') listeners.add(fn);
+    },
+    removeEventListener(type, fn) {
+      if (type === 'message') listeners.delete(fn);
+    },
+    terminate() {
+      listeners.clear();
+    },
+  };
+}
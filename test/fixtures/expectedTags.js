@@ -0,0 +1,10 @@
+// --- Expected result of a regression game: one "label tag" per main-line ply + per-side counts ---
+// e.g. "16. Qb8+ Brilliant"; plies without an annotation (missing eval) read "16. Qb8+ -".
+// The files in expected/ are checked by hand against a deeper engine search: a tag the pipeline
+// gets wrong is a failing test, never an expected value.
+export function expectedTags(result) {
+  return {
+    tags: result.plies.map(p => `${p.label} ${p.tag ?? '-'}`),
+    counts: result.counts,
+  };
+}
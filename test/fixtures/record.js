@@ -0,0 +1,109 @@
+// --- Record engine transcripts for the regression suite ---
+// Runs the real analysis pipeline (lib/analyzeGame.js) on every game in test/fixtures/games with
+// the Stockfish build from the `stockfish` npm package (started like the CLI does, see
+// bin/engineProcess.js), and stores what the engine answered per search in
+// test/fixtures/transcripts/<game>.json (last info line per MultiPV + bestmove).
+// With --expected it also rewrites test/fixtures/expected/<game>.json from the fresh result;
+// only do that after checking the tag changes by hand. --replay skips the engine and replays the
+// stored transcripts instead, for heuristic changes that do not change what the engine is asked.
+//
+//   node test/fixtures/record.js [--expected] [--replay] [game-name ...]
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { analyzeGame } from "../../src/lib/analyzeGame.js";
+import { spawnEngine } from "../../bin/engineProcess.js";
+import { createFakeUciEngine } from "../fakeUciEngine.js";
+import { expectedTags } from "./expectedTags.js";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const ENGINE_NAME = "Stockfish 17.1 lite single (npm stockfish)";
+const RECORD_OPTIONS = { depth: 18, multiPV: 5, verifyDepth: 22, hash: 16, threads: 1 };
+
+// --- Util: engine perekam; simpan info terakhir per MultiPV + bestmove untuk tiap "go" ---
+function recording(engine, transcript) {
+  let fen = null;
+  let current = null;
+  engine.addEventListener("message", ({ data }) => {
+    if (!current) return;
+    if (/^info\b.*\bmultipv\s+\d+.*\bpv\s/.test(data)) current.info[data.match(/\bmultipv\s+(\d+)/)[1]] = data;
+    if (/^bestmove\b/.test(data)) {
+      const lines = Object.keys(current.info).sort((a, b) => a - b).map(k => current.info[k]);
+      (transcript[fen] ||= {})[current.go] = [...lines, data];
+      current = null;
+    }
+  });
+  return {
+    ...engine,
+    postMessage(cmd) {
+      if (cmd.startsWith("position fen ")) fen = cmd.slice("position fen ".length);
+      if (cmd.startsWith("go ")) current = { go: cmd.slice(3), info: {} };
+      engine.postMessage(cmd);
+    },
+  };
+}
+
+function waitFor(engine, token) {
+  return new Promise((resolve) => {
+    const fn = ({ data }) => {
+      if (data.includes(token)) {
+        engine.removeEventListener("message", fn);
+        resolve();
+      }
+    };
+    engine.addEventListener("message", fn);
+  });
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const writeExpected = args.includes("--expected");
+  const replay = args.includes("--replay");
+  const only = args.filter(a => !a.startsWith("--"));
+  const gamesDir = path.join(here, "games");
+  const names = fs.readdirSync(gamesDir)
+    .filter(f => f.endsWith(".pgn"))
+    .map(f => f.replace(/\.pgn$/, ""))
+    .filter(n => !only.length || only.includes(n));
+
+  const engine = replay ? null : spawnEngine();
+  if (engine) {
+    const ready = waitFor(engine, "uciok");
+    engine.postMessage("uci");
+    await ready;
+  }
+
+  for (const name of names) {
+    const pgn = fs.readFileSync(path.join(gamesDir, `${name}.pgn`), "utf8");
+    const started = Date.now();
+    let transcript;
+    let result;
+    if (replay) {
+      const stored = JSON.parse(fs.readFileSync(path.join(here, "transcripts", `${name}.json`), "utf8"));
+      const fake = createFakeUciEngine(stored.positions);
+      transcript = stored.positions;
+      result = await analyzeGame(pgn, fake, stored.options);
+      if (fake.missing.length) throw new Error(`${name}: posisi tidak ada di transcript, rekam ulang tanpa --replay`);
+    } else {
+      transcript = {};
+      result = await analyzeGame(pgn, recording(engine, transcript), RECORD_OPTIONS);
+      fs.mkdirSync(path.join(here, "transcripts"), { recursive: true });
+      fs.writeFileSync(
+        path.join(here, "transcripts", `${name}.json`),
+        JSON.stringify({ engine: ENGINE_NAME, options: RECORD_OPTIONS, positions: transcript }, null, 1) + "\n"
+      );
+    }
+    if (writeExpected) {
+      fs.mkdirSync(path.join(here, "expected"), { recursive: true });
+      fs.writeFileSync(path.join(here, "expected", `${name}.json`), JSON.stringify(expectedTags(result), null, 2) + "\n");
+    }
+    console.log(`${name}: ${Object.keys(transcript).length} posisi, ${((Date.now() - started) / 1000).toFixed(1)}s`);
+  }
+  engine?.terminate();
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
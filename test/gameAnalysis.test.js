@@ -0,0 +1,74 @@
+import { describe, expect, it } from "vitest";
+import { parsePgnToFens } from "../src/lib/pgnParse.js";
+import {
+  computeAnnotations,
+  computePlayerStats,
+  countMoveTypes,
+} from "../src/lib/gameAnalysis.js";
+import { DEFAULT_CLASSIFICATION_SETTINGS, thresholdsBySide } from "../src/lib/classification.js";
+
+// Scholar's mate with hand-written evals (scores relative to the side to move)
+const game = parsePgnToFens("1. e4 e5 2. Qh5 Nc6 3. Bc4 Nf6 4. Qxf7# 1-0");
+
+const line = (uci, score) => ({ ...score, bestmoveUci: uci, multipv: [{ rank: 1, uci, pv: [uci], ...score }] });
+
+const evals = {
+  0: line("e2e4", { cp: 30 }),
+  1: line("g8f6", { cp: 400 }),  // Black could have won big here (scripted) …
+  2: line("g1f3", { cp: 0 }),    // … but 1...e5 only keeps equality → Miss
+  3: line("b8c6", { cp: -20 }),
+  4: line("f1c4", { cp: 40 }),
+  5: line("g7g6", { cp: -50 }),
+  6: line("h5f7", { mate: 1 }),  // 3...Nf6?? allows mate in one
+  7: { mate: 0, bestmoveUci: null, multipv: [] },
+};
+
+const annotate = (settings = DEFAULT_CLASSIFICATION_SETTINGS) => computeAnnotations({
+  fens: game.fens,
+  sans: game.sans,
+  tree: game.tree,
+  evals,
+  thresholds: thresholdsBySide(settings),
+});
+
+describe("computeAnnotations", () => {
+  it("tags PV#1 moves Best and the mating move Best", () => {
+    const ann = annotate();
+    expect(ann[1]).toMatchObject({ mover: "White", tag: "Best" });
+    expect(ann[7]).toMatchObject({ mover: "White", tag: "Best" });
+  });
+
+  it("tags a move that allows mate as Blunder", () => {
+    expect(annotate()[6]).toMatchObject({ mover: "Black", tag: "Blunder" });
+  });
+
+  it("tags a thrown-away winning position as Miss (win% model)", () => {
+    expect(annotate()[2]).toMatchObject({ mover: "Black", tag: "Miss" });
+  });
+
+  it("grades the same move by centipawns in the legacy model", () => {
+    const ann = annotate({ ...DEFAULT_CLASSIFICATION_SETTINGS, model: "legacy" });
+    expect(ann[2].tag).toBe("Blunder");
+  });
+
+  it("marks book plies without looking at evals", () => {
+    const ann = computeAnnotations({ fens: game.fens, sans: game.sans, tree: game.tree, evals: {}, bookPlies: 2 });
+    expect(ann[1].tag).toBe("Book");
+    expect(ann[2].tag).toBe("Book");
+    expect(ann[3]).toBeUndefined();
+  });
+});
+
+describe("computePlayerStats / countMoveTypes", () => {
+  it("scores PV#1 moves 100% and counts the buckets per side", () => {
+    const stats = computePlayerStats({ fens: game.fens, sans: game.sans, evals });
+    expect(stats.white.totalMoves).toBe(4);
+    expect(stats.white.moves.every(m => m.accuracy === 100)).toBe(true);
+    expect(stats.black.counts.blunder).toBe(1);
+    expect(stats.black.accuracy).toBeLessThan(stats.white.accuracy);
+
+    const counts = countMoveTypes(annotate());
+    expect(counts.white.best).toBe(4);
+    expect(counts.black).toMatchObject({ miss: 1, blunder: 1 });
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, expect, it } from "vitest";
+import { explainMove } from "../src/lib/motifs.js";
+
+// Evals seperti keluaran analyzeFenOnce: skor relatif pihak yang jalan, PV dalam UCI
+const line = (score, pv) => ({ ...score, multipv: [{ rank: 1, ...score, pv }] });
+
+describe("explainMove", () => {
+  it("only explains Blunder, Mistake and Miss", () => {
+    const after = line({ cp: 300 }, ["d5f3"]);
+    expect(explainMove({ tag: "Good", fenAfter: "4k3/8/8/3b4/8/5N2/8/4K3 b - - 0 1", after })).toBeNull();
+  });
+
+  it("names a piece left hanging, but not a defended one", () => {
+    const after = line({ cp: 300 }, ["d5f3"]);
+    expect(explainMove({ tag: "Blunder", fenAfter: "4k3/8/8/3b4/8/5N2/8/4K3 b - - 0 1", after }))
+      .toEqual({ motif: "hanging", text: "Leaves the knight on f3 hanging (Bxf3)" });
+    expect(explainMove({ tag: "Blunder", fenAfter: "4k3/8/8/3b4/8/5N2/6P1/4K3 b - - 0 1", after })).toBeNull();
+  });
+
+  it("names a fork in the refutation", () => {
+    const after = line({ cp: 500 }, ["b5c7"]);
+    expect(explainMove({ tag: "Mistake", fenAfter: "r3k3/8/8/1N6/8/8/8/4K3 w - - 0 1", after }))
+      .toEqual({ motif: "fork", text: "Allows a knight fork on c7 (Nc7+)" });
+  });
+
+  it("tells a back-rank mate from any other mate", () => {
+    expect(explainMove({ tag: "Blunder", fenAfter: "6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1", after: line({ mate: 1 }, ["a1a8"]) }))
+      .toEqual({ motif: "back-rank-mate", text: "Allows a back-rank mate (Ra8#)" });
+    const fenAfter = "rnbqkbnr/pppp1ppp/8/4p3/6P1/5P2/PPPPP2P/RNBQKBNR b KQkq - 0 2";
+    expect(explainMove({ tag: "Blunder", fenAfter, after: line({ mate: 1 }, ["d8h4"]) }))
+      .toEqual({ motif: "mate", text: "Allows mate in 1 (Qh4#)" });
+  });
+
+  it("reports a missed mate in N only when the mate is gone", () => {
+    const fenBefore = "6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1";
+    const best = line({ mate: 1 }, ["a1a8"]);
+    expect(explainMove({ tag: "Miss", fenBefore, best, after: { cp: 0 } }))
+      .toEqual({ motif: "missed-mate", text: "Missed mate in 1 (Ra8#)" });
+    // Mate masih ada setelah langkah (skor lawan -mate): bukan mate yang terlewat
+    expect(explainMove({ tag: "Miss", fenBefore, best, after: { mate: -2 } })).toBeNull();
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_CLASSIFICATION_SETTINGS } from "../src/lib/classification.js";
+import { DEFAULT_RATING_CALIBRATION, calibrationFor, estimatePerformance } from "../src/lib/performanceRating.js";
+import { REFERENCE_GAMES, REFERENCE_SETTINGS } from "../src/lib/ratingReference.js";
+
+const sample = (elo, accuracy) => ({ elo, accuracy, moves: 30, counts: { inaccuracy: 2, mistake: 1, blunder: 1, miss: 0 }, extraPenalty: 0 });
+
+describe("calibrationFor", () => {
+  it("uses the reference rows only under the settings they were measured with", () => {
+    expect(REFERENCE_SETTINGS).toEqual(DEFAULT_CLASSIFICATION_SETTINGS);
+    expect(calibrationFor(REFERENCE_SETTINGS)).toBe(DEFAULT_RATING_CALIBRATION);
+    expect(calibrationFor({ ...REFERENCE_SETTINGS, profile: "beginner" })).toBeNull();
+    expect(calibrationFor({ ...REFERENCE_SETTINGS, useWdl: true })).toBeNull();
+  });
+
+  it("fits other settings on the rated samples alone", () => {
+    const samples = [sample(1000, 60), sample(1500, 70), sample(2000, 80), sample(2500, 90)];
+    const calibration = calibrationFor({ ...REFERENCE_SETTINGS, model: "legacy" }, samples);
+    expect(calibration.samples).toBe(samples.length);
+    const side = { accuracy: 70, totalMoves: 30, counts: samples[1].counts, extraPenalty: 0 };
+    expect(Math.abs(estimatePerformance(side, calibration) - 1500)).toBeLessThan(50);
+  });
+});
+
+describe("estimatePerformance", () => {
+  it("is calibrated on sourced reference games", () => {
+    expect(REFERENCE_GAMES.length).toBeGreaterThanOrEqual(3);
+    REFERENCE_GAMES.forEach(row => expect(row.source).toMatch(/\.pgn: /));
+    const elos = REFERENCE_GAMES.map(row => row.elo);
+    expect(DEFAULT_RATING_CALIBRATION.eloRange).toEqual({ min: Math.min(...elos), max: Math.max(...elos) });
+  });
+
+  it("gives no number where the fit would extrapolate far past its samples", () => {
+    const samples = [sample(1000, 60), sample(1500, 70), sample(2000, 80), sample(2500, 90)];
+    const calibration = calibrationFor({ ...REFERENCE_SETTINGS, model: "legacy" }, samples);
+    const side = (accuracy) => ({ accuracy, totalMoves: 30, counts: samples[0].counts, extraPenalty: 0 });
+    expect(estimatePerformance(side(62), calibration)).not.toBeNull();
+    expect(estimatePerformance(side(20), calibration)).toBeNull();
+    expect(estimatePerformance(side(100), calibration)).toBeNull();
+  });
+
+  it("refuses a fit where accuracy lowers the rating", () => {
+    const samples = [sample(2500, 60), sample(2000, 70), sample(1500, 80), sample(1000, 90)];
+    expect(calibrationFor({ ...REFERENCE_SETTINGS, model: "legacy" }, samples)).toBeNull();
+  });
+});
@@ -0,0 +1,14 @@
+import { describe, expect, it } from "vitest";
+import { parseMoveTree } from "../src/lib/pgnTree.js";
+
+const START = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+
+describe("parseMoveTree", () => {
+  it("numbers the main line first, then every sideline once", () => {
+    const tree = parseMoveTree("1. e4 (1. d4 d5 (1... Nf6)) 1... e5 (1... c5 2. Nf3) 2. Nf3 *", START);
+    expect(tree.mainlineLength).toBe(4);
+    expect(tree.nodes.map(n => n.san)).toEqual([null, "e4", "e5", "Nf3", "c5", "Nf3", "d4", "d5", "Nf6"]);
+    expect(new Set(tree.nodes.map(n => n.id)).size).toBe(tree.nodes.length);
+    expect(tree.nodes[8]).toMatchObject({ parent: 6, depth: 2, mainline: false });
+  });
+});
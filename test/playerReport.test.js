@@ -0,0 +1,42 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { beforeAll, describe, expect, it } from "vitest";
+import { analyzeGame } from "../src/lib/analyzeGame.js";
+import { PHASES, aggregatePlayerReport } from "../src/lib/playerReport.js";
+import { createFakeUciEngine } from "./fakeUciEngine.js";
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+const pgn = fs.readFileSync(path.join(fixtures, "games", "opera-game.pgn"), "utf8");
+const transcript = JSON.parse(fs.readFileSync(path.join(fixtures, "transcripts", "opera-game.json"), "utf8"));
+
+let result;
+beforeAll(async () => {
+  result = await analyzeGame(pgn, createFakeUciEngine(transcript.positions), transcript.options);
+});
+
+const summaryOf = (r, index = 0) => ({
+  index, white: r.headers.White, black: r.headers.Black, result: "1-0", stats: r.stats, counts: r.counts, plies: r.plies,
+});
+
+describe("aggregatePlayerReport", () => {
+  it("gives the same phase accuracy as the game's own stats", () => {
+    for (const side of ["white", "black"]) {
+      const report = aggregatePlayerReport([summaryOf(result)], result.headers[side === "white" ? "White" : "Black"]);
+      for (const phase of PHASES) {
+        const own = result.stats[side].byPhase[phase];
+        expect(report.byPhase[phase].moves).toBe(own.totalMoves);
+        if (own.totalMoves) expect(report.byPhase[phase].accuracy).toBeCloseTo(own.accuracy, 6);
+      }
+    }
+  });
+
+  it("ranks worst moves by win% drop, not by centipawns", () => {
+    const plies = [
+      { ply: 1, side: "white", label: "1. a", phase: "middlegame", accuracy: 20, weight: 1, tag: "Blunder", winDrop: 30, delta: 1000 },
+      { ply: 3, side: "white", label: "2. b", phase: "middlegame", accuracy: 10, weight: 1, tag: "Mistake", winDrop: 45, delta: 2.5 },
+    ];
+    const report = aggregatePlayerReport([{ index: 0, white: "A", black: "B", plies }], "A");
+    expect(report.worstMoves.map(m => m.label)).toEqual(["2. b", "1. a"]);
+  });
+});
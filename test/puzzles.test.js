@@ -0,0 +1,27 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { describe, expect, it } from "vitest";
+import { analyzeGame } from "../src/lib/analyzeGame.js";
+import { extractPuzzles } from "../src/lib/puzzles.js";
+import { createFakeUciEngine } from "./fakeUciEngine.js";
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+
+async function analyzeFixture(name) {
+  const pgn = fs.readFileSync(path.join(fixtures, "games", `${name}.pgn`), "utf8");
+  const transcript = JSON.parse(fs.readFileSync(path.join(fixtures, "transcripts", `${name}.json`), "utf8"));
+  return analyzeGame(pgn, createFakeUciEngine(transcript.positions), transcript.options);
+}
+
+describe("extractPuzzles", () => {
+  it("turns a Great (only) move into a puzzle that starts with that move", async () => {
+    const result = await analyzeFixture("legal-mate");
+    const nd5 = result.plies.find(p => p.label === "7. Nd5#");
+    expect(nd5.tag).toBe("Great");
+
+    const puzzles = extractPuzzles({ tree: result.tree, annotations: result.annotations, evals: result.evals, tags: result.tags });
+    const puzzle = puzzles.find(p => p.game.ply === nd5.ply);
+    expect(puzzle).toMatchObject({ sourceTag: "Great", fen: result.fens[nd5.ply - 1], sans: ["Nd5#"] });
+  });
+});
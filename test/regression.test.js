@@ -0,0 +1,55 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { describe, expect, it } from "vitest";
+import { analyzeGame } from "../src/lib/analyzeGame.js";
+import { createFakeUciEngine } from "./fakeUciEngine.js";
+import { expectedTags } from "./fixtures/expectedTags.js";
+
+// Real games replayed against recorded Stockfish output (test/fixtures/record.js).
+// The expected tags are checked by hand (see fixtures/expectedTags.js). A failing case means a
+// heuristic changed a tag: check the diff by hand, then rewrite the expected files with --expected
+// if the new tags are right.
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+const games = fs.readdirSync(path.join(fixtures, "games"))
+  .filter(f => f.endsWith(".pgn"))
+  .map(f => f.replace(/\.pgn$/, ""));
+
+const readJson = (...parts) => JSON.parse(fs.readFileSync(path.join(fixtures, ...parts), "utf8"));
+
+describe("regression games", () => {
+  it.each(games)("%s keeps its tags", async (name) => {
+    const pgn = fs.readFileSync(path.join(fixtures, "games", `${name}.pgn`), "utf8");
+    const transcript = readJson("transcripts", `${name}.json`);
+    const engine = createFakeUciEngine(transcript.positions);
+
+    const result = await analyzeGame(pgn, engine, transcript.options);
+
+    expect(engine.missing).toEqual([]);
+    expect(expectedTags(result)).toEqual(readJson("expected", `${name}.json`));
+  });
+
+  it("opera game: the queen sacrifice 16. Qb8+ is Brilliant", async () => {
+    const pgn = fs.readFileSync(path.join(fixtures, "games", "opera-game.pgn"), "utf8");
+    const transcript = readJson("transcripts", "opera-game.json");
+    const result = await analyzeGame(pgn, createFakeUciEngine(transcript.positions), transcript.options);
+
+    const qb8 = result.plies.find(p => p.label === "16. Qb8+");
+    expect(qb8.tag).toBe("Brilliant");
+    expect(result.plies.at(-1)).toMatchObject({ san: "Rd8#", tag: "Great" }); // every other move loses
+    expect(result.stats.white.accuracy).toBeGreaterThan(result.stats.black.accuracy);
+  });
+
+  it("never tags a recapture or a move that allows mate Brilliant", async () => {
+    const tagOf = async (name, label) => {
+      const pgn = fs.readFileSync(path.join(fixtures, "games", `${name}.pgn`), "utf8");
+      const transcript = readJson("transcripts", `${name}.json`);
+      const result = await analyzeGame(pgn, createFakeUciEngine(transcript.positions), transcript.options);
+      return result.plies.find(p => p.label === label).tag;
+    };
+    expect(await tagOf("opera-game", "13... Rxd7")).toBe("Best"); // takes the rook back
+    expect(await tagOf("opera-game", "15... Nxd7")).toBe("Mistake"); // allows 16. Qb8+ Nxb8 17. Rd8#
+    expect(await tagOf("immortal-game", "22... Nxf6")).toBe("Best"); // takes the queen, every move is mated
+  });
+});
@@ -0,0 +1,70 @@
+import { Chess } from "chess.js";
+import { describe, expect, it } from "vitest";
+import { discoveredAttack, isBackRankMate, isFork, pinnedPieces, skewerAt } from "../src/lib/tactics.js";
+
+// --- Util: posisi sebelum/sesudah satu langkah SAN ---
+function play(fen, san) {
+  const before = new Chess(fen);
+  const after = new Chess(fen);
+  const move = after.move(san);
+  return { before, after, move };
+}
+
+describe("isFork", () => {
+  it("sees a knight hitting the king and a rook", () => {
+    expect(isFork(new Chess("r3k3/2N5/8/8/8/8/8/4K3 b - - 0 1"), "c7")).toBe(true);
+  });
+
+  it("ignores a single target and defended pieces of the same value", () => {
+    expect(isFork(new Chess("r6k/2N5/8/8/8/8/8/4K3 b - - 0 1"), "c7")).toBe(false);
+    // Both knights are defended and worth what the forking knight is worth
+    expect(isFork(new Chess("4k3/2p5/1n1n4/8/2N5/8/8/4K3 b - - 0 1"), "c4")).toBe(false);
+  });
+});
+
+describe("pinnedPieces", () => {
+  it("finds an absolute pin to the king and a relative pin to the queen", () => {
+    expect(pinnedPieces(new Chess("4k3/8/2n5/8/B7/8/8/4K3 b - - 0 1"), "b")).toEqual([{ square: "c6", against: "k", by: "a4" }]);
+    expect(pinnedPieces(new Chess("3q2k1/8/8/3n4/8/8/8/3RK3 b - - 0 1"), "b")).toEqual([{ square: "d5", against: "q", by: "d1" }]);
+  });
+
+  it("finds nothing when the slider is off the line", () => {
+    expect(pinnedPieces(new Chess("4k3/8/2n5/8/8/1B6/8/4K3 b - - 0 1"), "b")).toEqual([]);
+  });
+});
+
+describe("skewerAt", () => {
+  it("sees a rook check with a rook behind the king", () => {
+    const skewer = skewerAt(new Chess("4r3/8/8/4k3/8/8/8/K3R3 b - - 0 1"), "e1");
+    expect(skewer).toMatchObject({ front: { type: "k", square: "e5" }, back: { type: "r", square: "e8" } });
+  });
+
+  it("does not call it a skewer when the cheaper piece stands in front", () => {
+    expect(skewerAt(new Chess("4k3/8/8/4r3/8/8/8/K3R3 b - - 0 1"), "e1")).toBeNull();
+  });
+});
+
+describe("discoveredAttack", () => {
+  const fen = "4q2k/8/8/8/4N3/8/8/K3R3 w - - 0 1";
+
+  it("sees the rook behind a knight that moves off the file", () => {
+    const { before, after, move } = play(fen, "Nc5");
+    expect(discoveredAttack(before, after, move)).toMatchObject({ by: "e1", target: { type: "q", square: "e8" } });
+  });
+
+  it("finds nothing when the line stays closed", () => {
+    const { before, after, move } = play(fen, "Kb2");
+    expect(discoveredAttack(before, after, move)).toBeNull();
+  });
+});
+
+describe("isBackRankMate", () => {
+  it("sees a rook mate along the first rank behind the pawns", () => {
+    expect(isBackRankMate(play("6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1", "Ra8#").after)).toBe(true);
+  });
+
+  it("rejects a diagonal mate and a position without mate", () => {
+    expect(isBackRankMate(play("rnbqkbnr/pppp1ppp/8/4p3/6P1/5P2/PPPPP2P/RNBQKBNR b KQkq - 0 2", "Qh4#").after)).toBe(false);
+    expect(isBackRankMate(play("6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1", "Ra7").after)).toBe(false);
+  });
+});
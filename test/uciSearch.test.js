@@ -0,0 +1,48 @@
+import { describe, expect, it } from "vitest";
+import { getTerminalEval, searchPosition } from "../src/lib/uciSearch.js";
+import { createFakeUciEngine } from "./fakeUciEngine.js";
+
+const START = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+
+const transcript = {
+  [START]: {
+    "depth 10": [
+      "info depth 10 seldepth 11 multipv 1 score cp 38 wdl 100 893 7 nodes 42406 pv e2e4 d7d5 e4d5",
+      "info depth 10 seldepth 15 multipv 2 score cp 16 wdl 49 935 16 nodes 42406 pv d2d4 d7d5 c2c4",
+      "info depth 10 seldepth 19 multipv 3 score mate -9 nodes 42406 pv g2g4 e7e5",
+      "bestmove e2e4 ponder d7d5",
+    ],
+  },
+};
+
+describe("searchPosition", () => {
+  it("collects MultiPV lines, WDL and the bestmove", async () => {
+    const engine = createFakeUciEngine(transcript);
+    const res = await searchPosition(engine, START, { depth: 10, multiPV: 3 });
+
+    expect(res).toMatchObject({ cp: 38, wdl: [100, 893, 7], bestmoveUci: "e2e4" });
+    expect(res.multipv.map(m => m.uci)).toEqual(["e2e4", "d2d4", "g2g4"]);
+    expect(res.multipv[2]).toMatchObject({ rank: 3, mate: -9, pv: ["g2g4", "e7e5"] });
+    expect(engine.sent).toEqual(["setoption name MultiPV value 3", `position fen ${START}`, "go depth 10"]);
+  });
+
+  it("only keeps the requested number of lines", async () => {
+    const res = await searchPosition(createFakeUciEngine(transcript), START, { depth: 10, multiPV: 1 });
+    expect(res.multipv).toHaveLength(1);
+  });
+
+  it("resolves null when the engine has no answer", async () => {
+    const engine = createFakeUciEngine(transcript);
+    const res = await searchPosition(engine, START, { depth: 20 });
+    expect(res).toBeNull();
+    expect(engine.missing).toEqual([{ fen: START, go: "depth 20" }]);
+  });
+});
+
+describe("getTerminalEval", () => {
+  it("scores checkmate and stalemate without an engine", () => {
+    expect(getTerminalEval("rnb1kbnr/pppp1ppp/8/4p3/6Pq/5P2/PPPPP2P/RNBQKBNR w KQkq - 1 3")).toEqual({ mate: 0 });
+    expect(getTerminalEval("7k/5Q2/6K1/8/8/8/8/8 b - - 0 1")).toEqual({ cp: 0 });
+    expect(getTerminalEval(START)).toBeNull();
+  });
+});
@@ -8,6 +8,10 @@ export default defineConfig({
   optimizeDeps: {
     exclude: ['stockfish']
   },
+  test: {
+    include: ['test/**/*.test.js'],
+    environment: 'node'
+  },
   server: {
     headers: {
       'Cross-Origin-Opener-Policy': 'same-origin',